@@ -16,9 +16,19 @@ const defaultOptions = {
   instructionsFile: '',
   subjectStopwords: '',
   dryRun: false,
+  planOut: '',
+  interactive: false,
+  concurrency: 1,
+  resume: false,
+  stateFile: '',
+  watchSettleSeconds: 2,
   summary: false,
   verbose: false,
   jsonMode: true,
+  cache: true,
+  refreshCache: false,
+  cacheDir: '',
+  cacheMaxAgeDays: 30,
   visionMode: false,
   maxFileSize: 0,
   onlyExtensions: '',
@@ -26,10 +36,12 @@ const defaultOptions = {
   organizeBySubject: false,
   subjectDestination: '',
   moveUnknownSubjects: false,
+  unpackArchives: false,
   appendDate: false,
   dateFormat: '${value}',
   dateValueFormat: 'YYYY-MM-DD',
   logFile: '',
+  undoLogFile: '',
   promptCharBudget: 12000,
   subjectFormat: '',
   subjectBriefFormat: '',
@@ -39,18 +51,25 @@ const defaultOptions = {
   pdfLargeFileThreshold: 25,
   pdfLargeFilePageLimit: 30,
   pdfVisionPageLimit: 12,
-  pdfVisionDpi: 144
+  pdfVisionDpi: 144,
+  ocrLanguages: 'eng',
+  imageOcr: true,
+  imageMaxDimension: 1600,
+  imageBudgetMb: 10,
+  transcribeMinutes: 0,
+  whisperModel: '',
+  whisperBin: 'whisper-cli'
 }
 
 const CLI_OPTIONS = {
   provider: {
     alias: 'p',
-    describe: 'Set the model provider (ollama, lm-studio, openai)',
+    describe: 'Set the model provider (ollama, lm-studio, openai, anthropic, gemini)',
     type: 'string'
   },
   apiKey: {
     alias: 'a',
-    describe: 'API key for OpenAI-compatible providers',
+    describe: 'API key for hosted providers (OpenAI-compatible, Anthropic, or Gemini)',
     type: 'string'
   },
   baseUrl: {
@@ -63,6 +82,18 @@ const CLI_OPTIONS = {
     describe: 'Model identifier to use',
     type: 'string'
   },
+  requestTimeout: {
+    cliName: 'request-timeout',
+    defaultKey: 'requestTimeout',
+    describe: 'Seconds to wait for a provider reply before retrying (0 disables; overrides the per-provider setting)',
+    type: 'number'
+  },
+  maxRetries: {
+    cliName: 'max-retries',
+    defaultKey: 'maxRetries',
+    describe: 'Retries for timed-out, rate-limited (429) or unavailable (5xx) provider requests (overrides the per-provider setting)',
+    type: 'number'
+  },
   frames: {
     alias: 'f',
     describe: 'Maximum number of frames to extract from videos',
@@ -105,6 +136,37 @@ const CLI_OPTIONS = {
     describe: 'Preview renames without writing to disk',
     type: 'boolean'
   },
+  planOut: {
+    cliName: 'plan-out',
+    defaultKey: 'planOut',
+    describe: 'Write the proposed renames to a JSON plan file (implies --dry-run); apply it later with "apply <plan-file>"',
+    type: 'string'
+  },
+  interactive: {
+    alias: 'i',
+    describe: 'Review each proposed rename before it is applied (accept, edit, regenerate, change subject, or skip)',
+    type: 'boolean'
+  },
+  concurrency: {
+    describe: 'Number of files to extract and send to the provider in parallel (renames are still applied one at a time)',
+    type: 'number'
+  },
+  resume: {
+    describe: 'Continue an interrupted run, skipping files the run state journal marks as completed or skipped',
+    type: 'boolean'
+  },
+  stateFile: {
+    cliName: 'state-file',
+    defaultKey: 'stateFile',
+    describe: 'Path for the run state journal used by --resume (defaults to .ji-renamer-state.jsonl in the top-level directory)',
+    type: 'string'
+  },
+  watchSettleSeconds: {
+    cliName: 'watch-settle-seconds',
+    defaultKey: 'watchSettleSeconds',
+    describe: 'In watch mode, how long a new file\'s size must stay unchanged before it is processed',
+    type: 'number'
+  },
   summary: {
     describe: 'Print a summary report after processing',
     type: 'boolean'
@@ -145,6 +207,12 @@ const CLI_OPTIONS = {
     describe: 'Move low-confidence subjects into an Unknown folder',
     type: 'boolean'
   },
+  unpackArchives: {
+    cliName: 'unpack-archives',
+    defaultKey: 'unpackArchives',
+    describe: 'After renaming a .zip/.tar/.tar.gz archive, unpack it into a folder of the same name and rename its files too',
+    type: 'boolean'
+  },
   appendDate: {
     cliName: 'append-date',
     defaultKey: 'appendDate',
@@ -169,6 +237,12 @@ const CLI_OPTIONS = {
     describe: 'Optional path for the operation log file (defaults to the top-level directory)',
     type: 'string'
   },
+  undoLogFile: {
+    cliName: 'undo-log-file',
+    defaultKey: 'undoLogFile',
+    describe: 'Path for the log written by "undo" (defaults to a new ji-renamer-undo-<timestamp>.jsonl next to the source log)',
+    type: 'string'
+  },
   promptCharBudget: {
     cliName: 'prompt-char-budget',
     defaultKey: 'promptCharBudget',
@@ -229,22 +303,91 @@ const CLI_OPTIONS = {
     describe: 'Resolution in DPI used when rendering PDF pages for vision mode',
     type: 'number'
   },
+  ocrLanguages: {
+    cliName: 'ocr-languages',
+    defaultKey: 'ocrLanguages',
+    describe: 'Tesseract language codes for OCR, separated by commas or + (e.g. eng,deu)',
+    type: 'string'
+  },
+  imageOcr: {
+    cliName: 'image-ocr',
+    defaultKey: 'imageOcr',
+    describe: 'OCR image files with tesseract so their text reaches the model (disable with --no-image-ocr)',
+    type: 'boolean'
+  },
+  imageMaxDimension: {
+    cliName: 'image-max-dimension',
+    defaultKey: 'imageMaxDimension',
+    describe: 'Downscale image attachments so their longest side is at most this many pixels (0 keeps the original size)',
+    type: 'number'
+  },
+  imageBudgetMb: {
+    cliName: 'image-budget-mb',
+    defaultKey: 'imageBudgetMb',
+    describe: 'Total size in MB shared by all image attachments in one prompt; larger images are recompressed or dropped (0 disables)',
+    type: 'number'
+  },
+  transcribeMinutes: {
+    cliName: 'transcribe-minutes',
+    defaultKey: 'transcribeMinutes',
+    describe: 'Transcribe the first N minutes of audio files with whisper.cpp (0 disables transcription)',
+    type: 'number'
+  },
+  whisperModel: {
+    cliName: 'whisper-model',
+    defaultKey: 'whisperModel',
+    describe: 'Path to the whisper.cpp model file (e.g. ggml-base.en.bin) used for transcription',
+    type: 'string'
+  },
+  whisperBin: {
+    cliName: 'whisper-bin',
+    defaultKey: 'whisperBin',
+    describe: 'whisper.cpp command to run for transcription',
+    type: 'string'
+  },
   jsonMode: {
     cliName: 'json-mode',
     defaultKey: 'jsonMode',
     describe: 'Force providers to use JSON-mode responses (disable with --no-json-mode)',
     type: 'boolean'
+  },
+  cache: {
+    describe: 'Reuse cached model responses for unchanged files and prompts (disable with --no-cache)',
+    type: 'boolean'
+  },
+  refreshCache: {
+    cliName: 'refresh-cache',
+    defaultKey: 'refreshCache',
+    describe: 'Ignore cached model responses for this run and store fresh ones',
+    type: 'boolean'
+  },
+  cacheDir: {
+    cliName: 'cache-dir',
+    defaultKey: 'cacheDir',
+    describe: 'Directory for cached model responses (defaults to the user cache folder)',
+    type: 'string'
+  },
+  cacheMaxAgeDays: {
+    cliName: 'cache-max-age-days',
+    defaultKey: 'cacheMaxAgeDays',
+    describe: 'Age in days after which cache-prune removes cached responses (0 clears everything)',
+    type: 'number'
   }
 }
 
 function createCli (config = {}) {
   const parser = yargs(hideBin(process.argv))
-    .usage('Usage: $0 <path> [options]')
+    .usage('Usage: $0 <path> [options]\n       $0 watch <directory> [options]\n       $0 apply <plan-file> [options]\n       $0 undo <log-file> [options]\n       $0 cache-prune [cache-dir] [options]')
     .positional('path', {
       describe: 'File or directory to process',
       type: 'string'
     })
     .example('$0 ~/Downloads/Pitches --dry-run --summary', 'Preview renames and print a summary report')
+    .example('$0 ~/Downloads/Pitches --plan-out plan.json', 'Save proposed renames to a reviewable plan without touching any files')
+    .example('$0 watch ~/Downloads --organize-by-subject', 'Keep running and rename each new download once it has finished writing')
+    .example('$0 apply plan.json', 'Run exactly the renames recorded in a plan, without contacting a provider')
+    .example('$0 undo ~/Downloads/Pitches/ji-renamer-log-2025-01-01T12-00-00-000Z.jsonl', 'Restore the original names recorded in an operation log')
+    .example('$0 cache-prune --cache-max-age-days=7', 'Delete cached model responses older than a week')
 
   const detectedWidth = typeof parser.terminalWidth === 'function' ? parser.terminalWidth() : undefined
   const stdoutWidth = process.stdout && Number.isFinite(process.stdout.columns) ? process.stdout.columns : undefined
@@ -9,6 +9,7 @@ const PERSISTED_KEYS = new Set([
   'apiKey',
   'baseUrl',
   'model',
+  'providerRequests',
   'frames',
   'case',
   'chars',
@@ -20,16 +21,27 @@ const PERSISTED_KEYS = new Set([
   'maxFileSize',
   'onlyExtensions',
   'ignoreExtensions',
+  'concurrency',
+  'watchSettleSeconds',
   'organizeBySubject',
   'subjectDestination',
   'moveUnknownSubjects',
   'jsonMode',
+  'cacheDir',
+  'cacheMaxAgeDays',
   'visionMode',
   'appendDate',
   'dateFormat',
   'dateValueFormat',
   'logFile',
   'promptCharBudget',
+  'ocrLanguages',
+  'imageOcr',
+  'imageMaxDimension',
+  'imageBudgetMb',
+  'transcribeMinutes',
+  'whisperModel',
+  'whisperBin',
   'subjectFormat',
   'subjectBriefFormat',
   'documentDescriptionFormat',
@@ -45,7 +57,8 @@ async function loadConfig () {
   try {
     const raw = await fs.readFile(CONFIG_FILE, 'utf8')
     const parsed = JSON.parse(raw)
-    return { ...defaultOptions, ...parsed }
+    // Older versions saved per-run flags such as `cache`; only the persisted keys are read back.
+    return { ...defaultOptions, ...filterPersistedOptions(parsed) }
   } catch (error) {
     return { ...defaultOptions }
   }
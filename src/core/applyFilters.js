@@ -10,6 +10,8 @@ function normalizeExtensions (value) {
 async function applyFilters (filePath, options) {
   const stats = await fs.stat(filePath)
   const ext = getExtension(filePath)
+  // `.tar.gz` files also match a plain `gz` filter.
+  const extensions = [ext, path.extname(filePath).toLowerCase()]
   const baseName = path.basename(filePath)
 
   if (options.maxFileSize && stats.size > options.maxFileSize * 1024 * 1024) {
@@ -17,12 +19,12 @@ async function applyFilters (filePath, options) {
   }
 
   const allow = normalizeExtensions(options.onlyExtensions)
-  if (allow.length && !allow.includes(ext)) {
+  if (allow.length && !extensions.some(value => allow.includes(value))) {
     return { skipped: true, reason: `Extension ${ext} not in onlyExtensions list` }
   }
 
   const deny = normalizeExtensions(options.ignoreExtensions)
-  if (deny.includes(ext)) {
+  if (extensions.some(value => deny.includes(value))) {
     return { skipped: true, reason: `Extension ${ext} is ignored` }
   }
 
@@ -0,0 +1,166 @@
+const fs = require('fs/promises')
+const fssync = require('fs')
+const path = require('path')
+const { readRenamePlan } = require('./renamePlan')
+const { createOperationLog, listCreatedDirectories } = require('../utils/operationLog')
+const { fingerprintFile } = require('../utils/fileHash')
+const { createSummary } = require('./summary')
+const { colorize } = require('../utils/ansi')
+
+function describeSourceChange (expected, actual) {
+  if (!expected || typeof expected !== 'object') {
+    return 'Plan entry is missing the source fingerprint'
+  }
+  if (expected.size !== actual.size) {
+    return `File size changed since the plan was created (${expected.size} → ${actual.size} bytes)`
+  }
+  if (Math.abs(expected.mtimeMs - actual.mtimeMs) > 1) {
+    return 'File modification time changed since the plan was created'
+  }
+  if (expected.sha256 !== actual.sha256) {
+    return 'File contents changed since the plan was created'
+  }
+  return null
+}
+
+async function applyPlan (planPath, options, logger) {
+  const runStep = async (label, intention, fn) => {
+    if (logger && typeof logger.time === 'function') {
+      return logger.time(label, intention, fn)
+    }
+    return fn()
+  }
+
+  const resolvedPlanPath = path.resolve(planPath)
+  const plan = await runStep('readRenamePlan', `Reading rename plan ${resolvedPlanPath}`, () => readRenamePlan(resolvedPlanPath))
+  const entries = plan.entries.filter(entry => entry && entry.sourcePath && entry.destinationPath)
+
+  logger.debug(`Rename plan contains ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}.`)
+  if (!entries.length) {
+    logger.warn(colorize(`No planned renames found in ${resolvedPlanPath}.`, 'yellow'))
+    return
+  }
+
+  const operationLog = await runStep('operationLog.create', 'Preparing operation log', () => createOperationLog({
+    rootDirectory: plan.rootDirectory || path.dirname(resolvedPlanPath),
+    explicitPath: options.logFile,
+    logger
+  }))
+
+  const summary = createSummary()
+
+  const skip = (entry, reason) => {
+    logger.warn(colorize(`Skipping ${entry.sourcePath}: ${reason}`, 'yellow'))
+    summary.addSkip({ file: entry.sourcePath, reason })
+    operationLog.write({
+      timestamp: new Date().toISOString(),
+      operation: 'skip',
+      file: entry.sourcePath,
+      reason,
+      plan: resolvedPlanPath
+    })
+  }
+
+  for (const entry of entries) {
+    const { sourcePath, destinationPath } = entry
+    try {
+      if (!fssync.existsSync(sourcePath)) {
+        skip(entry, 'Source file no longer exists')
+        continue
+      }
+
+      const actual = await runStep('fingerprintFile', `Verifying ${path.basename(sourcePath)} against the plan`, () => fingerprintFile(sourcePath))
+      const changeReason = describeSourceChange(entry.source, actual)
+      if (changeReason) {
+        skip(entry, changeReason)
+        continue
+      }
+
+      if (fssync.existsSync(destinationPath)) {
+        skip(entry, `Destination already exists (${destinationPath})`)
+        continue
+      }
+
+      if (options.dryRun) {
+        logger.info(colorize(`Verified ${sourcePath} → ${destinationPath}`, 'cyan'))
+        summary.addRename({
+          original: sourcePath,
+          newName: destinationPath,
+          subject: entry.subject,
+          confidence: entry.subjectConfidence,
+          notes: entry.summary,
+          segments: entry.segments,
+          date: entry.date
+        })
+        continue
+      }
+
+      const destinationDirectory = path.dirname(destinationPath)
+      const createdPath = await runStep('fs.mkdir', `Ensuring destination directory ${destinationDirectory}`, () => fs.mkdir(destinationDirectory, { recursive: true }))
+      await runStep('fs.rename', `Renaming ${path.basename(sourcePath)} to ${path.basename(destinationPath)}`, () => fs.rename(sourcePath, destinationPath))
+      const renamedStats = await fs.stat(destinationPath)
+      const moved = destinationDirectory !== path.dirname(sourcePath)
+
+      logger.info(colorize(`Renamed ${sourcePath} → ${destinationPath}`, 'green'))
+      summary.addRename({
+        original: sourcePath,
+        newName: destinationPath,
+        subject: entry.subject,
+        confidence: entry.subjectConfidence,
+        notes: entry.summary,
+        subjectBrief: entry.subjectBrief,
+        documentDescription: entry.documentDescription,
+        segments: entry.segments,
+        date: entry.date
+      })
+      if (moved) {
+        summary.addMove({ file: destinationPath, destination: destinationDirectory, subject: entry.subject })
+      }
+
+      operationLog.write({
+        timestamp: new Date().toISOString(),
+        operation: 'rename',
+        originalPath: sourcePath,
+        newPath: destinationPath,
+        subject: entry.subject,
+        subjectConfidence: entry.subjectConfidence,
+        summary: entry.summary,
+        subjectBrief: entry.subjectBrief,
+        documentDescription: entry.documentDescription,
+        date: entry.date,
+        segments: entry.segments,
+        segmentSeparator: entry.segmentSeparator,
+        moved,
+        createdDirectory: createdPath ? destinationDirectory : null,
+        createdDirectories: createdPath ? listCreatedDirectories(destinationDirectory, createdPath) : undefined,
+        fingerprint: {
+          size: renamedStats.size,
+          mtimeMs: renamedStats.mtimeMs
+        },
+        plan: resolvedPlanPath
+      })
+    } catch (error) {
+      logger.error(colorize(`Error applying plan entry for ${sourcePath}: ${error.message}`, 'red'))
+      summary.addError({ file: sourcePath, error: error.message })
+      operationLog.write({
+        timestamp: new Date().toISOString(),
+        operation: 'error',
+        file: sourcePath,
+        error: error.message,
+        plan: resolvedPlanPath
+      })
+    }
+  }
+
+  if (options.summary) {
+    summary.print(logger)
+  }
+
+  await operationLog.close()
+
+  return summary.export()
+}
+
+module.exports = {
+  applyPlan
+}
@@ -27,7 +27,7 @@ async function loadInstructionFile (filePath, logger) {
   }
 }
 
-function buildSystemMessage ({ caseStyle, language, subjectStopwords, extraSystem }) {
+function buildSystemMessage ({ language, subjectStopwords, extraSystem }) {
   const lines = []
   lines.push('You are an analyst tasked with renaming downloaded diligence artifacts.')
   lines.push('Analyse the supplied context and return ONLY valid JSON matching this schema:')
@@ -40,7 +40,8 @@ function buildSystemMessage ({ caseStyle, language, subjectStopwords, extraSyste
   lines.push('  "summary": string')
   lines.push('}')
   lines.push('Do not emit commentary outside the JSON object.')
-  lines.push(`Filenames must be concise, descriptive, and prefer ${caseStyle}.`)
+  // Casing is applied by the CLI afterwards; leaving it out of the prompt keeps cached replies valid across --case changes.
+  lines.push('Filenames must be concise and descriptive, written as plain words; the CLI applies the requested case style.')
   lines.push(`Respond in ${language}.`)
   lines.push('Subject naming rules:')
   DEFAULT_SUBJECT_RULES.forEach(rule => lines.push(`- ${rule}`))
@@ -66,14 +67,12 @@ function parseStopwords (value) {
 }
 
 async function createInstructionSet (options, logger) {
-  const caseStyle = options.case || 'kebabCase'
   const language = options.language || 'English'
   const customStopwords = parseStopwords(options.subjectStopwords)
   const externalSystem = await loadInstructionFile(options.instructionsFile, logger)
   const subjectStopwords = uniqueList([...DEFAULT_STOPWORDS, ...customStopwords])
 
   const systemMessage = buildSystemMessage({
-    caseStyle,
     language,
     subjectStopwords,
     extraSystem: externalSystem
@@ -1,24 +1,32 @@
 const { getDateCandidates } = require('../utils/fileDates')
+const { buildModelResponseSchema } = require('../utils/modelResponseSchema')
+const { sampleText } = require('../utils/textSampling')
 
 const DEFAULT_PROMPT_CHAR_BUDGET = 12000
 const MAX_METADATA_ENTRIES = 120
 const MAX_DATE_CANDIDATES = 60
+const MIN_FITTED_SEGMENT = 400
+
+function segmentLength (segment, separatorLength) {
+  return segment === undefined || segment === null ? 0 : String(typeof segment === 'object' ? segment.text : segment).length + separatorLength
+}
 
 function enforcePromptBudget (segments, budget) {
+  const plain = segments.map(segment => (segment && typeof segment === 'object' ? segment.text : segment))
   if (!Number.isFinite(budget) || budget <= 0) {
-    return segments
+    return plain
   }
 
   const constrained = []
   const separator = '\\n\\n'
   let remaining = budget
 
-  for (const segment of segments) {
+  for (const [index, segment] of segments.entries()) {
     if (segment === undefined || segment === null) {
       continue
     }
 
-    const text = String(segment)
+    const text = String(plain[index])
     const separatorLength = constrained.length ? separator.length : 0
 
     if (text.length + separatorLength <= remaining) {
@@ -27,6 +35,18 @@ function enforcePromptBudget (segments, budget) {
       continue
     }
 
+    // A segment that knows how to shrink itself (sampled text) gives up room for everything after it.
+    if (typeof segment === 'object' && typeof segment.fit === 'function') {
+      const following = segments.slice(index + 1).reduce((sum, next) => sum + segmentLength(next, separator.length), 0)
+      const room = remaining - separatorLength - following
+      if (room >= MIN_FITTED_SEGMENT) {
+        const fitted = segment.fit(room).slice(0, room)
+        constrained.push(fitted)
+        remaining -= fitted.length + separatorLength
+        continue
+      }
+    }
+
     const available = remaining - separatorLength
     if (available > 16) {
       const truncated = `${text.slice(0, available - 1)}… [truncated due to size]`
@@ -43,7 +63,7 @@ function buildDefaultSystemMessage (options) {
   const instructions = [
     'You are an analyst tasked with renaming downloaded diligence artifacts. Read the provided context and return a JSON object with the following shape:\n{\n  "filename": string,\n  "subject": string | null,\n  "subject_confidence": number (0-1),\n  "subject_brief": string | null,\n  "document_description": string | null,\n  "summary": string\n}.',
     '- The filename MUST be concise, descriptive, and avoid filesystem-invalid characters.',
-    `- Prefer ${options.case || 'kebabCase'} case.`,
+    '- Write the filename as plain words; the CLI applies the requested case style afterwards.',
     `- Honour the requested language: ${options.language || 'English'}.`,
     '- Subjects represent the company, project, or person tied to the file. Treat the subject as a proper noun and use null if you are unsure.',
     '- subject_confidence should reflect how certain you are about the subject.',
@@ -87,18 +107,40 @@ function flattenMetadata (metadata, path = []) {
   return rows
 }
 
+// PDF title, outline and form values name a document more reliably than its body text, so they go first.
+function describePdfStructure (structure) {
+  const lines = ['PDF structure (prefer these over the body text when naming the file):']
+  if (structure.firstPageTitle) {
+    lines.push(`Largest text on page 1 (likely the title): ${structure.firstPageTitle.text}`)
+  }
+  if (Array.isArray(structure.outline) && structure.outline.length) {
+    lines.push(['Bookmark outline:', ...structure.outline.map(entry => `${'  '.repeat(Math.max(0, entry.level - 1))}- ${entry.title}`)].join('\n'))
+  }
+  if (Array.isArray(structure.formFields) && structure.formFields.length) {
+    lines.push(['Filled-in form fields:', ...structure.formFields.map(field => `- ${field.name}: ${field.value}`)].join('\n'))
+  }
+  return lines.length > 1 ? lines : []
+}
+
 function buildPrompt ({ content, options, subjectHints, instructionSet, dateCandidates }) {
   const systemMessage = instructionSet?.systemMessage || buildDefaultSystemMessage(options)
 
   const segments = []
   segments.push(`Original filename: ${content.fileName}`)
   segments.push(`Extension: ${content.extension}`)
+  if (content.fileType && (content.fileType.corrected || content.fileType.extension !== content.extension)) {
+    segments.push(`Detected type from file contents: ${content.fileType.label}${content.fileType.corrected ? ` (the file will be saved with ${content.fileType.extension}; do not describe it by its old extension)` : ''}`)
+  }
   segments.push(`Size: ${content.sizeBytes} bytes`)
   segments.push(`Modified: ${content.modifiedAt}`)
   if (content.createdAt) {
     segments.push(`Created: ${content.createdAt}`)
   }
 
+  if (content.pdfStructure) {
+    segments.push(...describePdfStructure(content.pdfStructure))
+  }
+
   if (content.metadata) {
     const metadataLines = flattenMetadata(content.metadata)
       .filter((entry) => entry.value !== undefined && entry.value !== null && entry.value !== '')
@@ -114,8 +156,20 @@ function buildPrompt ({ content, options, subjectHints, instructionSet, dateCand
     }
   }
 
+  if (content.archive) {
+    segments.push('This file is an archive. Name the bundle as a whole after what its files have in common (deal, project, counterparty, period) rather than after a single member file.')
+  }
+
+  const email = content.metadata?.email
+  if (email && email.senderDomain) {
+    segments.push(email.senderIsWebmail
+      ? `Email sender ${email.fromAddress} uses a personal webmail domain; infer the subject from the signature or message content instead.`
+      : `Email sender domain: ${email.senderDomain}. Treat the organisation behind this domain as a strong hint for the subject unless the content clearly concerns another company.`)
+  }
+
   if (content.ocr) {
     const ocrDetails = Object.entries(content.ocr)
+      .filter(([, value]) => value !== null && value !== undefined)
       .map(([key, value]) => `${key}: ${value}`)
     if (ocrDetails.length) {
       segments.push('OCR details:')
@@ -123,6 +177,13 @@ function buildPrompt ({ content, options, subjectHints, instructionSet, dateCand
     }
   }
 
+  if (content.transcription) {
+    const transcription = content.transcription
+    segments.push(content.text
+      ? `Transcript: the text below was transcribed locally with ${transcription.engine} (${transcription.model})${transcription.partial ? ` from the first ${transcription.minutes} minute(s) only` : ''}; expect recognition errors in names.`
+      : `Transcript: ${transcription.engine} found no speech in the first ${transcription.minutes} minute(s).`)
+  }
+
   if (options.appendDate) {
     const resolvedCandidates = dateCandidates && Array.isArray(dateCandidates) ? dateCandidates : getDateCandidates(content, { dateFormat: options.dateValueFormat || options.dateFormat })
     const format = options.dateValueFormat || options.dateFormat || 'YYYY-MM-DD'
@@ -155,8 +216,15 @@ function buildPrompt ({ content, options, subjectHints, instructionSet, dateCand
   }
 
   if (content.text) {
-    segments.push('Extracted text snippet:')
-    segments.push(content.text)
+    if (content.textSampling === 'structure') {
+      segments.push('The file is too large to include, so here is a summary of its structure with sample rows or values:')
+    } else if (content.textSampling === 'excerpts') {
+      segments.push('Extracted text, sampled from a long file (beginning, later headings, excerpts spread through the middle, and the end):')
+    } else {
+      segments.push(content.frames ? 'Subtitle text snippet:' : content.transcription ? 'Transcript snippet:' : 'Extracted text snippet:')
+    }
+    // The text can be re-sampled to whatever room is left, so the segments after it are not cut off.
+    segments.push(content.textSampling === 'structure' ? content.text : { text: content.text, fit: (available) => sampleText(content.text, available).text })
   }
 
   const visionAttachments = Array.isArray(content.images) ? content.images : []
@@ -181,7 +249,9 @@ function buildPrompt ({ content, options, subjectHints, instructionSet, dateCand
 
   if (content.frames && content.frames.length) {
     const duration = typeof content.duration === 'number' ? content.duration.toFixed(1) : content.duration
-    segments.push(`Video context: ${content.frameCount} frames sampled over ${duration} seconds.`)
+    const method = content.frameSampling === 'scene' ? ' at scene changes' : ''
+    const times = Array.isArray(content.frameTimes) && content.frameTimes.length ? ` (at ${content.frameTimes.map(time => `${time}s`).join(', ')})` : ''
+    segments.push(`Video context: ${content.frameCount} frames sampled${method} over ${duration} seconds${times}.`)
     if (content.frameError) {
       segments.push(`Frame extraction warning: ${content.frameError}`)
     }
@@ -212,7 +282,8 @@ function buildPrompt ({ content, options, subjectHints, instructionSet, dateCand
     systemMessage,
     userMessage,
     images: visionAttachments.length ? visionAttachments : (content.image ? [content.image] : []),
-    frames: content.frames || []
+    frames: content.frames || [],
+    responseSchema: buildModelResponseSchema({ includeAppliedDate: Boolean(options.appendDate) })
   }
 }
 
@@ -0,0 +1,58 @@
+const fs = require('fs/promises')
+const path = require('path')
+
+const PLAN_VERSION = 1
+
+function createRenamePlan ({ outputPath, rootDirectory, options = {} }) {
+  const resolvedPath = path.resolve(outputPath)
+  const entries = []
+
+  return {
+    path: resolvedPath,
+    add (entry) {
+      if (!entry || typeof entry !== 'object') return
+      entries.push(entry)
+    },
+    size () {
+      return entries.length
+    },
+    async save () {
+      const payload = {
+        version: PLAN_VERSION,
+        createdAt: new Date().toISOString(),
+        rootDirectory,
+        provider: options.provider || null,
+        model: options.model || null,
+        entries
+      }
+      await fs.mkdir(path.dirname(resolvedPath), { recursive: true })
+      await fs.writeFile(resolvedPath, `${JSON.stringify(payload, null, 2)}\n`, 'utf8')
+      return resolvedPath
+    }
+  }
+}
+
+async function readRenamePlan (planPath) {
+  const raw = await fs.readFile(planPath, 'utf8')
+  let parsed
+  try {
+    parsed = JSON.parse(raw)
+  } catch (error) {
+    throw new Error(`Unable to parse rename plan ${planPath}: ${error.message}`)
+  }
+
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.entries)) {
+    throw new Error(`Rename plan ${planPath} is missing an "entries" array`)
+  }
+  if (parsed.version !== PLAN_VERSION) {
+    throw new Error(`Unsupported rename plan version ${parsed.version} (expected ${PLAN_VERSION})`)
+  }
+
+  return parsed
+}
+
+module.exports = {
+  createRenamePlan,
+  readRenamePlan,
+  PLAN_VERSION
+}
@@ -0,0 +1,217 @@
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const { createHash } = require('crypto')
+const { hashFile } = require('../utils/fileHash')
+const { colorize } = require('../utils/ansi')
+
+const CACHE_VERSION = 1
+const DEFAULT_MAX_AGE_DAYS = 30
+// The Cache Directory Tagging spec marker: backup tools skip the folder, and cache-prune only touches folders that have it.
+const CACHE_MARKER = 'CACHEDIR.TAG'
+const CACHE_MARKER_CONTENT = 'Signature: 8a477f597d28d172789f06886806bc55\n# This file is a cache directory tag created by ji-renamer.\n'
+const SHARD_DIRECTORY = /^[0-9a-f]{2}$/
+const CACHE_ENTRY = /^[0-9a-f]{64}\.json(\.\d+\.tmp)?$/
+
+function resolveCacheDirectory (options = {}) {
+  if (options.cacheDir) {
+    return path.resolve(options.cacheDir)
+  }
+  if (process.env.XDG_CACHE_HOME) {
+    return path.join(process.env.XDG_CACHE_HOME, 'ji-renamer', 'responses')
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Caches', 'ji-renamer', 'responses')
+  }
+  return path.join(os.homedir(), '.cache', 'ji-renamer', 'responses')
+}
+
+function hashText (...parts) {
+  const hash = createHash('sha256')
+  parts.forEach(part => {
+    hash.update(typeof part === 'string' ? part : JSON.stringify(part ?? null))
+    hash.update('\0')
+  })
+  return hash.digest('hex')
+}
+
+async function ensureCacheMarker (directory) {
+  await fs.mkdir(directory, { recursive: true })
+  await fs.writeFile(path.join(directory, CACHE_MARKER), CACHE_MARKER_CONTENT, { flag: 'wx' }).catch((error) => {
+    if (error.code !== 'EEXIST') throw error
+  })
+}
+
+function entryPath (directory, key) {
+  return path.join(directory, key.slice(0, 2), `${key}.json`)
+}
+
+/**
+ * On-disk cache of raw model replies keyed by file content, provider, model, and prompt, so re-runs
+ * that only change CLI-side formatting (case, templates, separators) skip the provider entirely.
+ */
+function createResponseCache ({ options, logger }) {
+  const directory = resolveCacheDirectory(options)
+  const enabled = options.cache !== false
+  const refresh = Boolean(options.refreshCache)
+  const provider = (options.provider || 'ollama').toLowerCase()
+  const model = options.model || ''
+  const stats = { hits: 0, misses: 0, writes: 0 }
+
+  if (!enabled) {
+    logger.debug('Response cache disabled (--no-cache).')
+  } else {
+    logger.debug(`Response cache at ${directory}${refresh ? ' (refreshing entries)' : ''}.`)
+  }
+
+  // The key covers the whole rendered prompt, attachments and schema included, so any change to what the
+  // model would see (extracted text, instructions, subject hints, options) asks the model again.
+  async function keyFor (filePath, prompt, contentHash) {
+    const fileHash = contentHash || await hashFile(filePath)
+    const promptHash = hashText(prompt.systemMessage, prompt.userMessage, prompt.responseSchema, prompt.images || [], prompt.frames || [])
+    return {
+      key: hashText(CACHE_VERSION, provider, model, fileHash, promptHash),
+      contentHash: fileHash
+    }
+  }
+
+  async function get (key) {
+    if (!enabled || refresh) {
+      return null
+    }
+    try {
+      const raw = await fs.readFile(entryPath(directory, key), 'utf8')
+      const entry = JSON.parse(raw)
+      if (entry.version !== CACHE_VERSION || entry.response === undefined) {
+        stats.misses += 1
+        return null
+      }
+      stats.hits += 1
+      return entry.response
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.debug(`Ignoring unreadable cache entry ${key}: ${error.message}`)
+      }
+      stats.misses += 1
+      return null
+    }
+  }
+
+  async function set (key, response, details = {}) {
+    if (!enabled) {
+      return
+    }
+    const target = entryPath(directory, key)
+    const temporary = `${target}.${process.pid}.tmp`
+    try {
+      await ensureCacheMarker(directory)
+      await fs.mkdir(path.dirname(target), { recursive: true })
+      await fs.writeFile(temporary, JSON.stringify({
+        version: CACHE_VERSION,
+        createdAt: new Date().toISOString(),
+        provider,
+        model,
+        ...details,
+        response
+      }), 'utf8')
+      await fs.rename(temporary, target)
+      stats.writes += 1
+    } catch (error) {
+      logger.warn(`Unable to write response cache entry: ${error.message}`)
+      await fs.rm(temporary, { force: true }).catch(() => {})
+    }
+  }
+
+  return {
+    directory,
+    enabled,
+    keyFor,
+    get,
+    set,
+    stats
+  }
+}
+
+async function hasCacheMarker (directory) {
+  try {
+    return (await fs.readFile(path.join(directory, CACHE_MARKER), 'utf8')).startsWith(CACHE_MARKER_CONTENT.split('\n')[0])
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Delete cache entries older than `--cache-max-age-days`. Only the entry files the cache writes
+ * (`<sha256>.json` and their temporary files) inside its two-character shard folders and `ocr`
+ * folder are touched, and a directory is only pruned when it carries the cache marker or is the
+ * configured cache directory (caches written before the marker existed).
+ */
+async function pruneResponseCache (cacheDirectory, options, logger) {
+  const maxAgeDays = Number.isFinite(options.cacheMaxAgeDays) && options.cacheMaxAgeDays >= 0
+    ? options.cacheMaxAgeDays
+    : DEFAULT_MAX_AGE_DAYS
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000
+
+  let shards
+  try {
+    shards = await fs.readdir(cacheDirectory, { withFileTypes: true })
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.info(`No response cache found at ${cacheDirectory}.`)
+      return { removed: 0, kept: 0, bytes: 0 }
+    }
+    throw error
+  }
+
+  const configured = path.resolve(cacheDirectory) === resolveCacheDirectory(options)
+  if (!configured && !(await hasCacheMarker(cacheDirectory))) {
+    throw new Error(`${cacheDirectory} is not a ji-renamer response cache (no ${CACHE_MARKER} file); refusing to prune it.`)
+  }
+
+  let removed = 0
+  let kept = 0
+  let bytes = 0
+
+  for (const shard of shards) {
+    if (!shard.isDirectory() || !(SHARD_DIRECTORY.test(shard.name) || shard.name === 'ocr')) continue
+    const shardPath = path.join(cacheDirectory, shard.name)
+    const files = await fs.readdir(shardPath, { withFileTypes: true })
+
+    for (const file of files) {
+      if (!file.isFile() || !CACHE_ENTRY.test(file.name)) continue
+      const filePath = path.join(shardPath, file.name)
+      const stats = await fs.stat(filePath)
+      // Entries are rewritten on refresh, so the file mtime is when the reply was cached.
+      if (stats.mtimeMs >= cutoff) {
+        kept += 1
+        continue
+      }
+
+      removed += 1
+      bytes += stats.size
+      if (!options.dryRun) {
+        await fs.rm(filePath, { force: true })
+      }
+    }
+
+    if (!options.dryRun && shard.name !== 'ocr') {
+      const remaining = await fs.readdir(shardPath)
+      if (!remaining.length) {
+        await fs.rmdir(shardPath).catch(() => {})
+      }
+    }
+  }
+
+  const verb = options.dryRun ? 'Would remove' : 'Removed'
+  const size = bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`
+  logger.info(colorize(`${verb} ${removed} cached response(s) older than ${maxAgeDays} day(s) (${size}); ${kept} kept in ${cacheDirectory}.`, 'green'))
+
+  return { removed, kept, bytes }
+}
+
+module.exports = {
+  createResponseCache,
+  ensureCacheMarker,
+  pruneResponseCache,
+  resolveCacheDirectory
+}
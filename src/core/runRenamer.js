@@ -4,19 +4,29 @@ const path = require('path')
 const { discoverFiles } = require('./discoverFiles')
 const { applyFilters } = require('./applyFilters')
 const { extractContent } = require('../extractors/contentExtractor')
+const { prepareContentAttachments } = require('../utils/imagePreparation')
 const { buildPrompt } = require('./promptBuilder')
 const { createProviderClient } = require('../providers/createProviderClient')
+const { resolveRequestPolicy } = require('../providers/requestPolicy')
 const { applyCase } = require('../utils/caseFormat')
 const { sanitizeFilename, truncateFilename, ensureUniqueName } = require('../utils/sanitize')
-const { getExtension } = require('../utils/fileType')
+const { getExtension, getFileCategory } = require('../utils/fileType')
 const { createSubjectManager } = require('./subjectManager')
 const { createSummary } = require('./summary')
 const { parseModelResponse } = require('../utils/parseModelResponse')
+const { repairModelResponse } = require('../utils/modelResponseSchema')
 const { createInstructionSet } = require('./instructionSet')
 const { getDateCandidates, buildDateFormatRegex } = require('../utils/fileDates')
-const { createOperationLog } = require('../utils/operationLog')
+const { createOperationLog, isOperationLogFile, listCreatedDirectories } = require('../utils/operationLog')
 const { renderPanel, applyPanelTheme } = require('../utils/asciiPanel')
 const { colorize } = require('../utils/ansi')
+const { createRenamePlan } = require('./renamePlan')
+const { createResponseCache } = require('./responseCache')
+const { fingerprintFile } = require('../utils/fileHash')
+const { createReviewPrompt } = require('../utils/reviewPrompt')
+const { createLock, mapWithConcurrency } = require('../utils/concurrency')
+const { createRunState } = require('./runState')
+const { unpackArchive } = require('./unpackArchive')
 
 const DATE_TOKEN_PATTERN = /(YYYY|YY|MM|DD|HH|mm|ss)/
 
@@ -83,9 +93,23 @@ const PANEL_THEMES = {
     header: ['bold', 'green'],
     label: ['bold', 'green'],
     value: 'white'
+  },
+  review: {
+    border: 'yellow',
+    header: ['bold', 'yellow'],
+    label: ['bold', 'yellow'],
+    value: 'white'
   }
 }
 
+const REVIEW_CHOICES = [
+  { key: 'a', value: 'accept', label: 'accept' },
+  { key: 'e', value: 'edit', label: 'edit name' },
+  { key: 'r', value: 'regenerate', label: 'regenerate with guidance' },
+  { key: 'c', value: 'subject', label: 'change subject' },
+  { key: 's', value: 'skip', label: 'skip' }
+]
+
 function formatSegmentSummary (segmentDetails, separator) {
   if (!Array.isArray(segmentDetails) || segmentDetails.length === 0) {
     return 'none'
@@ -165,33 +189,23 @@ function normaliseModelResult (rawResult) {
   }
 }
 
-async function runRenamer (targetPath, options, logger) {
-  const runStep = async (label, intention, fn) => {
-    if (logger && typeof logger.time === 'function') {
-      return logger.time(label, intention, fn)
+async function createRenameSession ({ rootDirectory, options, logger, operationLog, runState = null, renamePlan = null }) {
+  const runStepWith = async (activeLogger, label, intention, fn) => {
+    if (activeLogger && typeof activeLogger.time === 'function') {
+      return activeLogger.time(label, intention, fn)
     }
     return fn()
   }
-
-  const stats = await runStep('fs.stat', `Inspecting target path ${targetPath}`, () => fs.stat(targetPath))
-  const rootDirectory = stats.isDirectory() ? targetPath : path.dirname(targetPath)
-  const files = await runStep('discoverFiles', `Scanning for files starting at ${targetPath}`, () => discoverFiles(targetPath, options.includeSubdirectories))
-  logger.debug(`discoverFiles returned ${files.length} candidate file(s).`)
-  if (!files.length) {
-    logger.warn(colorize('No files found to process.', 'yellow'))
-    return
-  }
+  const runStep = (label, intention, fn) => runStepWith(logger, label, intention, fn)
 
   const provider = await runStep('createProviderClient', `Initialising provider client (${options.provider || 'ollama'})`, () => createProviderClient(options, logger))
+  const requestPolicy = resolveRequestPolicy(options)
+  logger.debug(`Provider requests time out after ${requestPolicy.timeoutMs ? `${requestPolicy.timeoutMs / 1000}s` : 'never'} and retry up to ${requestPolicy.maxRetries} time(s).`)
   const instructionSet = await runStep('createInstructionSet', 'Loading instruction set', () => createInstructionSet(options, logger))
+  const responseCache = createResponseCache({ options, logger })
 
   const { template: dateTemplate, valueFormat: dateValueFormat } = resolveDatePreferences(options)
 
-  const operationLog = await runStep('operationLog.create', 'Preparing operation log', () => createOperationLog({
-    rootDirectory,
-    explicitPath: options.logFile,
-    logger
-  }))
   const datePattern = buildDateFormatRegex(dateValueFormat)
 
   let subjectManager = null
@@ -203,215 +217,410 @@ async function runRenamer (targetPath, options, logger) {
     }, logger))
   }
 
+  const reservedPaths = new Set()
+  const isPathTaken = (candidate) => reservedPaths.has(candidate) || fssync.existsSync(candidate)
+
   const summary = createSummary()
+  const reviewer = options.interactive ? createReviewPrompt(logger) : null
+  const concurrency = Math.max(1, Math.floor(Number(options.concurrency) || 1))
+  const finaliseLock = createLock()
+  // Files unpacked by --unpack-archives wait here until the caller renames them; they are never unpacked again.
+  const unpackedMembers = new Set()
+  let pendingMembers = []
+
+  async function composeProposal (filePath, modelResult, { subjectOverride = null, nameOverride = null, fileType = null } = {}) {
+    const { filename, subject, summary: fileSummary, subjectConfidence, appliedDate, subjectBrief, documentDescription } = modelResult
+
+    const cleanedSubject = subjectOverride || (instructionSet?.sanitizeSubject ? instructionSet.sanitizeSubject(subject) : subject)
+    const effectiveSubject = cleanedSubject || null
+    const effectiveConfidence = effectiveSubject ? (subjectOverride ? 1 : subjectConfidence) : 0
+
+    // Sniffed content decides the extension when the name has none or a wrong one.
+    const extension = (fileType ? fileType.extension : getExtension(filePath)).replace('.', '')
+    const extensionCorrection = fileType && fileType.corrected
+      ? { from: getExtension(filePath) || null, to: fileType.extension, detectedType: fileType.label }
+      : null
+    const caseStyle = options.case || 'kebabCase'
+    const baseWithoutExt = extension && filename.toLowerCase().endsWith(`.${extension}`)
+      ? filename.slice(0, -(extension.length + 1))
+      : filename.replace(/\.[^./]+$/, '')
+    let workingBase = baseWithoutExt
+
+    let appliedDateValue = appliedDate?.value ? appliedDate.value.trim() : ''
+    let appliedDateSource = appliedDate?.source || null
+    const appliedDateRationale = appliedDate?.rationale || null
+
+    if (options.appendDate && !appliedDateValue) {
+      const baseMatch = workingBase ? workingBase.match(datePattern) : null
+      if (baseMatch) {
+        appliedDateValue = baseMatch[0]
+        if (!appliedDateSource) {
+          appliedDateSource = 'filename'
+        }
+      }
+    }
 
-  for (const filePath of files) {
-    try {
-      const filterResult = await runStep('applyFilters', `Evaluating filters for ${path.basename(filePath)}`, () => applyFilters(filePath, options))
-      if (filterResult.skipped) {
-        logger.info(colorize(`Skipping ${filePath}: ${filterResult.reason}`, 'yellow'))
-        summary.addSkip({ file: filePath, reason: filterResult.reason })
-        operationLog.write({
-          timestamp: new Date().toISOString(),
-          operation: 'skip',
-          file: filePath,
-          reason: filterResult.reason
-        })
-        continue
+    if (options.appendDate && appliedDateValue) {
+      workingBase = stripTrailingDate(workingBase, datePattern)
+    }
+
+    const formattedBase = workingBase ? applyCase(workingBase, caseStyle) : ''
+    const subjectTemplateValue = effectiveSubject || null
+    const formattedSubjectSegment = formatTemplateSegment(options.subjectFormat, subjectTemplateValue, caseStyle)
+    const formattedSubjectBriefSegment = formatTemplateSegment(options.subjectBriefFormat, subjectBrief, caseStyle)
+    const formattedDocumentDescriptionSegment = formatTemplateSegment(options.documentDescriptionFormat, documentDescription, caseStyle)
+
+    const separator = typeof options.segmentSeparator === 'string' ? options.segmentSeparator : '-'
+    const segmentDetails = []
+    const segments = []
+
+    if (formattedSubjectSegment) {
+      segments.push(formattedSubjectSegment)
+      segmentDetails.push({ type: 'subject', value: formattedSubjectSegment, raw: subjectTemplateValue, template: options.subjectFormat || null })
+    }
+    if (formattedSubjectBriefSegment) {
+      segments.push(formattedSubjectBriefSegment)
+      segmentDetails.push({ type: 'subject-brief', value: formattedSubjectBriefSegment, raw: subjectBrief, template: options.subjectBriefFormat || null })
+    }
+    if (formattedDocumentDescriptionSegment) {
+      segments.push(formattedDocumentDescriptionSegment)
+      segmentDetails.push({ type: 'document-description', value: formattedDocumentDescriptionSegment, raw: documentDescription, template: options.documentDescriptionFormat || null })
+    }
+
+    if (!segments.length && formattedBase) {
+      segments.push(formattedBase)
+      segmentDetails.push({ type: 'title', value: formattedBase, raw: workingBase })
+    }
+
+    if (!segments.length) {
+      const fallbackSource = workingBase || baseWithoutExt || 'untitled'
+      const fallbackValue = applyCase(fallbackSource, caseStyle)
+      segments.push(fallbackValue)
+      segmentDetails.push({ type: 'title', value: fallbackValue, raw: fallbackSource })
+    }
+
+    let formattedDateSegment = ''
+    if (options.appendDate && appliedDateValue) {
+      formattedDateSegment = formatTemplateSegment(dateTemplate, appliedDateValue, caseStyle) || ''
+      if (formattedDateSegment) {
+        segments.push(formattedDateSegment)
+        segmentDetails.push({ type: 'date', value: formattedDateSegment, raw: appliedDateValue, template: dateTemplate, source: appliedDateSource || null })
+      }
+    }
+
+    let sanitizedName
+    if (nameOverride) {
+      // Manually edited names bypass case formatting and templating but still get sanitised.
+      const trimmedOverride = nameOverride.trim()
+      const manualBase = extension && trimmedOverride.toLowerCase().endsWith(`.${extension.toLowerCase()}`)
+        ? trimmedOverride.slice(0, -(extension.length + 1))
+        : trimmedOverride
+      sanitizedName = sanitizeFilename(manualBase, extension)
+      segmentDetails.splice(0, segmentDetails.length, { type: 'manual', value: sanitizedName.replace(/\.[^./]+$/, ''), raw: nameOverride })
+    } else {
+      const combinedBase = segments.join(separator)
+      const truncatedCombined = options.chars ? truncateFilename(combinedBase, options.chars) : combinedBase
+      sanitizedName = sanitizeFilename(truncatedCombined, extension)
+    }
+
+    let destinationDirectory = path.dirname(filePath)
+    let resolvedSubject = effectiveSubject
+
+    // Proposals are recomposed during review, so nothing here may create folders or record hints.
+    if (subjectManager) {
+      const subjectResolution = subjectManager.planDestination({
+        subject: effectiveSubject,
+        confidence: effectiveConfidence
+      })
+      if (subjectResolution) {
+        destinationDirectory = subjectResolution.directory
+        resolvedSubject = subjectResolution.subject
       }
+    }
+
+    const finalName = await runStep('ensureUniqueName', `Ensuring unique filename for ${sanitizedName}`, () => ensureUniqueName(destinationDirectory, sanitizedName, isPathTaken))
+    const destinationPath = path.join(destinationDirectory, finalName)
 
-      logger.info(`Processing ${filePath}`)
-      const content = await runStep('extractContent', `Extracting content from ${path.basename(filePath)}`, () => extractContent(filePath, options, logger))
-      const dateCandidates = options.appendDate ? getDateCandidates(content, { dateFormat: dateValueFormat }) : []
-      const subjectHints = subjectManager ? subjectManager.getHints() : []
-      const promptOptions = { ...options, dateValueFormat, dateFormatTemplate: dateTemplate }
-      const prompt = await runStep('buildPrompt', `Constructing prompt for ${path.basename(filePath)}`, () => buildPrompt({ content, options: promptOptions, subjectHints, instructionSet, dateCandidates }))
-      const modelResponse = await runStep('provider.generateFilename', `Requesting filename suggestion for ${path.basename(filePath)}`, () => provider.generateFilename(prompt))
-      const { filename, subject, summary: fileSummary, subjectConfidence, appliedDate, subjectBrief, documentDescription } = normaliseModelResult(modelResponse)
-
-      const cleanedSubject = instructionSet?.sanitizeSubject ? instructionSet.sanitizeSubject(subject) : subject
-      const effectiveSubject = cleanedSubject || null
-      const effectiveConfidence = effectiveSubject ? subjectConfidence : 0
-
-      const extension = getExtension(filePath).replace('.', '')
-      const caseStyle = options.case || 'kebabCase'
-      const baseWithoutExt = filename.replace(/\.[^./]+$/, '')
-      let workingBase = baseWithoutExt
-
-      let appliedDateValue = appliedDate?.value ? appliedDate.value.trim() : ''
-      let appliedDateSource = appliedDate?.source || null
-      const appliedDateRationale = appliedDate?.rationale || null
-
-      if (options.appendDate && !appliedDateValue) {
-        const baseMatch = workingBase ? workingBase.match(datePattern) : null
-        if (baseMatch) {
-          appliedDateValue = baseMatch[0]
-          if (!appliedDateSource) {
-            appliedDateSource = 'filename'
+    if (options.appendDate && !appliedDateValue) {
+      const baseWithoutExtension = finalName.replace(/\.[^./]+$/, '')
+      const match = baseWithoutExtension.match(datePattern)
+      if (match) {
+        appliedDateValue = match[0]
+        if (!appliedDateSource) {
+          appliedDateSource = 'filename'
+        }
+        if (!formattedDateSegment) {
+          formattedDateSegment = formatTemplateSegment(dateTemplate, appliedDateValue, caseStyle) || ''
+          if (formattedDateSegment) {
+            segmentDetails.push({ type: 'date', value: formattedDateSegment, raw: appliedDateValue, template: dateTemplate, source: appliedDateSource || null })
           }
         }
       }
+    }
 
-      if (options.appendDate && appliedDateValue) {
-        workingBase = stripTrailingDate(workingBase, datePattern)
-      }
+    const appliedDateRecord = {
+      value: appliedDateValue || null,
+      source: appliedDateSource,
+      rationale: appliedDateRationale,
+      formatted: formattedDateSegment || null
+    }
 
-      const formattedBase = workingBase ? applyCase(workingBase, caseStyle) : ''
-      const subjectTemplateValue = effectiveSubject || null
-      const formattedSubjectSegment = formatTemplateSegment(options.subjectFormat, subjectTemplateValue, caseStyle)
-      const formattedSubjectBriefSegment = formatTemplateSegment(options.subjectBriefFormat, subjectBrief, caseStyle)
-      const formattedDocumentDescriptionSegment = formatTemplateSegment(options.documentDescriptionFormat, documentDescription, caseStyle)
+    if (appliedDateRecord.value) {
+      const formattedHint = appliedDateRecord.formatted && appliedDateRecord.formatted !== appliedDateRecord.value
+        ? ` → ${appliedDateRecord.formatted}`
+        : ''
+      const sourceLabel = appliedDateRecord.source ? ` (source: ${appliedDateRecord.source})` : ''
+      logger.info(colorize(`Selected date for ${path.basename(filePath)}: ${appliedDateRecord.value}${formattedHint}${sourceLabel}`, 'magenta'))
+    } else if (options.appendDate) {
+      logger.warn(`No date appended for ${path.basename(filePath)} despite append-date being enabled.`)
+    }
 
-      const separator = typeof options.segmentSeparator === 'string' ? options.segmentSeparator : '-'
-      const segmentDetails = []
-      const segments = []
+    return {
+      finalName,
+      destinationPath,
+      destinationDirectory,
+      moved: destinationDirectory !== path.dirname(filePath),
+      resolvedSubject,
+      effectiveConfidence,
+      subjectBrief,
+      documentDescription,
+      fileSummary,
+      segmentDetails,
+      separator,
+      appliedDateRecord,
+      extensionCorrection
+    }
+  }
 
-      if (formattedSubjectSegment) {
-        segments.push(formattedSubjectSegment)
-        segmentDetails.push({ type: 'subject', value: formattedSubjectSegment, raw: subjectTemplateValue, template: options.subjectFormat || null })
-      }
-      if (formattedSubjectBriefSegment) {
-        segments.push(formattedSubjectBriefSegment)
-        segmentDetails.push({ type: 'subject-brief', value: formattedSubjectBriefSegment, raw: subjectBrief, template: options.subjectBriefFormat || null })
+  function buildPanelLines (filePath, proposal, nameLabel) {
+    const { finalName, segmentDetails, separator, resolvedSubject, effectiveConfidence, appliedDateRecord, subjectBrief, documentDescription, fileSummary, moved, destinationDirectory, extensionCorrection } = proposal
+    const segmentSummary = formatSegmentSummary(segmentDetails, separator)
+    const subjectLine = resolvedSubject ? `${resolvedSubject} (${formatConfidence(effectiveConfidence)})` : 'n/a'
+    const dateLine = appliedDateRecord.value
+      ? `${appliedDateRecord.formatted || appliedDateRecord.value}${appliedDateRecord.source ? ` [${appliedDateRecord.source}]` : ''}`
+      : 'none'
+    return [
+      `Original : ${path.basename(filePath)}`,
+      `${nameLabel.padEnd(8)} : ${finalName}`,
+      extensionCorrection ? `Type     : ${extensionCorrection.detectedType} (extension ${extensionCorrection.from || 'missing'} → ${extensionCorrection.to})` : null,
+      `Segments : ${segmentSummary}`,
+      `Subject  : ${subjectLine}`,
+      subjectBrief ? `Brief    : ${subjectBrief}` : null,
+      documentDescription ? `Doc Desc : ${documentDescription}` : null,
+      `Date     : ${dateLine}`,
+      appliedDateRecord.rationale ? `Rationale: ${appliedDateRecord.rationale}` : null,
+      fileSummary ? `Notes    : ${fileSummary}` : null,
+      `Move     : ${moved ? `→ ${destinationDirectory}` : 'no move'}`
+    ].filter(Boolean)
+  }
+
+  async function reviewProposal (filePath, initialProposal, { modelResult: initialResult, requestSuggestion, fileType }) {
+    let modelResult = initialResult
+    let proposal = initialProposal
+    const overrides = { subjectOverride: null, nameOverride: null, fileType }
+    const guidance = []
+    const edits = {}
+
+    while (true) {
+      emitPanel(logger, 'info', '? REVIEW', buildPanelLines(filePath, proposal, 'Proposed'), PANEL_THEMES.review)
+      const choice = await reviewer.choose(`${path.basename(filePath)}: `, REVIEW_CHOICES)
+
+      if (choice === 'accept') {
+        return { action: 'accept', proposal, modelResult, guidance, edits }
       }
-      if (formattedDocumentDescriptionSegment) {
-        segments.push(formattedDocumentDescriptionSegment)
-        segmentDetails.push({ type: 'document-description', value: formattedDocumentDescriptionSegment, raw: documentDescription, template: options.documentDescriptionFormat || null })
+      if (choice === 'skip') {
+        return { action: 'skip', proposal, modelResult, guidance, edits }
       }
 
-      if (!segments.length && formattedBase) {
-        segments.push(formattedBase)
-        segmentDetails.push({ type: 'title', value: formattedBase, raw: workingBase })
+      if (choice === 'edit') {
+        const edited = await reviewer.ask('New filename: ', { initial: proposal.finalName })
+        if (!edited || edited === proposal.finalName) continue
+        edits.filename = { from: proposal.finalName, to: edited }
+        overrides.nameOverride = edited
+      } else if (choice === 'subject') {
+        const edited = await reviewer.ask('New subject: ', { initial: proposal.resolvedSubject || '' })
+        if (!edited || edited === proposal.resolvedSubject) continue
+        edits.subject = { from: proposal.resolvedSubject, to: edited }
+        overrides.subjectOverride = edited
+      } else if (choice === 'regenerate') {
+        const extra = await reviewer.ask('Additional guidance for the model: ')
+        if (!extra) continue
+        guidance.push(extra)
+        modelResult = await requestSuggestion(guidance)
+        overrides.nameOverride = null
+        delete edits.filename
       }
 
-      if (!segments.length) {
-        const fallbackSource = workingBase || baseWithoutExt || 'untitled'
-        const fallbackValue = applyCase(fallbackSource, caseStyle)
-        segments.push(fallbackValue)
-        segmentDetails.push({ type: 'title', value: fallbackValue, raw: fallbackSource })
-      }
+      proposal = await composeProposal(filePath, modelResult, overrides)
+    }
+  }
 
-      let formattedDateSegment = ''
-      if (options.appendDate && appliedDateValue) {
-        formattedDateSegment = formatTemplateSegment(dateTemplate, appliedDateValue, caseStyle) || ''
-        if (formattedDateSegment) {
-          segments.push(formattedDateSegment)
-          segmentDetails.push({ type: 'date', value: formattedDateSegment, raw: appliedDateValue, template: dateTemplate, source: appliedDateSource || null })
-        }
-      }
+  // The proposed name carries the sniffed extension, so extension-less archives are unpacked too.
+  function shouldUnpack (filePath, finalName) {
+    return Boolean(options.unpackArchives) && getFileCategory(finalName) === 'archive' && !unpackedMembers.has(filePath)
+  }
 
-      const combinedBase = segments.join(separator)
-      const truncatedCombined = options.chars ? truncateFilename(combinedBase, options.chars) : combinedBase
-      const sanitizedName = sanitizeFilename(truncatedCombined, extension)
-
-      let destinationDirectory = path.dirname(filePath)
-      let resolvedSubject = effectiveSubject
-
-      if (subjectManager) {
-        const subjectResolution = await runStep('subjectManager.resolve', `Resolving destination for ${path.basename(filePath)}`, () => subjectManager.resolveDestination({
-          subject: effectiveSubject,
-          confidence: effectiveConfidence
-        }))
-        if (subjectResolution) {
-          destinationDirectory = subjectResolution.directory
-          resolvedSubject = subjectResolution.subject
-        }
-      }
+  async function unpackRenamedArchive (archivePath) {
+    try {
+      const { directory, files } = await runStep('unpackArchive', `Unpacking ${path.basename(archivePath)}`, () => unpackArchive(archivePath, { logger }))
+      files.forEach(member => unpackedMembers.add(member))
+      pendingMembers.push(...files)
+      logger.info(colorize(`Unpacked ${files.length} file(s) from ${path.basename(archivePath)} into ${directory}; they will be renamed next.`, 'cyan'))
+      // Fingerprints let `undo` delete the unpacked copies only while they are unchanged.
+      const members = await Promise.all(files.map(async member => {
+        const stats = await fs.stat(member)
+        return { path: member, size: stats.size, mtimeMs: stats.mtimeMs }
+      }))
+      operationLog.write({
+        timestamp: new Date().toISOString(),
+        operation: 'unpack',
+        archivePath,
+        directory,
+        files: files.length,
+        members
+      })
+    } catch (error) {
+      logger.warn(`Unable to unpack ${path.basename(archivePath)}: ${error.message}`)
+    }
+  }
 
-      await runStep('fs.mkdir', `Ensuring destination directory ${destinationDirectory}`, () => fs.mkdir(destinationDirectory, { recursive: true }))
+  async function prepareFile (filePath, fileLogger) {
+    const step = (label, intention, fn) => runStepWith(fileLogger, label, intention, fn)
 
-      const finalName = await runStep('ensureUniqueName', `Ensuring unique filename for ${sanitizedName}`, () => ensureUniqueName(destinationDirectory, sanitizedName, fssync.existsSync))
-      const destinationPath = path.join(destinationDirectory, finalName)
+    const filterResult = await step('applyFilters', `Evaluating filters for ${path.basename(filePath)}`, () => applyFilters(filePath, options))
+    if (filterResult.skipped) {
+      return { skipped: true, reason: filterResult.reason }
+    }
 
-      if (options.appendDate && !appliedDateValue) {
-        const baseWithoutExtension = finalName.replace(/\.[^./]+$/, '')
-        const match = baseWithoutExtension.match(datePattern)
-        if (match) {
-          appliedDateValue = match[0]
-          if (!appliedDateSource) {
-            appliedDateSource = 'filename'
-          }
-          if (!formattedDateSegment) {
-            formattedDateSegment = formatTemplateSegment(dateTemplate, appliedDateValue, caseStyle) || ''
-            if (formattedDateSegment) {
-              segmentDetails.push({ type: 'date', value: formattedDateSegment, raw: appliedDateValue, template: dateTemplate, source: appliedDateSource || null })
-            }
-          }
-        }
+    fileLogger.info(`Processing ${filePath}`)
+    const extracted = await step('extractContent', `Extracting content from ${path.basename(filePath)}`, () => extractContent(filePath, options, fileLogger))
+    const { content, changes: attachmentChanges } = await step('prepareAttachments', `Preparing image attachments for ${path.basename(filePath)}`, () => prepareContentAttachments(extracted, options, fileLogger))
+    attachmentChanges.forEach(change => {
+      if (change.action === 'dropped') {
+        fileLogger.warn(`Leaving ${change.label} of ${path.basename(filePath)} out of the prompt: ${change.reason}.`)
+      } else {
+        fileLogger.debug(`Image ${change.label} ${change.action}: ${change.from.mediaType} ${change.from.width || '?'}x${change.from.height || '?'} (${change.from.bytes} bytes) → ${change.to.mediaType} ${change.to.width || '?'}x${change.to.height || '?'} (${change.to.bytes} bytes).`)
+      }
+    })
+    const dateCandidates = options.appendDate ? getDateCandidates(content, { dateFormat: dateValueFormat }) : []
+    const subjectHints = subjectManager ? subjectManager.getHints() : []
+    let contentHash = null
+
+    const requestSuggestion = async (guidance = []) => {
+      const customPrompt = [options.customPrompt, ...guidance].filter(Boolean).join('\n')
+      const promptOptions = { ...options, customPrompt, dateValueFormat, dateFormatTemplate: dateTemplate }
+      const prompt = await step('buildPrompt', `Constructing prompt for ${path.basename(filePath)}`, () => buildPrompt({ content, options: promptOptions, subjectHints, instructionSet, dateCandidates }))
+      const onRetry = ({ attempt, maxRetries, delayMs, status, reason, retryAfter }) => {
+        fileLogger.debug(`Provider request for ${path.basename(filePath)} failed (${reason}); retry ${attempt}/${maxRetries} in ${(delayMs / 1000).toFixed(1)}s${retryAfter ? ' as requested by Retry-After' : ''}.`)
+        operationLog.write({
+          timestamp: new Date().toISOString(),
+          operation: 'provider-retry',
+          file: filePath,
+          provider: options.provider || 'ollama',
+          attempt,
+          maxRetries,
+          delayMs,
+          status,
+          reason
+        })
       }
 
-      const appliedDateRecord = {
-        value: appliedDateValue || null,
-        source: appliedDateSource,
-        rationale: appliedDateRationale,
-        formatted: formattedDateSegment || null
+      // Guided re-requests from interactive review always want a fresh answer.
+      let cacheKey = null
+      let modelResponse = null
+      if (responseCache.enabled && !guidance.length) {
+        const cacheLookup = await step('responseCache.lookup', `Checking response cache for ${path.basename(filePath)}`, () => responseCache.keyFor(filePath, prompt, contentHash))
+        cacheKey = cacheLookup.key
+        contentHash = cacheLookup.contentHash
+        modelResponse = await responseCache.get(cacheKey)
+        if (modelResponse) {
+          fileLogger.debug(`Reusing cached model response for ${path.basename(filePath)}.`)
+        }
       }
+      const fromCache = Boolean(modelResponse)
+      if (!fromCache) {
+        modelResponse = await step('provider.generateFilename', `Requesting filename suggestion for ${path.basename(filePath)}`, () => provider.generateFilename(prompt, { onRetry }))
+      }
+      const { value, repairs, issues } = repairModelResponse(modelResponse, prompt.responseSchema)
+      if (repairs.length) {
+        fileLogger.debug(`Repaired model response for ${path.basename(filePath)}: ${repairs.join('; ')}`)
+      }
+      if (issues.length) {
+        fileLogger.debug(`Model response for ${path.basename(filePath)} still deviates from the schema: ${issues.join('; ')}`)
+      }
+      const result = normaliseModelResult(value)
+      if (cacheKey && !fromCache) {
+        await responseCache.set(cacheKey, modelResponse, { file: path.basename(filePath), contentHash })
+      }
+      return result
+    }
+
+    const modelResult = await requestSuggestion()
+    return { skipped: false, dateCandidates, requestSuggestion, modelResult, attachmentChanges, fileType: content.fileType || null }
+  }
 
-      if (appliedDateRecord.value) {
-        const formattedHint = appliedDateRecord.formatted && appliedDateRecord.formatted !== appliedDateRecord.value
-          ? ` → ${appliedDateRecord.formatted}`
-          : ''
-        const sourceLabel = appliedDateRecord.source ? ` (source: ${appliedDateRecord.source})` : ''
-        logger.info(colorize(`Selected date for ${path.basename(filePath)}: ${appliedDateRecord.value}${formattedHint}${sourceLabel}`, 'magenta'))
-      } else if (options.appendDate) {
-        logger.warn(`No date appended for ${path.basename(filePath)} despite append-date being enabled.`)
+  async function finaliseFile (filePath, { dateCandidates, requestSuggestion, modelResult: initialResult, attachmentChanges, fileType }) {
+    let modelResult = initialResult
+    let proposal = await composeProposal(filePath, modelResult, { fileType })
+    let review = null
+
+    if (reviewer) {
+      const decision = await reviewProposal(filePath, proposal, { modelResult, requestSuggestion, fileType })
+      proposal = decision.proposal
+      modelResult = decision.modelResult
+      review = {
+        decision: decision.action,
+        edited: Object.keys(decision.edits).length > 0,
+        edits: Object.keys(decision.edits).length ? decision.edits : null,
+        guidance: decision.guidance.length ? decision.guidance : null
       }
 
-      const originalName = path.basename(filePath)
-      const moved = destinationDirectory !== path.dirname(filePath)
-      const segmentSummary = formatSegmentSummary(segmentDetails, separator)
-      const subjectLine = resolvedSubject ? `${resolvedSubject} (${formatConfidence(effectiveConfidence)})` : 'n/a'
-      const dateLine = appliedDateRecord.value
-        ? `${appliedDateRecord.formatted || appliedDateRecord.value}${appliedDateRecord.source ? ` [${appliedDateRecord.source}]` : ''}`
-        : 'none'
-      const nameLabel = options.dryRun ? 'Preview' : 'New Name'
-      const panelLines = [
-        `Original : ${originalName}`,
-        `${nameLabel.padEnd(8)} : ${finalName}`,
-        `Segments : ${segmentSummary}`,
-        `Subject  : ${subjectLine}`,
-        subjectBrief ? `Brief    : ${subjectBrief}` : null,
-        documentDescription ? `Doc Desc : ${documentDescription}` : null,
-        `Date     : ${dateLine}`,
-        appliedDateRecord.rationale ? `Rationale: ${appliedDateRecord.rationale}` : null,
-        fileSummary ? `Notes    : ${fileSummary}` : null,
-        `Move     : ${moved ? `→ ${destinationDirectory}` : 'no move'}`
-      ].filter(Boolean)
-
-      if (options.dryRun) {
-        emitPanel(logger, 'info', '✱ DRY RUN PLAN', panelLines, PANEL_THEMES.dryRun)
-        summary.addRename({
-          original: filePath,
-          newName: destinationPath,
-          subject: resolvedSubject,
-          confidence: effectiveConfidence,
-          notes: fileSummary,
-          subjectBrief,
-          documentDescription,
-          segments: segmentDetails,
-          date: appliedDateRecord
-        })
+      if (decision.action === 'skip') {
+        const reason = 'Skipped during interactive review'
+        logger.info(colorize(`Skipping ${filePath}: ${reason}`, 'yellow'))
+        summary.addSkip({ file: filePath, reason })
         operationLog.write({
           timestamp: new Date().toISOString(),
-          operation: 'dry-run',
-          originalPath: filePath,
-          proposedPath: destinationPath,
-          subject: resolvedSubject,
-          subjectConfidence: effectiveConfidence,
-          summary: fileSummary,
-          subjectBrief,
-          documentDescription,
-          date: appliedDateRecord,
-          dateCandidates,
-          segments: segmentDetails,
-          segmentSeparator: separator,
-          moved
+          operation: 'skip',
+          file: filePath,
+          reason,
+          proposedPath: proposal.destinationPath,
+          review
         })
-        continue
+        return { status: 'skipped', reason }
       }
+    }
+
+    const {
+      finalName,
+      destinationPath,
+      destinationDirectory,
+      moved,
+      resolvedSubject,
+      effectiveConfidence,
+      subjectBrief,
+      documentDescription,
+      fileSummary,
+      segmentDetails,
+      separator,
+      appliedDateRecord,
+      extensionCorrection
+    } = proposal
+
+    if (subjectManager) {
+      subjectManager.registerSubject(resolvedSubject)
+    }
+    if (options.dryRun) {
+      reservedPaths.add(destinationPath)
+    }
+
+    const panelLines = buildPanelLines(filePath, proposal, options.dryRun ? 'Preview' : 'New Name')
 
-      await runStep('fs.rename', `Renaming ${path.basename(filePath)} to ${finalName}`, () => fs.rename(filePath, destinationPath))
-      emitPanel(logger, 'info', '✓ RENAMED', panelLines)
+    if (options.dryRun) {
+      emitPanel(logger, 'info', '✱ DRY RUN PLAN', panelLines, PANEL_THEMES.dryRun)
+      if (shouldUnpack(filePath, finalName)) {
+        logger.info(`Would unpack ${finalName} into a folder next to it and rename its members.`)
+      }
       summary.addRename({
         original: filePath,
         newName: destinationPath,
@@ -423,15 +632,11 @@ async function runRenamer (targetPath, options, logger) {
         segments: segmentDetails,
         date: appliedDateRecord
       })
-      if (moved) {
-        summary.addMove({ file: destinationPath, destination: destinationDirectory, subject: resolvedSubject })
-      }
-
       operationLog.write({
         timestamp: new Date().toISOString(),
-        operation: 'rename',
+        operation: 'dry-run',
         originalPath: filePath,
-        newPath: destinationPath,
+        proposedPath: destinationPath,
         subject: resolvedSubject,
         subjectConfidence: effectiveConfidence,
         summary: fileSummary,
@@ -441,18 +646,259 @@ async function runRenamer (targetPath, options, logger) {
         dateCandidates,
         segments: segmentDetails,
         segmentSeparator: separator,
-        moved
+        moved,
+        extensionCorrection: extensionCorrection || undefined,
+        attachments: attachmentChanges.length ? attachmentChanges : undefined,
+        review
       })
+      if (renamePlan) {
+        const source = await runStep('fingerprintFile', `Fingerprinting ${path.basename(filePath)} for the rename plan`, () => fingerprintFile(filePath))
+        renamePlan.add({
+          sourcePath: filePath,
+          destinationPath,
+          destinationDirectory,
+          subject: resolvedSubject,
+          subjectConfidence: effectiveConfidence,
+          summary: fileSummary,
+          subjectBrief,
+          documentDescription,
+          date: appliedDateRecord,
+          segments: segmentDetails,
+          segmentSeparator: separator,
+          moved,
+          review,
+          source
+        })
+      }
+      return { status: 'completed' }
+    }
+
+    const createdPath = await runStep('fs.mkdir', `Ensuring destination directory ${destinationDirectory}`, () => fs.mkdir(destinationDirectory, { recursive: true }))
+    const createdDirectories = listCreatedDirectories(destinationDirectory, createdPath)
+    await runStep('fs.rename', `Renaming ${path.basename(filePath)} to ${finalName}`, () => fs.rename(filePath, destinationPath))
+    const renamedStats = await fs.stat(destinationPath)
+    emitPanel(logger, 'info', '✓ RENAMED', panelLines)
+    summary.addRename({
+      original: filePath,
+      newName: destinationPath,
+      subject: resolvedSubject,
+      confidence: effectiveConfidence,
+      notes: fileSummary,
+      subjectBrief,
+      documentDescription,
+      segments: segmentDetails,
+      date: appliedDateRecord
+    })
+    if (moved) {
+      summary.addMove({ file: destinationPath, destination: destinationDirectory, subject: resolvedSubject })
+    }
+
+    operationLog.write({
+      timestamp: new Date().toISOString(),
+      operation: review && review.edited ? 'manual-edit' : 'rename',
+      originalPath: filePath,
+      newPath: destinationPath,
+      subject: resolvedSubject,
+      subjectConfidence: effectiveConfidence,
+      summary: fileSummary,
+      subjectBrief,
+      documentDescription,
+      date: appliedDateRecord,
+      dateCandidates,
+      segments: segmentDetails,
+      segmentSeparator: separator,
+      moved,
+      createdDirectory: createdDirectories.length ? destinationDirectory : null,
+      createdDirectories: createdDirectories.length ? createdDirectories : undefined,
+      fingerprint: {
+        size: renamedStats.size,
+        mtimeMs: renamedStats.mtimeMs
+      },
+      extensionCorrection: extensionCorrection || undefined,
+      attachments: attachmentChanges.length ? attachmentChanges : undefined,
+      review
+    })
+
+    if (shouldUnpack(filePath, finalName)) {
+      await unpackRenamedArchive(destinationPath)
+    }
+
+    return { status: 'completed', newPath: destinationPath }
+  }
+
+  async function processFile (filePath) {
+    // Workers buffer their output until they reach the serialised finalise step so each file's logs stay together.
+    const fileLogger = concurrency > 1 && typeof logger.buffered === 'function' ? logger.buffered() : logger
+    let prepared = null
+    let failure = null
+    try {
+      prepared = await prepareFile(filePath, fileLogger)
     } catch (error) {
-      logger.error(colorize(`Error processing ${filePath}: ${error.message}`, 'red'))
-      summary.addError({ file: filePath, error: error.message })
-      operationLog.write({
-        timestamp: new Date().toISOString(),
-        operation: 'error',
-        file: filePath,
-        error: error.message
-      })
+      failure = error
     }
+
+    return finaliseLock.runExclusive(async () => {
+      if (typeof fileLogger.release === 'function') {
+        fileLogger.release()
+      }
+      try {
+        if (failure) {
+          throw failure
+        }
+        if (prepared.skipped) {
+          logger.info(colorize(`Skipping ${filePath}: ${prepared.reason}`, 'yellow'))
+          summary.addSkip({ file: filePath, reason: prepared.reason })
+          operationLog.write({
+            timestamp: new Date().toISOString(),
+            operation: 'skip',
+            file: filePath,
+            reason: prepared.reason
+          })
+          if (runState) {
+            runState.record(filePath, 'skipped', { reason: prepared.reason })
+          }
+          return { status: 'skipped', reason: prepared.reason }
+        }
+        const outcome = await finaliseFile(filePath, prepared)
+        if (runState) {
+          runState.record(filePath, outcome.status, { newPath: outcome.newPath || null, reason: outcome.reason || null })
+        }
+        return outcome
+      } catch (error) {
+        logger.error(colorize(`Error processing ${filePath}: ${error.message}`, 'red'))
+        summary.addError({ file: filePath, error: error.message })
+        operationLog.write({
+          timestamp: new Date().toISOString(),
+          operation: 'error',
+          file: filePath,
+          error: error.message
+        })
+        if (runState) {
+          runState.record(filePath, 'failed', { error: error.message })
+        }
+        return { status: 'failed', error: error.message }
+      }
+    })
+  }
+
+  return {
+    summary,
+    concurrency,
+    processFile,
+    takeUnpackedFiles () {
+      const members = pendingMembers
+      pendingMembers = []
+      return members
+    },
+    close () {
+      if (reviewer) {
+        reviewer.close()
+      }
+      const { hits, writes } = responseCache.stats
+      if (hits) {
+        logger.info(colorize(`Reused ${hits} cached model response(s); ${writes} new response(s) cached.`, 'cyan'))
+      }
+    }
+  }
+}
+
+async function runRenamer (targetPath, runOptions, logger) {
+  let options = runOptions
+  if (options.planOut && !options.dryRun) {
+    logger.info('Writing a rename plan implies --dry-run; no files will be renamed during this pass.')
+    options = { ...options, dryRun: true }
+  }
+
+  const runStep = async (label, intention, fn) => {
+    if (logger && typeof logger.time === 'function') {
+      return logger.time(label, intention, fn)
+    }
+    return fn()
+  }
+
+  const stats = await runStep('fs.stat', `Inspecting target path ${targetPath}`, () => fs.stat(targetPath))
+  const rootDirectory = stats.isDirectory() ? targetPath : path.dirname(targetPath)
+  const discoveredFiles = await runStep('discoverFiles', `Scanning for files starting at ${targetPath}`, () => discoverFiles(targetPath, options.includeSubdirectories))
+  logger.debug(`discoverFiles returned ${discoveredFiles.length} candidate file(s).`)
+
+  // Dry runs never touch the filesystem, so they neither write nor consume run state.
+  const runState = options.dryRun
+    ? null
+    : await runStep('runState.create', 'Preparing run state journal', () => createRunState({
+      rootDirectory,
+      targetPath,
+      explicitPath: options.stateFile,
+      resume: Boolean(options.resume),
+      logger
+    }))
+
+  let files = discoveredFiles.filter(filePath => !isOperationLogFile(filePath) && (!runState || filePath !== runState.path))
+  if (runState && options.resume) {
+    const candidateCount = files.length
+    files = files.filter(filePath => !runState.isDone(filePath))
+    logger.info(`Resuming: ${candidateCount - files.length} file(s) already handled, ${files.length} remaining.`)
+  }
+
+  if (!files.length) {
+    logger.warn(colorize('No files found to process.', 'yellow'))
+    if (runState) {
+      runState.finish()
+    }
+    return
+  }
+
+  const operationLog = await runStep('operationLog.create', 'Preparing operation log', () => createOperationLog({
+    rootDirectory,
+    explicitPath: options.logFile,
+    logger
+  }))
+
+  const renamePlan = options.planOut
+    ? createRenamePlan({ outputPath: options.planOut, rootDirectory, options })
+    : null
+
+  const session = await createRenameSession({ rootDirectory, options, logger, operationLog, runState, renamePlan })
+  const { summary, concurrency } = session
+
+  if (concurrency > 1) {
+    logger.info(`Processing up to ${concurrency} files concurrently.`)
+  }
+
+  let interrupted = false
+  const handleInterrupt = () => {
+    if (interrupted) {
+      logger.error('Second interrupt received; exiting immediately.')
+      process.exit(130)
+    }
+    interrupted = true
+    logger.warn(colorize('Interrupt received; finishing in-flight file(s) before stopping. Press Ctrl-C again to force exit.', 'yellow'))
+  }
+  process.on('SIGINT', handleInterrupt)
+
+  try {
+    // Files unpacked from archives during a pass are renamed in a follow-up pass.
+    for (let batch = files; batch.length; batch = session.takeUnpackedFiles()) {
+      await mapWithConcurrency(batch, concurrency, session.processFile, { shouldStop: () => interrupted })
+      if (interrupted) break
+    }
+  } finally {
+    process.removeListener('SIGINT', handleInterrupt)
+  }
+
+  if (runState) {
+    runState.finish({ interrupted })
+  }
+  if (interrupted) {
+    const resumeHint = runState ? ' Re-run with --resume to continue where it stopped.' : ''
+    logger.warn(colorize(`Run interrupted before all files were processed.${resumeHint}`, 'yellow'))
+    process.exitCode = 130
+  }
+
+  session.close()
+
+  if (renamePlan) {
+    const planPath = await runStep('renamePlan.save', `Writing rename plan to ${renamePlan.path}`, () => renamePlan.save())
+    logger.info(colorize(`Saved ${renamePlan.size()} planned rename(s) to ${planPath}. Review it, then run "ji-renamer apply ${planPath}".`, 'cyan'))
   }
 
   if (options.summary) {
@@ -465,5 +911,6 @@ async function runRenamer (targetPath, options, logger) {
 }
 
 module.exports = {
-  runRenamer
+  runRenamer,
+  createRenameSession
 }
@@ -0,0 +1,119 @@
+const fs = require('fs/promises')
+const fssync = require('fs')
+const path = require('path')
+
+const STATE_FILE_NAME = '.ji-renamer-state.jsonl'
+const DONE_STATUSES = new Set(['completed', 'skipped'])
+
+async function readJournal (statePath) {
+  let raw
+  try {
+    raw = await fs.readFile(statePath, 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []
+    }
+    throw error
+  }
+
+  const entries = []
+  for (const line of raw.split(/\r?\n/)) {
+    const trimmed = line.trim()
+    if (!trimmed) continue
+    try {
+      entries.push(JSON.parse(trimmed))
+    } catch (error) {
+      // A crash can leave a partially written final line; everything before it is still usable.
+    }
+  }
+  return entries
+}
+
+async function createRunState ({ rootDirectory, targetPath, explicitPath, resume, logger }) {
+  const statePath = explicitPath
+    ? path.resolve(explicitPath)
+    : path.join(rootDirectory, STATE_FILE_NAME)
+
+  const previous = await readJournal(statePath)
+  const header = previous.find(entry => entry.event === 'run-start')
+  const finished = previous.some(entry => entry.event === 'run-complete')
+  const doneFiles = new Map()
+
+  if (resume) {
+    if (!previous.length) {
+      logger.warn(`No run state found at ${statePath}; starting a fresh run.`)
+    } else {
+      if (header && header.targetPath && header.targetPath !== targetPath) {
+        logger.warn(`Run state at ${statePath} was recorded for ${header.targetPath}; resuming against ${targetPath}.`)
+      }
+      if (finished) {
+        logger.info('The previous run completed; only files it did not handle will be processed.')
+      }
+      for (const entry of previous) {
+        if (!entry.file || !entry.status) continue
+        if (DONE_STATUSES.has(entry.status)) {
+          doneFiles.set(entry.file, entry)
+          if (entry.newPath) {
+            doneFiles.set(entry.newPath, entry)
+          }
+        } else {
+          doneFiles.delete(entry.file)
+        }
+      }
+    }
+  } else if (previous.length && !finished) {
+    // Starting over would truncate the only record of the interrupted run, so leave the choice to the user.
+    throw new Error(`Found an unfinished run at ${statePath}. Pass --resume to continue it, or delete that file to start over.`)
+  }
+
+  await fs.mkdir(path.dirname(statePath), { recursive: true })
+  if (!resume) {
+    await fs.writeFile(statePath, '', 'utf8')
+  }
+
+  const append = (entry) => {
+    try {
+      // Synchronous appends keep the journal accurate even if the process dies mid-run.
+      fssync.appendFileSync(statePath, `${JSON.stringify({ timestamp: new Date().toISOString(), ...entry })}\n`)
+    } catch (error) {
+      logger.warn(`Unable to update run state at ${statePath}: ${error.message}`)
+    }
+  }
+
+  append({ event: resume ? 'run-resume' : 'run-start', targetPath })
+
+  const failedFiles = new Set()
+
+  return {
+    path: statePath,
+    isDone (filePath) {
+      return doneFiles.has(filePath)
+    },
+    record (filePath, status, details = {}) {
+      if (status === 'failed') {
+        failedFiles.add(filePath)
+      } else {
+        failedFiles.delete(filePath)
+      }
+      append({ file: filePath, status, ...details })
+    },
+    // A clean run leaves nothing to resume, so the default journal is removed rather than left in the
+    // user's folder. Interrupted runs, runs with failures, --resume runs and an explicit --state-file keep it.
+    finish ({ interrupted = false } = {}) {
+      append({ event: interrupted ? 'run-interrupted' : 'run-complete' })
+      if (interrupted || failedFiles.size || resume || explicitPath) {
+        return
+      }
+      try {
+        fssync.rmSync(statePath, { force: true })
+      } catch (error) {
+        logger.warn(`Unable to remove run state at ${statePath}: ${error.message}`)
+      }
+    }
+  }
+}
+
+module.exports = {
+  createRunState,
+  STATE_FILE_NAME
+}
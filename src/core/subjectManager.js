@@ -23,40 +23,39 @@ async function createSubjectManager ({ baseDirectory, moveUnknownSubjects }, log
   const subjects = new Set(existing.map(normalizeSubject).filter(Boolean))
   const hints = Array.from(subjects).sort()
 
-  async function ensureDirectory (dirPath) {
-    await fs.mkdir(dirPath, { recursive: true })
-  }
-
   function getHints () {
     return hints
   }
 
-  async function resolveDestination ({ subject, confidence }) {
+  // Where a file with this subject would go, without touching the disk or the hints, so interactive
+  // review can recompose proposals freely.
+  function planDestination ({ subject, confidence }) {
     const normalized = normalizeSubject(subject)
     if (!normalized) {
       if (!moveUnknownSubjects) {
         return null
       }
-      const unknownDir = path.join(baseDirectory, 'Unknown')
-      await ensureDirectory(unknownDir)
-      return { directory: unknownDir, subject: 'Unknown', confidence }
+      return { directory: path.join(baseDirectory, 'Unknown'), subject: 'Unknown', confidence }
     }
+    return { directory: path.join(baseDirectory, normalized), subject: normalized, confidence }
+  }
 
-    if (!subjects.has(normalized)) {
-      subjects.add(normalized)
-      hints.push(normalized)
-      hints.sort((a, b) => a.localeCompare(b))
+  // Called once a proposal is accepted: later prompts then offer the subject as a hint.
+  function registerSubject (subject) {
+    const normalized = normalizeSubject(subject)
+    if (!normalized || normalized === 'Unknown' || subjects.has(normalized)) {
+      return
     }
-
-    const destination = path.join(baseDirectory, normalized)
-    await ensureDirectory(destination)
-    return { directory: destination, subject: normalized, confidence }
+    subjects.add(normalized)
+    hints.push(normalized)
+    hints.sort((a, b) => a.localeCompare(b))
   }
 
   return {
     baseDirectory,
     getHints,
-    resolveDestination
+    planDestination,
+    registerSubject
   }
 }
 
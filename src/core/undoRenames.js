@@ -0,0 +1,276 @@
+const fs = require('fs/promises')
+const fssync = require('fs')
+const path = require('path')
+const { createOperationLog } = require('../utils/operationLog')
+const { createSummary } = require('./summary')
+const { colorize } = require('../utils/ansi')
+
+const REVERSIBLE_OPERATIONS = new Set(['rename', 'manual-edit'])
+
+async function readOperationLog (logPath) {
+  const raw = await fs.readFile(logPath, 'utf8')
+  const entries = []
+  const lines = raw.split(/\r?\n/)
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim()
+    if (!trimmed) return
+    try {
+      entries.push(JSON.parse(trimmed))
+    } catch (error) {
+      throw new Error(`Unable to parse operation log line ${index + 1}: ${error.message}`)
+    }
+  })
+
+  return entries
+}
+
+async function detectChange (entry) {
+  let stats
+  try {
+    stats = await fs.stat(entry.newPath)
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 'File no longer exists at its renamed location (moved or deleted since the run)'
+    }
+    throw error
+  }
+
+  if (!stats.isFile()) {
+    return 'Renamed path is no longer a regular file'
+  }
+
+  const fingerprint = entry.fingerprint
+  if (fingerprint && typeof fingerprint === 'object') {
+    if (Number.isFinite(fingerprint.size) && fingerprint.size !== stats.size) {
+      return `File size changed since the run (${fingerprint.size} → ${stats.size} bytes)`
+    }
+    if (Number.isFinite(fingerprint.mtimeMs) && Math.abs(fingerprint.mtimeMs - stats.mtimeMs) > 1) {
+      return 'File was modified since the run'
+    }
+  }
+
+  return null
+}
+
+async function removeEmptyDirectory (directory) {
+  try {
+    const entries = await fs.readdir(directory)
+    if (entries.length) {
+      return false
+    }
+    await fs.rmdir(directory)
+    return true
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false
+    }
+    throw error
+  }
+}
+
+async function undoRenames (logPath, options, logger) {
+  const runStep = async (label, intention, fn) => {
+    if (logger && typeof logger.time === 'function') {
+      return logger.time(label, intention, fn)
+    }
+    return fn()
+  }
+
+  const resolvedLogPath = path.resolve(logPath)
+  const entries = await runStep('readOperationLog', `Reading operation log ${resolvedLogPath}`, () => readOperationLog(resolvedLogPath))
+  const renames = entries
+    .filter(entry => entry && (
+      (REVERSIBLE_OPERATIONS.has(entry.operation) && entry.originalPath && entry.newPath) ||
+      (entry.operation === 'unpack' && entry.directory && Array.isArray(entry.members))
+    ))
+    .reverse()
+
+  logger.debug(`Operation log contains ${renames.length} rename entr${renames.length === 1 ? 'y' : 'ies'} to revert.`)
+  if (!renames.length) {
+    logger.warn(colorize(`No rename entries found in ${resolvedLogPath}.`, 'yellow'))
+    return
+  }
+
+  const operationLog = await runStep('operationLog.create', 'Preparing undo log', () => createOperationLog({
+    rootDirectory: path.dirname(resolvedLogPath),
+    // Not --log-file: that option is persisted and may name the very log being undone.
+    explicitPath: options.undoLogFile,
+    filePrefix: 'ji-renamer-undo',
+    logger
+  }))
+
+  const summary = createSummary()
+  const createdDirectories = new Set()
+
+  async function removeUnpackedMembers (entry) {
+    const unpackDirectory = path.resolve(entry.directory)
+    const archiveName = path.basename(entry.archivePath || unpackDirectory)
+    let removedCount = 0
+    createdDirectories.add(unpackDirectory)
+    for (const member of entry.members) {
+      const memberPath = path.resolve(member.path)
+      if (path.relative(unpackDirectory, memberPath).startsWith('..')) {
+        continue
+      }
+      for (let directory = path.dirname(memberPath); directory !== unpackDirectory; directory = path.dirname(directory)) {
+        createdDirectories.add(directory)
+      }
+      try {
+        const changeReason = await detectChange({ newPath: memberPath, fingerprint: member })
+        if (changeReason) {
+          logger.warn(colorize(`Keeping unpacked ${memberPath}: ${changeReason}`, 'yellow'))
+          summary.addSkip({ file: memberPath, reason: changeReason })
+          operationLog.write({
+            timestamp: new Date().toISOString(),
+            operation: 'undo-skip',
+            file: memberPath,
+            reason: changeReason,
+            sourceLog: resolvedLogPath
+          })
+          continue
+        }
+
+        if (options.dryRun) {
+          logger.info(colorize(`Would remove unpacked ${memberPath}`, 'cyan'))
+          continue
+        }
+
+        await runStep('fs.unlink', `Removing unpacked ${path.basename(memberPath)}`, () => fs.unlink(memberPath))
+        logger.debug(`Removed unpacked ${memberPath}`)
+        removedCount += 1
+        operationLog.write({
+          timestamp: new Date().toISOString(),
+          operation: 'undo-remove-unpacked',
+          file: memberPath,
+          archivePath: entry.archivePath,
+          sourceLog: resolvedLogPath
+        })
+      } catch (error) {
+        logger.error(colorize(`Error removing unpacked ${memberPath}: ${error.message}`, 'red'))
+        summary.addError({ file: memberPath, error: error.message })
+      }
+    }
+    if (!options.dryRun) {
+      logger.info(colorize(`Removed ${removedCount} file(s) unpacked from ${archiveName}`, 'green'))
+    }
+  }
+
+  for (const entry of renames) {
+    if (entry.operation === 'unpack') {
+      // Member renames come later in the log, so by now the unpacked files are back where they were extracted.
+      await removeUnpackedMembers(entry)
+      continue
+    }
+
+    const { originalPath, newPath } = entry
+    try {
+      // Older logs only name the deepest folder a rename created.
+      const created = Array.isArray(entry.createdDirectories) ? entry.createdDirectories : [entry.createdDirectory]
+      created.filter(Boolean).forEach(directory => createdDirectories.add(directory))
+
+      const changeReason = await runStep('undo.detectChange', `Checking ${path.basename(newPath)} for changes since the run`, () => detectChange(entry))
+      if (changeReason) {
+        logger.warn(colorize(`Skipping ${newPath}: ${changeReason}`, 'yellow'))
+        summary.addSkip({ file: newPath, reason: changeReason })
+        operationLog.write({
+          timestamp: new Date().toISOString(),
+          operation: 'undo-skip',
+          file: newPath,
+          originalPath,
+          reason: changeReason,
+          sourceLog: resolvedLogPath
+        })
+        continue
+      }
+
+      if (fssync.existsSync(originalPath)) {
+        const reason = 'Original path is occupied by another file'
+        logger.warn(colorize(`Skipping ${newPath}: ${reason} (${originalPath})`, 'yellow'))
+        summary.addSkip({ file: newPath, reason })
+        operationLog.write({
+          timestamp: new Date().toISOString(),
+          operation: 'undo-skip',
+          file: newPath,
+          originalPath,
+          reason,
+          sourceLog: resolvedLogPath
+        })
+        continue
+      }
+
+      if (options.dryRun) {
+        logger.info(colorize(`Would restore ${newPath} → ${originalPath}`, 'cyan'))
+        summary.addRename({ original: newPath, newName: originalPath })
+        operationLog.write({
+          timestamp: new Date().toISOString(),
+          operation: 'undo-dry-run',
+          originalPath: newPath,
+          proposedPath: originalPath,
+          sourceLog: resolvedLogPath
+        })
+        continue
+      }
+
+      await runStep('fs.mkdir', `Ensuring original directory ${path.dirname(originalPath)}`, () => fs.mkdir(path.dirname(originalPath), { recursive: true }))
+      await runStep('fs.rename', `Restoring ${path.basename(newPath)} to ${path.basename(originalPath)}`, () => fs.rename(newPath, originalPath))
+      logger.info(colorize(`Restored ${newPath} → ${originalPath}`, 'green'))
+      summary.addRename({ original: newPath, newName: originalPath })
+      if (path.dirname(newPath) !== path.dirname(originalPath)) {
+        summary.addMove({ file: originalPath, destination: path.dirname(originalPath) })
+      }
+      operationLog.write({
+        timestamp: new Date().toISOString(),
+        operation: 'undo',
+        originalPath: newPath,
+        newPath: originalPath,
+        sourceLog: resolvedLogPath
+      })
+    } catch (error) {
+      logger.error(colorize(`Error restoring ${newPath}: ${error.message}`, 'red'))
+      summary.addError({ file: newPath, error: error.message })
+      operationLog.write({
+        timestamp: new Date().toISOString(),
+        operation: 'undo-error',
+        file: newPath,
+        originalPath,
+        error: error.message,
+        sourceLog: resolvedLogPath
+      })
+    }
+  }
+
+  if (!options.dryRun) {
+    // Deepest first, so parent folders are empty by the time their turn comes.
+    const orderedDirectories = [...createdDirectories].sort((a, b) => b.split(path.sep).length - a.split(path.sep).length)
+    for (const directory of orderedDirectories) {
+      try {
+        const removed = await runStep('fs.rmdir', `Removing created folder ${directory} if empty`, () => removeEmptyDirectory(directory))
+        if (removed) {
+          logger.info(colorize(`Removed empty folder ${directory}`, 'green'))
+          operationLog.write({
+            timestamp: new Date().toISOString(),
+            operation: 'undo-remove-directory',
+            directory,
+            sourceLog: resolvedLogPath
+          })
+        }
+      } catch (error) {
+        logger.warn(`Unable to remove folder ${directory}: ${error.message}`)
+      }
+    }
+  }
+
+  if (options.summary) {
+    summary.print(logger)
+  }
+
+  await operationLog.close()
+
+  return summary.export()
+}
+
+module.exports = {
+  undoRenames,
+  readOperationLog
+}
@@ -0,0 +1,178 @@
+const fs = require('fs/promises')
+const fssync = require('fs')
+const path = require('path')
+const { Transform } = require('stream')
+const { pipeline } = require('stream/promises')
+const { openZipArchive } = require('../utils/zipArchive')
+const { walkTarArchive } = require('../utils/tarArchive')
+const { getArchiveFormat, getExtension } = require('../utils/fileType')
+const { isJunkEntry } = require('../extractors/archiveExtractor')
+
+// Archive headers can claim anything, so the limits count what is actually written: a small archive
+// must not be able to fill the disk or flood the rename queue.
+const MAX_UNPACK_BYTES = 4 * 1024 * 1024 * 1024
+const MAX_UNPACK_FILES = 5000
+
+// Reject absolute paths and `..` segments so a crafted archive cannot write outside the target folder.
+function resolveMemberPath (directory, name) {
+  const normalised = name.replace(/\\/g, '/')
+  if (!normalised || normalised.startsWith('/') || /^[a-z]:/i.test(normalised)) {
+    return null
+  }
+  const segments = normalised.split('/').filter(segment => segment && segment !== '.')
+  if (!segments.length || segments.includes('..')) {
+    return null
+  }
+  return path.join(directory, ...segments)
+}
+
+function uniqueDirectory (parent, baseName) {
+  let candidate = path.join(parent, baseName)
+  let counter = 1
+  while (fssync.existsSync(candidate)) {
+    candidate = path.join(parent, `${baseName}-${counter}`)
+    counter += 1
+  }
+  return candidate
+}
+
+async function writeMember (targetPath, modifiedAt, write) {
+  await fs.mkdir(path.dirname(targetPath), { recursive: true })
+  await write(targetPath)
+  if (modifiedAt instanceof Date && !Number.isNaN(modifiedAt.getTime())) {
+    await fs.utimes(targetPath, modifiedAt, modifiedAt).catch(() => {})
+  }
+}
+
+/**
+ * Unpack a ZIP or tar(.gz) archive into a new folder next to it, named after the archive. Junk
+ * entries (`__MACOSX`, `.DS_Store`, …), links, and unsafe paths are skipped. Returns the folder and
+ * the unpacked file paths so they can be renamed like any other file. An archive that would unpack
+ * to more than `maxBytes` or `maxFiles` is rejected, and a failed unpack removes its folder again.
+ */
+async function unpackArchive (archivePath, { logger, maxBytes = MAX_UNPACK_BYTES, maxFiles = MAX_UNPACK_FILES } = {}) {
+  const format = getArchiveFormat(archivePath)
+  if (!format) {
+    throw new Error(`Unsupported archive format: ${path.basename(archivePath)}`)
+  }
+
+  const baseName = path.basename(archivePath).slice(0, -getExtension(archivePath).length) || 'archive'
+  const directory = uniqueDirectory(path.dirname(archivePath), baseName)
+  const files = []
+  const skipped = []
+  let acceptedCount = 0
+  let writtenBytes = 0
+  let limitError = null
+
+  const exceedLimit = (message) => {
+    limitError = new Error(`${path.basename(archivePath)} ${message}; not unpacking it`)
+    throw limitError
+  }
+
+  const countBytes = (length) => {
+    writtenBytes += length
+    if (maxBytes > 0 && writtenBytes > maxBytes) {
+      exceedLimit(`unpacks to more than ${maxBytes} bytes`)
+    }
+  }
+
+  const accept = (entry) => {
+    if (entry.directory || isJunkEntry(entry.name)) {
+      return null
+    }
+    const targetPath = resolveMemberPath(directory, entry.name)
+    if (!targetPath) {
+      skipped.push({ name: entry.name, reason: 'unsafe path' })
+      return null
+    }
+    acceptedCount += 1
+    if (maxFiles > 0 && acceptedCount > maxFiles) {
+      exceedLimit(`holds more than ${maxFiles} files`)
+    }
+    return targetPath
+  }
+
+  await fs.mkdir(directory, { recursive: true })
+
+  try {
+    if (format === 'zip') {
+      const zip = await openZipArchive(archivePath)
+      try {
+        for (const entry of zip.entries) {
+          const targetPath = accept(entry)
+          if (!targetPath) continue
+          try {
+            const source = await zip.openEntryStream(entry)
+            const counter = new Transform({
+              transform (chunk, encoding, callback) {
+                try {
+                  countBytes(chunk.length)
+                  callback(null, chunk)
+                } catch (error) {
+                  callback(error)
+                }
+              }
+            })
+            await writeMember(targetPath, entry.modifiedAt, target => pipeline(source, counter, fssync.createWriteStream(target)))
+            files.push(targetPath)
+          } catch (error) {
+            if (limitError) throw limitError
+            skipped.push({ name: entry.name, reason: error.message })
+          }
+        }
+      } finally {
+        await zip.close()
+      }
+    } else {
+      await walkTarArchive(archivePath, async entry => {
+        if (!entry.file) {
+          if (!entry.directory) {
+            skipped.push({ name: entry.name, reason: 'links and special files are not unpacked' })
+          }
+          return null
+        }
+        const targetPath = accept(entry)
+        if (!targetPath) return null
+
+        await fs.mkdir(path.dirname(targetPath), { recursive: true })
+        const stream = fssync.createWriteStream(targetPath)
+        return {
+          write: chunk => {
+            try {
+              countBytes(chunk.length)
+            } catch (error) {
+              stream.destroy()
+              throw error
+            }
+            return new Promise((resolve, reject) => {
+              stream.write(chunk, error => (error ? reject(error) : resolve()))
+            })
+          },
+          end: async () => {
+            await new Promise((resolve, reject) => {
+              stream.on('error', reject)
+              stream.end(resolve)
+            })
+            await fs.utimes(targetPath, entry.modifiedAt, entry.modifiedAt).catch(() => {})
+            files.push(targetPath)
+          }
+        }
+      }, { gzip: format === 'tar.gz' })
+    }
+  } catch (error) {
+    // The folder was created fresh above, so this only removes what this archive put there. A failed
+    // unpack is not logged, so leaving it would put it out of reach of `undo`.
+    await fs.rm(directory, { recursive: true, force: true }).catch(() => {})
+    throw error
+  }
+
+  if (skipped.length && logger && typeof logger.warn === 'function') {
+    logger.warn(`Skipped ${skipped.length} entr${skipped.length === 1 ? 'y' : 'ies'} while unpacking ${path.basename(archivePath)}: ${skipped.slice(0, 5).map(item => `${item.name} (${item.reason})`).join(', ')}${skipped.length > 5 ? ', …' : ''}`)
+  }
+
+  return { directory, files, skipped }
+}
+
+module.exports = {
+  unpackArchive
+}
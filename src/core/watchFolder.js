@@ -0,0 +1,204 @@
+const fs = require('fs/promises')
+const fssync = require('fs')
+const path = require('path')
+const { createRenameSession } = require('./runRenamer')
+const { createOperationLog, createRollingOperationLog, isOperationLogFile } = require('../utils/operationLog')
+const { createLock } = require('../utils/concurrency')
+const { colorize } = require('../utils/ansi')
+
+const PARTIAL_DOWNLOAD_SUFFIXES = ['.crdownload', '.part', '.partial', '.download', '.opdownload', '.tmp']
+const DEFAULT_SETTLE_SECONDS = 2
+
+function isPartialDownload (filePath) {
+  const lowerName = path.basename(filePath).toLowerCase()
+  return PARTIAL_DOWNLOAD_SUFFIXES.some(suffix => lowerName.endsWith(suffix))
+}
+
+// Firefox and Chrome create the final file up front and stream the data into `name.ext.part` /
+// `name.ext.crdownload` next to it, so the final name alone does not mean the download is done.
+function hasPartialSibling (filePath) {
+  return PARTIAL_DOWNLOAD_SUFFIXES.some(suffix => fssync.existsSync(`${filePath}${suffix}`))
+}
+
+function startWatcher (directory, recursive, onChange, logger) {
+  try {
+    return fssync.watch(directory, { recursive }, onChange)
+  } catch (error) {
+    if (!recursive || error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw error
+    }
+    logger.warn('Recursive watching is not supported by this Node.js version; only the top-level folder will be watched.')
+    return fssync.watch(directory, { recursive: false }, onChange)
+  }
+}
+
+async function watchFolder (targetPath, options, logger) {
+  const stats = await fs.stat(targetPath)
+  if (!stats.isDirectory()) {
+    throw new Error(`Watch mode requires a directory: ${targetPath}`)
+  }
+
+  const operationLog = options.logFile
+    ? await createOperationLog({ rootDirectory: targetPath, explicitPath: options.logFile, logger })
+    : await createRollingOperationLog({ rootDirectory: targetPath, logger })
+
+  const session = await createRenameSession({ rootDirectory: targetPath, options, logger, operationLog })
+
+  const settleSeconds = Number.isFinite(options.watchSettleSeconds) && options.watchSettleSeconds > 0
+    ? options.watchSettleSeconds
+    : DEFAULT_SETTLE_SECONDS
+  const settleMs = Math.round(settleSeconds * 1000)
+
+  // Paths this watcher produced itself, and the mtime each handled file had, so our own renames never loop back in.
+  const producedPaths = new Set()
+  const handledVersions = new Map()
+  const pending = new Map()
+  const queue = createLock()
+  let lastTask = Promise.resolve()
+  let stopping = false
+
+  const shouldIgnore = (filePath) => {
+    return producedPaths.has(filePath) ||
+      isOperationLogFile(filePath) ||
+      isPartialDownload(filePath) ||
+      filePath === operationLog.path
+  }
+
+  const rememberHandled = async (filePath) => {
+    try {
+      const handledStats = await fs.stat(filePath)
+      handledVersions.set(filePath, handledStats.mtimeMs)
+    } catch (error) {
+      // The file may already be gone again; nothing to remember.
+    }
+  }
+
+  const enqueue = (filePath) => {
+    lastTask = queue.runExclusive(async () => {
+      if (stopping || shouldIgnore(filePath)) return
+      if (hasPartialSibling(filePath)) {
+        schedule(filePath)
+        return
+      }
+      const outcome = await session.processFile(filePath)
+      if (outcome && outcome.newPath) {
+        producedPaths.add(outcome.newPath)
+        await rememberHandled(outcome.newPath)
+      } else {
+        await rememberHandled(filePath)
+      }
+
+      // Members of an archive unpacked by --unpack-archives are renamed right away, not via the watcher.
+      const members = session.takeUnpackedFiles()
+      members.forEach(member => producedPaths.add(member))
+      for (const member of members) {
+        if (stopping) break
+        const memberOutcome = await session.processFile(member)
+        if (memberOutcome && memberOutcome.newPath) {
+          producedPaths.add(memberOutcome.newPath)
+          await rememberHandled(memberOutcome.newPath)
+        }
+      }
+    })
+  }
+
+  const checkSettled = async (filePath) => {
+    const entry = pending.get(filePath)
+    if (!entry || stopping) return
+
+    let fileStats
+    try {
+      fileStats = await fs.stat(filePath)
+    } catch (error) {
+      // Partial downloads are renamed to their final name once complete; the old path simply disappears.
+      pending.delete(filePath)
+      return
+    }
+
+    if (!fileStats.isFile() || shouldIgnore(filePath) || handledVersions.get(filePath) === fileStats.mtimeMs) {
+      pending.delete(filePath)
+      return
+    }
+
+    // Wait while the download is still running, then require one more quiet interval once it is gone.
+    if (hasPartialSibling(filePath)) {
+      if (!entry.downloading) {
+        logger.debug(`${filePath} is still downloading; waiting for its partial file to disappear.`)
+        entry.downloading = true
+      }
+      entry.size = -1
+      entry.mtimeMs = -1
+      entry.timer = setTimeout(() => checkSettled(filePath), settleMs)
+      return
+    }
+
+    if (entry.size === fileStats.size && entry.mtimeMs === fileStats.mtimeMs) {
+      pending.delete(filePath)
+      logger.debug(`${filePath} has finished writing; queueing for rename.`)
+      enqueue(filePath)
+      return
+    }
+
+    entry.size = fileStats.size
+    entry.mtimeMs = fileStats.mtimeMs
+    entry.timer = setTimeout(() => checkSettled(filePath), settleMs)
+  }
+
+  const schedule = (filePath) => {
+    if (stopping || pending.has(filePath) || shouldIgnore(filePath)) return
+    pending.set(filePath, {
+      size: -1,
+      mtimeMs: -1,
+      timer: setTimeout(() => checkSettled(filePath), settleMs)
+    })
+  }
+
+  const watcher = startWatcher(targetPath, Boolean(options.includeSubdirectories), (eventType, filename) => {
+    if (!filename) return
+    schedule(path.join(targetPath, filename.toString()))
+  }, logger)
+
+  logger.info(colorize(`Watching ${targetPath} for new files (settle time ${settleSeconds}s). Press Ctrl-C to stop.`, 'cyan'))
+
+  let stop
+  const stopped = new Promise((resolve) => {
+    stop = resolve
+  })
+  const handleInterrupt = () => {
+    if (stopping) {
+      logger.error('Second interrupt received; exiting immediately.')
+      process.exit(130)
+    }
+    stopping = true
+    logger.warn(colorize('Stopping watch mode; finishing the in-flight file before exiting.', 'yellow'))
+    stop()
+  }
+  process.on('SIGINT', handleInterrupt)
+  watcher.on('error', (error) => {
+    logger.error(`Watcher error: ${error.message}`)
+    handleInterrupt()
+  })
+
+  await stopped
+  watcher.close()
+  for (const entry of pending.values()) {
+    clearTimeout(entry.timer)
+  }
+  pending.clear()
+
+  await lastTask.catch(() => {})
+  process.removeListener('SIGINT', handleInterrupt)
+  session.close()
+
+  if (options.summary) {
+    session.summary.print(logger)
+  }
+
+  await operationLog.close()
+
+  return session.summary.export()
+}
+
+module.exports = {
+  watchFolder
+}
@@ -0,0 +1,254 @@
+const fs = require('fs/promises')
+const fssync = require('fs')
+const os = require('os')
+const path = require('path')
+const { pipeline } = require('stream/promises')
+const { openZipArchive } = require('../utils/zipArchive')
+const { walkTarArchive } = require('../utils/tarArchive')
+const { getArchiveFormat, getFileCategory } = require('../utils/fileType')
+const { decodeText } = require('../utils/textEncoding')
+const { resolveTextBudget } = require('../utils/textSampling')
+
+const MAX_LISTED_ENTRIES = 150
+const MAX_SAMPLES = 3
+const MAX_SAMPLE_BYTES = 25 * 1024 * 1024
+const TEXT_SAMPLE_BYTES = 64 * 1024
+const SAMPLE_WEIGHTS = { pdf: 5, office: 5, document: 4, email: 4, text: 3 }
+const INFORMATIVE_NAME = /(readme|index|summary|overview|contents|cover|manifest|description)/i
+const JUNK_ENTRY = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$|\._)/i
+
+function isJunkEntry (name) {
+  return JUNK_ENTRY.test(name) || path.posix.basename(name).startsWith('.')
+}
+
+function formatBytes (bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${bytes} B`
+}
+
+async function listArchive (filePath, format) {
+  if (format === 'zip') {
+    const zip = await openZipArchive(filePath)
+    return { zip, entries: zip.entries }
+  }
+  const entries = []
+  await walkTarArchive(filePath, entry => {
+    if (entry.file || entry.directory) {
+      entries.push({ name: entry.name, size: entry.size, modifiedAt: entry.modifiedAt, directory: entry.directory, encrypted: false })
+    }
+  }, { gzip: format === 'tar.gz' })
+  return { zip: null, entries }
+}
+
+// Prefer documents the other extractors understand, near the top of the tree, with telling names.
+function scoreMember (entry) {
+  const weight = SAMPLE_WEIGHTS[getFileCategory(entry.name)]
+  if (!weight || entry.directory || entry.encrypted || !entry.size || entry.size > MAX_SAMPLE_BYTES || isJunkEntry(entry.name)) {
+    return 0
+  }
+  const depth = entry.name.split('/').length - 1
+  const nameBonus = INFORMATIVE_NAME.test(path.posix.basename(entry.name)) ? 3 : 0
+  return weight + nameBonus - Math.min(depth, 4) * 0.5 + Math.min(Math.log10(entry.size) / 2, 3)
+}
+
+function selectSamples (entries) {
+  return entries
+    .map(entry => ({ entry, score: scoreMember(entry) }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SAMPLES)
+    .map(candidate => candidate.entry)
+}
+
+function fileSink (targetPath) {
+  const stream = fssync.createWriteStream(targetPath)
+  return {
+    write: chunk => new Promise((resolve, reject) => {
+      stream.write(chunk, error => (error ? reject(error) : resolve()))
+    }),
+    end: () => new Promise((resolve, reject) => {
+      stream.on('error', reject)
+      stream.end(resolve)
+    })
+  }
+}
+
+// Copy the chosen members into a scratch directory so the regular extractors can read them by path.
+async function materialiseSamples (filePath, format, zip, samples, scratchDirectory) {
+  const targets = new Map(samples.map((entry, index) => [entry.name, path.join(scratchDirectory, `${index}-${path.posix.basename(entry.name)}`)]))
+
+  if (zip) {
+    for (const entry of samples) {
+      // A member the reader cannot decode (e.g. bzip2-compressed) is simply left out of the samples.
+      await pipeline(await zip.openEntryStream(entry), fssync.createWriteStream(targets.get(entry.name)))
+        .catch(() => fs.rm(targets.get(entry.name), { force: true }))
+    }
+  } else {
+    await walkTarArchive(filePath, entry => (targets.has(entry.name) ? fileSink(targets.get(entry.name)) : null), { gzip: format === 'tar.gz' })
+  }
+  return targets
+}
+
+async function readSampleText (samplePath, extractMember) {
+  if (getFileCategory(samplePath) === 'text') {
+    const handle = await fs.open(samplePath, 'r')
+    try {
+      const buffer = Buffer.alloc(TEXT_SAMPLE_BYTES)
+      const { bytesRead } = await handle.read(buffer, 0, TEXT_SAMPLE_BYTES, 0)
+      return decodeText(buffer.subarray(0, bytesRead)).text
+    } finally {
+      await handle.close()
+    }
+  }
+  if (typeof extractMember !== 'function') {
+    return ''
+  }
+  const content = await extractMember(samplePath)
+  return content && typeof content.text === 'string' ? content.text : ''
+}
+
+function summariseEntries (entries) {
+  const files = entries.filter(entry => !entry.directory)
+  const totalBytes = files.reduce((sum, entry) => sum + (entry.size || 0), 0)
+  const visible = entries.filter(entry => !isJunkEntry(entry.name))
+  const topLevel = [...new Set(visible.map(entry => entry.name.split('/')[0]).filter(Boolean))]
+
+  // Many ZIP writers omit folder entries, so count the folders implied by member paths as well.
+  const directories = new Set()
+  for (const entry of visible) {
+    const segments = entry.name.replace(/\/+$/, '').split('/')
+    for (let depth = 1; depth < segments.length + (entry.directory ? 1 : 0); depth += 1) {
+      directories.add(segments.slice(0, depth).join('/'))
+    }
+  }
+
+  const extensionCounts = new Map()
+  for (const entry of files) {
+    const ext = path.posix.extname(entry.name).toLowerCase() || '(none)'
+    extensionCounts.set(ext, (extensionCounts.get(ext) || 0) + 1)
+  }
+  const extensions = [...extensionCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 8)
+    .map(([ext, count]) => `${ext} ×${count}`)
+
+  const dates = files
+    .map(entry => entry.modifiedAt)
+    .filter(date => date instanceof Date && !Number.isNaN(date.getTime()) && date.getUTCFullYear() > 1980)
+    .sort((a, b) => a - b)
+
+  return {
+    files,
+    fileCount: files.length,
+    directoryCount: directories.size,
+    totalBytes,
+    topLevel,
+    extensions,
+    oldestEntryDate: dates.length ? dates[0].toISOString() : null,
+    newestEntryDate: dates.length ? dates[dates.length - 1].toISOString() : null,
+    encryptedCount: files.filter(entry => entry.encrypted).length
+  }
+}
+
+/**
+ * List the members of a ZIP or tar(.gz) archive and sample text from its most informative documents,
+ * running PDFs, Office files and emails through `extractMember` (normally `extractContent`). Nested
+ * archives are listed but never opened. Returns `{ text, metadata, archive }`.
+ */
+async function extractArchive (filePath, { format: detectedFormat, textCharBudget, extractMember, logger } = {}) {
+  const format = detectedFormat || getArchiveFormat(filePath)
+  if (!format) {
+    throw new Error('Unsupported archive format')
+  }
+
+  const { zip, entries } = await listArchive(filePath, format)
+  let scratchDirectory = null
+  try {
+    const summary = summariseEntries(entries)
+    // 0 lifts the limit, so the listing and every sample are sent whole.
+    const budget = resolveTextBudget(textCharBudget)
+
+    const header = [
+      `Archive (${format}): ${summary.fileCount} file(s) in ${summary.directoryCount} folder(s), ${formatBytes(summary.totalBytes)} uncompressed.`,
+      summary.topLevel.length ? `Top level: ${summary.topLevel.slice(0, 12).join(', ')}${summary.topLevel.length > 12 ? ', …' : ''}` : null,
+      summary.extensions.length ? `File types: ${summary.extensions.join(', ')}` : null,
+      summary.encryptedCount ? `${summary.encryptedCount} encrypted file(s) could not be read.` : null
+    ].filter(Boolean)
+
+    const listing = summary.files
+      .filter(entry => !isJunkEntry(entry.name))
+      .slice(0, MAX_LISTED_ENTRIES)
+      .map(entry => `- ${entry.name} (${formatBytes(entry.size || 0)})`)
+    const hidden = summary.files.length - listing.length
+    if (hidden > 0) {
+      listing.push(`[${hidden} more file(s) not listed]`)
+    }
+
+    // The listing keeps at most 40% of the budget so there is always room for sampled text.
+    let listingText = ['Contents:', ...listing].join('\n')
+    const listingBudget = Math.floor(budget * 0.4)
+    if (listingText.length > listingBudget) {
+      listingText = `${listingText.slice(0, listingBudget)}\n[listing truncated]`
+    }
+
+    const samples = selectSamples(summary.files)
+    const sections = []
+    const sampled = []
+    if (samples.length) {
+      scratchDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'ji-renamer-archive-'))
+      const targets = await materialiseSamples(filePath, format, zip, samples, scratchDirectory)
+      const remaining = Math.max(0, budget - header.join('\n').length - listingText.length)
+      const perSample = Math.floor(remaining / samples.length)
+
+      for (const entry of samples) {
+        try {
+          const text = (await readSampleText(targets.get(entry.name), extractMember)).trim()
+          if (!text) continue
+          sampled.push(entry.name)
+          sections.push(`--- ${entry.name} ---\n${text.length > perSample ? `${text.slice(0, perSample)}\n[sample truncated]` : text}`)
+        } catch (error) {
+          if (logger && typeof logger.debug === 'function') {
+            logger.debug(`Could not sample ${entry.name} from ${path.basename(filePath)}: ${error.message}`)
+          }
+        }
+      }
+    }
+
+    const metadata = {
+      format,
+      fileCount: summary.fileCount,
+      directoryCount: summary.directoryCount,
+      totalBytes: summary.totalBytes,
+      topLevel: summary.topLevel.slice(0, 20),
+      fileTypes: summary.extensions,
+      oldestEntryDate: summary.oldestEntryDate,
+      newestEntryDate: summary.newestEntryDate,
+      sampledFiles: sampled
+    }
+    if (summary.encryptedCount) {
+      metadata.encryptedFiles = summary.encryptedCount
+    }
+    Object.keys(metadata).forEach(key => {
+      if (metadata[key] === null) delete metadata[key]
+    })
+
+    return {
+      text: [header.join('\n'), listingText, ...sections].join('\n\n'),
+      metadata,
+      archive: { format, fileCount: summary.fileCount, sampled: sampled.length }
+    }
+  } finally {
+    if (zip) {
+      await zip.close()
+    }
+    if (scratchDirectory) {
+      await fs.rm(scratchDirectory, { recursive: true, force: true })
+    }
+  }
+}
+
+module.exports = {
+  extractArchive,
+  isJunkEntry
+}
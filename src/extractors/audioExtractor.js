@@ -0,0 +1,153 @@
+const fs = require('fs/promises')
+const path = require('path')
+const os = require('os')
+const { promisify } = require('util')
+const { execFile } = require('child_process')
+const { probeMedia, normaliseTags, validCreationTime, languagesOf } = require('../utils/ffprobe')
+const { withOcrCache } = require('./ocrCache')
+const { resolveTextBudget } = require('../utils/textSampling')
+
+const execFileAsync = promisify(execFile)
+
+const DEFAULT_WHISPER_BIN = 'whisper-cli'
+// A stuck ffmpeg or whisper process must not hold up the run: converting the clip is quick, and
+// transcription gets a generous allowance per minute of audio on top of a fixed start-up margin.
+const CLIP_TIMEOUT_MS = 2 * 60 * 1000
+const WHISPER_TIMEOUT_MS_PER_MINUTE = 2 * 60 * 1000
+const WHISPER_STARTUP_TIMEOUT_MS = 60 * 1000
+let whisperWarningIssued = false
+let modelWarningIssued = false
+
+function firstTag (tags, ...keys) {
+  for (const key of keys) {
+    if (tags[key]) return String(tags[key]).trim()
+  }
+  return null
+}
+
+/**
+ * Read ID3, MP4 and Vorbis tags plus stream details with ffprobe into the `metadata.audio` shape.
+ */
+async function probeAudio (filePath) {
+  const { format, streams } = await probeMedia(filePath)
+  const tags = normaliseTags(format.tags)
+  const audio = streams.find(stream => stream.codec_type === 'audio')
+  // Some files keep their tags on the stream instead of the container (Ogg/Opus).
+  Object.entries(normaliseTags(audio?.tags)).forEach(([key, value]) => {
+    if (!(key in tags)) tags[key] = value
+  })
+  const duration = parseFloat(format.duration) || parseFloat(audio?.duration) || 0
+  const bitRate = parseInt(format.bit_rate || audio?.bit_rate, 10)
+
+  const metadata = {
+    container: format.format_long_name || format.format_name || null,
+    duration: duration ? Math.round(duration * 10) / 10 : null,
+    codec: audio?.codec_name || null,
+    bitrateKbps: Number.isFinite(bitRate) ? Math.round(bitRate / 1000) : null,
+    sampleRate: audio?.sample_rate ? Number(audio.sample_rate) : null,
+    channels: audio?.channels || null,
+    title: firstTag(tags, 'title'),
+    artist: firstTag(tags, 'artist', 'album_artist', 'performer'),
+    album: firstTag(tags, 'album'),
+    genre: firstTag(tags, 'genre'),
+    track: firstTag(tags, 'track'),
+    composer: firstTag(tags, 'composer'),
+    comment: firstTag(tags, 'comment', 'description', 'lyrics'),
+    date: firstTag(tags, 'date', 'year', 'tdrc', 'tyer'),
+    creationTime: validCreationTime(tags['com.apple.quicktime.creationdate']) || validCreationTime(tags.creation_time),
+    encoder: firstTag(tags, 'encoder', 'encoded_by'),
+    languages: languagesOf(streams.filter(stream => stream.codec_type === 'audio'))
+  }
+
+  return { metadata, duration }
+}
+
+/**
+ * Transcribe the first `minutes` of a recording with a whisper.cpp binary. ffmpeg first cuts and
+ * resamples the audio to the 16 kHz mono WAV whisper.cpp expects.
+ */
+async function runWhisper (filePath, { minutes, model, binary }) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ji-renamer-audio-'))
+  try {
+    const wavPath = path.join(tempDir, 'clip.wav')
+    await execFileAsync('ffmpeg', ['-v', 'error', '-y', '-i', filePath, '-t', String(Math.round(minutes * 60)), '-vn', '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath], {
+      timeout: CLIP_TIMEOUT_MS,
+      killSignal: 'SIGKILL'
+    })
+    const outputBase = path.join(tempDir, 'transcript')
+    await execFileAsync(binary, ['-m', model, '-f', wavPath, '-l', 'auto', '-nt', '-np', '-otxt', '-of', outputBase], {
+      maxBuffer: 64 * 1024 * 1024,
+      timeout: WHISPER_STARTUP_TIMEOUT_MS + Math.ceil(minutes * WHISPER_TIMEOUT_MS_PER_MINUTE),
+      killSignal: 'SIGKILL'
+    })
+    const text = await fs.readFile(`${outputBase}.txt`, 'utf8')
+    return { text: text.split('\n').map(line => line.trim()).filter(Boolean).join('\n') }
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {})
+  }
+}
+
+async function transcribeAudio (filePath, { duration, options, logger }) {
+  const minutes = Number(options.transcribeMinutes)
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    return null
+  }
+  if (!options.whisperModel) {
+    if (!modelWarningIssued && logger) {
+      logger.warn('--transcribe-minutes is set but no --whisper-model was given; skipping audio transcription.')
+      modelWarningIssued = true
+    }
+    return null
+  }
+
+  const binary = options.whisperBin || DEFAULT_WHISPER_BIN
+  const model = path.resolve(options.whisperModel)
+  // Transcripts share the OCR cache: both are text recognised from a file, keyed by its content and settings.
+  const cacheVariant = `whisper\0${path.basename(model)}\0${minutes}`
+
+  try {
+    const result = await withOcrCache(filePath, cacheVariant, options, logger, () => runWhisper(filePath, { minutes, model, binary }))
+    if (logger && typeof logger.debug === 'function') {
+      logger.debug(`Transcribed the first ${minutes} minute(s) of ${path.basename(filePath)}${result.cached ? ' (cached)' : ''}.`)
+    }
+    return {
+      text: result.text,
+      metadata: {
+        engine: 'whisper.cpp',
+        model: path.basename(model),
+        minutes,
+        partial: duration > minutes * 60
+      }
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT' && error.path === binary) {
+      if (!whisperWarningIssued && logger) {
+        logger.warn(`${binary} not found. Install whisper.cpp or point --whisper-bin at its CLI to transcribe audio files.`)
+        whisperWarningIssued = true
+      }
+    } else if (logger) {
+      logger.warn(`Transcription failed for ${path.basename(filePath)}: ${error.message.split('\n')[0]}`)
+    }
+    return null
+  }
+}
+
+/**
+ * Read tags and duration from an audio file and, when `--transcribe-minutes` is set, transcribe
+ * its opening minutes locally. Returns `{ metadata, text, transcription }`.
+ */
+async function extractAudio (filePath, { options = {}, logger } = {}) {
+  const { metadata, duration } = await probeAudio(filePath)
+  const transcript = await transcribeAudio(filePath, { duration, options, logger })
+  if (!transcript || !transcript.text) {
+    return { metadata, text: '', transcription: transcript ? transcript.metadata : null }
+  }
+
+  const budget = resolveTextBudget(options.promptCharBudget)
+  const text = transcript.text.length > budget ? `${transcript.text.slice(0, budget)}\n[Transcript truncated]` : transcript.text
+  return { metadata, text, transcription: transcript.metadata }
+}
+
+module.exports = {
+  extractAudio
+}
@@ -1,14 +1,35 @@
 const path = require('path')
 const fs = require('fs/promises')
-const { getFileCategory, getExtension } = require('../utils/fileType')
+const { getExtension, getArchiveFormat } = require('../utils/fileType')
+const { detectFileType } = require('../utils/fileSignature')
 const { extractText } = require('./textExtractor')
 const { extractPdf } = require('./pdfExtractor')
-const { extractImage } = require('./imageExtractor')
-const { extractFrames } = require('./videoExtractor')
+const { extractImage, recogniseImageText } = require('./imageExtractor')
+const { extractVideo } = require('./videoExtractor')
+const { extractAudio } = require('./audioExtractor')
+const { extractOffice } = require('./officeExtractor')
+const { extractHtml } = require('./htmlExtractor')
+const { extractEpub } = require('./epubExtractor')
+const { extractRtf } = require('./rtfExtractor')
+const { extractOdf } = require('./odfExtractor')
+const { extractEmail } = require('./emailExtractor')
+const { extractArchive } = require('./archiveExtractor')
 const { collectSystemMetadata } = require('../utils/systemMetadata')
 
+const DOCUMENT_EXTRACTORS = {
+  '.html': extractHtml,
+  '.htm': extractHtml,
+  '.xhtml': extractHtml,
+  '.epub': extractEpub,
+  '.rtf': extractRtf,
+  '.odt': extractOdf,
+  '.ods': extractOdf,
+  '.odp': extractOdf
+}
+
 async function extractContent (filePath, options, logger) {
-  const category = getFileCategory(filePath)
+  const fileType = await detectFileType(filePath)
+  const { category } = fileType
   const baseName = path.basename(filePath)
   const stats = await fs.stat(filePath)
 
@@ -23,20 +44,40 @@ async function extractContent (filePath, options, logger) {
     modifiedAt: stats.mtime.toISOString(),
     createdAt
   }
+  if (fileType.detected) {
+    baseContext.fileType = {
+      label: fileType.detected.label,
+      extension: fileType.extension,
+      corrected: fileType.corrected
+    }
+  }
 
   const systemMetadata = await collectSystemMetadata(filePath, logger)
-  const metadata = {}
-  if (systemMetadata) {
-    metadata.mac = systemMetadata
-  }
+  const metadata = { ...systemMetadata }
 
   if (category === 'text') {
-    const text = await extractText(filePath)
-    const payload = { ...baseContext, text }
-    if (Object.keys(metadata).length) {
-      payload.metadata = metadata
+    const { text, encoding, method, binary, sampling } = await extractText(filePath, { textCharBudget: options.promptCharBudget })
+    if (binary) {
+      // A text extension on binary content (a renamed export, a corrupt download): send the binary preview instead of mojibake.
+      if (logger && typeof logger.warn === 'function') {
+        logger.warn(`${baseName} has a text extension but binary content; using a binary preview.`)
+      }
+    } else {
+      if (encoding !== 'utf-8' || sampling) {
+        metadata.text = {
+          ...(encoding !== 'utf-8' ? { encoding, detectedBy: method } : {}),
+          ...(sampling ? { totalCharacters: sampling.characters } : {})
+        }
+      }
+      const payload = { ...baseContext, text }
+      if (sampling) {
+        payload.textSampling = sampling.strategy
+      }
+      if (Object.keys(metadata).length) {
+        payload.metadata = metadata
+      }
+      return payload
     }
-    return payload
   }
 
   if (category === 'pdf') {
@@ -52,7 +93,7 @@ async function extractContent (filePath, options, logger) {
       visionPageLimit: options.pdfVisionPageLimit,
       visionDpi: options.pdfVisionDpi
     }
-    const { text, metadata: pdfMetadata, ocr, extraction, images } = await extractPdf(filePath, pdfOptions)
+    const { text, metadata: pdfMetadata, ocr, extraction, images, structure } = await extractPdf(filePath, pdfOptions)
     if (pdfMetadata && Object.keys(pdfMetadata).length) {
       metadata.document = pdfMetadata
     }
@@ -66,6 +107,9 @@ async function extractContent (filePath, options, logger) {
     if (extraction) {
       payload.pdfExtraction = extraction
     }
+    if (structure) {
+      payload.pdfStructure = structure
+    }
     if (Array.isArray(images) && images.length) {
       payload.images = images
     }
@@ -73,8 +117,20 @@ async function extractContent (filePath, options, logger) {
   }
 
   if (category === 'image') {
-    const image = await extractImage(filePath)
+    const { image, metadata: imageMetadata } = await extractImage(filePath, { extension: fileType.extension })
+    if (imageMetadata && Object.keys(imageMetadata).length) {
+      metadata.image = imageMetadata
+    }
     const payload = { ...baseContext, image, images: [image] }
+    if (options.imageOcr !== false) {
+      const ocrResult = await recogniseImageText(filePath, options, logger, fileType.extension)
+      if (ocrResult) {
+        if (ocrResult.text) {
+          payload.text = ocrResult.text
+        }
+        payload.ocr = ocrResult.metadata
+      }
+    }
     if (Object.keys(metadata).length) {
       payload.metadata = metadata
     }
@@ -82,14 +138,111 @@ async function extractContent (filePath, options, logger) {
   }
 
   if (category === 'video') {
-    const { frames, duration, frameCount, error } = await extractFrames({ filePath, frameCount: options.frames || 3 })
-    const payload = { ...baseContext, frames, duration, frameCount, frameError: error }
+    const { frames, frameTimes, duration, frameCount, sampling, metadata: videoMetadata, text, error } = await extractVideo(filePath, {
+      frameCount: options.frames || 3,
+      textCharBudget: options.promptCharBudget,
+      logger
+    })
+    if (videoMetadata) {
+      metadata.video = videoMetadata
+    }
+    const payload = { ...baseContext, frames, frameTimes, duration, frameCount, frameSampling: sampling, frameError: error }
+    if (text) {
+      payload.text = text
+    }
     if (Object.keys(metadata).length) {
       payload.metadata = metadata
     }
     return payload
   }
 
+  if (category === 'audio') {
+    try {
+      const { metadata: audioMetadata, text, transcription } = await extractAudio(filePath, { options, logger })
+      metadata.audio = audioMetadata
+      const payload = { ...baseContext, metadata }
+      if (text) {
+        payload.text = text
+      }
+      if (transcription) {
+        payload.transcription = transcription
+      }
+      return payload
+    } catch (error) {
+      // Without ffprobe (or for a damaged file) the model still gets the binary preview below.
+      if (logger && typeof logger.warn === 'function') {
+        logger.warn(`Audio extraction failed for ${baseName}: ${error.message.split('\n')[0]}`)
+      }
+    }
+  }
+
+  if (category === 'office') {
+    try {
+      const { text, metadata: officeMetadata, office } = await extractOffice(filePath, { textCharBudget: options.promptCharBudget })
+      if (officeMetadata && Object.keys(officeMetadata).length) {
+        metadata.document = officeMetadata
+      }
+      const payload = { ...baseContext, text, office }
+      if (Object.keys(metadata).length) {
+        payload.metadata = metadata
+      }
+      return payload
+    } catch (error) {
+      // Password-protected Office files are not ZIP packages at all; fall back to the binary preview.
+      if (logger && typeof logger.warn === 'function') {
+        logger.warn(`Office extraction failed for ${baseName}: ${error.message}`)
+      }
+    }
+  }
+
+  if (category === 'document') {
+    // Files routed here by their contents (an .aspx page, a book without an extension) use the sniffed type.
+    const extractor = DOCUMENT_EXTRACTORS[fileType.extension] || DOCUMENT_EXTRACTORS[fileType.detected?.extensions[0]]
+    try {
+      const { text, metadata: documentMetadata, characters, truncated } = await extractor(filePath, { textCharBudget: options.promptCharBudget })
+      metadata.document = documentMetadata
+      return { ...baseContext, text, document: { format: documentMetadata.format, characters, truncated }, metadata }
+    } catch (error) {
+      if (logger && typeof logger.warn === 'function') {
+        logger.warn(`Document extraction failed for ${baseName}: ${error.message}`)
+      }
+    }
+  }
+
+  if (category === 'email') {
+    try {
+      const { text, metadata: emailMetadata } = await extractEmail(filePath, {
+        textCharBudget: options.promptCharBudget,
+        mailbox: baseContext.extension === '.mbox'
+      })
+      metadata.email = emailMetadata
+      return { ...baseContext, text, metadata }
+    } catch (error) {
+      // Unreadable or non-RFC 822 files still get the binary preview below.
+      if (logger && typeof logger.warn === 'function') {
+        logger.warn(`Email extraction failed for ${baseName}: ${error.message}`)
+      }
+    }
+  }
+
+  if (category === 'archive') {
+    try {
+      const { text, metadata: archiveMetadata, archive } = await extractArchive(filePath, {
+        format: getArchiveFormat(`archive${fileType.extension}`),
+        textCharBudget: options.promptCharBudget,
+        // Members are only sampled for text, so skip vision rendering and the members' own previews.
+        extractMember: (memberPath) => extractContent(memberPath, { ...options, visionMode: false }, logger),
+        logger
+      })
+      metadata.archive = archiveMetadata
+      return { ...baseContext, text, archive, metadata }
+    } catch (error) {
+      if (logger && typeof logger.warn === 'function') {
+        logger.warn(`Archive inspection failed for ${baseName}: ${error.message}`)
+      }
+    }
+  }
+
   const buffer = await fs.readFile(filePath)
   const payload = { ...baseContext, binarySnippet: buffer.slice(0, 4096).toString('base64') }
   if (Object.keys(metadata).length) {
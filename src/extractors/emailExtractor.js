@@ -0,0 +1,354 @@
+const fs = require('fs/promises')
+const { decodeXmlEntities } = require('../utils/xml')
+const { resolveTextBudget } = require('../utils/textSampling')
+
+const MAX_READ_BYTES = 16 * 1024 * 1024
+const MAX_MBOX_MESSAGES = 25
+const MAX_PART_DEPTH = 8
+const WEBMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'msn.com', 'yahoo.com',
+  'icloud.com', 'me.com', 'mac.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'gmx.de',
+  'fastmail.com', 'zoho.com', 'yandex.com', 'mail.com'
+])
+
+function decodeCharset (buffer, charset) {
+  const label = (charset || 'utf-8').trim().toLowerCase().replace(/^"|"$/g, '')
+  try {
+    return new TextDecoder(label).decode(buffer)
+  } catch (error) {
+    // Unknown labels (e.g. "unknown-8bit") are best read as UTF-8.
+    return new TextDecoder('utf-8').decode(buffer)
+  }
+}
+
+// Lines are held as latin1 strings so every byte survives until the real charset is known.
+function latin1Bytes (text) {
+  return Buffer.from(text, 'latin1')
+}
+
+function decodeQuotedPrintable (text) {
+  const bytes = []
+  const source = text.replace(/=\r?\n/g, '')
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index]
+    if (char === '=' && /^[0-9A-Fa-f]{2}$/.test(source.slice(index + 1, index + 3))) {
+      bytes.push(parseInt(source.slice(index + 1, index + 3), 16))
+      index += 2
+    } else {
+      bytes.push(source.charCodeAt(index) & 0xff)
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+function decodeEncodedWords (value) {
+  if (!value) return ''
+  // Whitespace between two adjacent encoded words is not part of the text (RFC 2047 §6.2).
+  const joined = value.replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?[^?]+\?[BbQq]\?[^?]*\?=)/g, '$1')
+  const decoded = joined.replace(/=\?([^?*]+)(?:\*[^?]+)?\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, payload) => {
+    const bytes = encoding.toUpperCase() === 'B'
+      ? Buffer.from(payload, 'base64')
+      : decodeQuotedPrintable(payload.replace(/_/g, ' '))
+    return decodeCharset(bytes, charset)
+  })
+  // Raw 8-bit header bytes are UTF-8 in practice; keep latin1 if they are not valid UTF-8.
+  if (/[\x80-\xff]/.test(decoded)) {
+    const asUtf8 = latin1Bytes(decoded).toString('utf8')
+    return asUtf8.includes('\ufffd') ? decoded : asUtf8
+  }
+  return decoded
+}
+
+function splitHeaderBlock (raw) {
+  const match = /\r?\n\r?\n/.exec(raw)
+  if (!match) {
+    return { headerText: raw, body: '' }
+  }
+  return { headerText: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) }
+}
+
+function parseHeaders (headerText) {
+  const headers = new Map()
+  const unfolded = headerText.replace(/\r?\n[ \t]+/g, ' ')
+  for (const line of unfolded.split(/\r?\n/)) {
+    const separator = line.indexOf(':')
+    if (separator <= 0) continue
+    const name = line.slice(0, separator).trim().toLowerCase()
+    const value = line.slice(separator + 1).trim()
+    if (!headers.has(name)) {
+      headers.set(name, value)
+    }
+  }
+  return headers
+}
+
+function parseHeaderParameters (value) {
+  const [main, ...rest] = (value || '').split(';')
+  const params = {}
+  for (const part of rest) {
+    const separator = part.indexOf('=')
+    if (separator === -1) continue
+    let key = part.slice(0, separator).trim().toLowerCase()
+    let paramValue = part.slice(separator + 1).trim().replace(/^"|"$/g, '')
+    // RFC 2231 extended values: filename*=utf-8''name.pdf
+    if (key.endsWith('*')) {
+      key = key.slice(0, -1)
+      const extended = /^([^']*)'[^']*'(.*)$/.exec(paramValue)
+      if (extended) {
+        try {
+          paramValue = decodeCharset(Buffer.from(decodeURIComponent(extended[2]), 'utf8'), 'utf-8')
+        } catch (error) {
+          paramValue = extended[2]
+        }
+      }
+    }
+    params[key] = decodeEncodedWords(paramValue)
+  }
+  return { value: main.trim().toLowerCase(), params }
+}
+
+function decodeTransfer (body, encoding) {
+  const normalised = (encoding || '').trim().toLowerCase()
+  if (normalised === 'base64') {
+    return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64')
+  }
+  if (normalised === 'quoted-printable') {
+    return decodeQuotedPrintable(body)
+  }
+  return latin1Bytes(body)
+}
+
+function htmlToText (html) {
+  const withoutBlocks = html
+    .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+  return decodeXmlEntities(withoutBlocks)
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n\n')
+    .trim()
+}
+
+function estimateDecodedSize (body, encoding) {
+  if ((encoding || '').toLowerCase() === 'base64') {
+    return Math.floor(body.replace(/[^A-Za-z0-9+/]/g, '').length * 3 / 4)
+  }
+  return body.length
+}
+
+function walkParts (raw, collected, depth = 0) {
+  const { headerText, body } = splitHeaderBlock(raw)
+  const headers = parseHeaders(headerText)
+  const contentType = parseHeaderParameters(headers.get('content-type') || 'text/plain')
+  const disposition = parseHeaderParameters(headers.get('content-disposition') || '')
+  const encoding = headers.get('content-transfer-encoding')
+  const filename = disposition.params.filename || contentType.params.name || null
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary && depth < MAX_PART_DEPTH) {
+    const boundary = `--${contentType.params.boundary}`
+    const sections = body.split(new RegExp(`^${boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*\\r?$`, 'm'))
+    // The first section is the preamble and anything after the closing boundary is the epilogue.
+    sections.slice(1, -1).forEach(section => walkParts(section.replace(/^\r?\n/, ''), collected, depth + 1))
+    if (sections.length === 2) {
+      // Closing boundary missing (truncated file): the last section is still a real part.
+      walkParts(sections[1].replace(/^\r?\n/, ''), collected, depth + 1)
+    }
+    return
+  }
+
+  if (contentType.value === 'message/rfc822' && depth < MAX_PART_DEPTH) {
+    const forwarded = parseMessage(decodeTransfer(body, encoding).toString('latin1'), depth + 1)
+    collected.forwarded.push(forwarded)
+    return
+  }
+
+  // Named parts are attachments unless they are inline text meant to be read as the body.
+  const isAttachment = disposition.value === 'attachment' ||
+    Boolean(filename && (disposition.value !== 'inline' || !contentType.value.startsWith('text/')))
+  if (isAttachment) {
+    collected.attachments.push({
+      filename: filename || '(unnamed)',
+      contentType: contentType.value,
+      sizeBytes: estimateDecodedSize(body, encoding)
+    })
+    return
+  }
+
+  if (contentType.value === 'text/plain' || contentType.value === 'text/html') {
+    const text = decodeCharset(decodeTransfer(body, encoding), contentType.params.charset)
+    collected[contentType.value === 'text/plain' ? 'plain' : 'html'].push(text)
+  }
+}
+
+function parseAddress (value) {
+  const decoded = decodeEncodedWords(value || '').trim()
+  const angle = /<([^>]+)>/.exec(decoded)
+  const address = (angle ? angle[1] : (decoded.match(/[^\s<>"]+@[^\s<>",;]+/) || [null])[0])
+  return { display: decoded, address: address ? address.toLowerCase() : null }
+}
+
+function parseDateHeader (value) {
+  if (!value) return null
+  const parsed = Date.parse(value.replace(/\s*\([^)]*\)\s*$/, ''))
+  return Number.isNaN(parsed) ? null : new Date(parsed).toISOString()
+}
+
+function parseMessage (raw, depth = 0) {
+  const { headerText } = splitHeaderBlock(raw)
+  const headers = parseHeaders(headerText)
+  const collected = { plain: [], html: [], attachments: [], forwarded: [] }
+  walkParts(raw, collected, depth)
+
+  const from = parseAddress(headers.get('from'))
+  const body = collected.plain.length
+    ? collected.plain.join('\n\n')
+    : collected.html.map(htmlToText).join('\n\n')
+
+  return {
+    from: from.display || null,
+    fromAddress: from.address,
+    to: decodeEncodedWords(headers.get('to') || '') || null,
+    cc: decodeEncodedWords(headers.get('cc') || '') || null,
+    subject: decodeEncodedWords(headers.get('subject') || '') || null,
+    dateHeader: headers.get('date') || null,
+    date: parseDateHeader(headers.get('date')),
+    messageId: headers.get('message-id') || null,
+    inReplyTo: headers.get('in-reply-to') || null,
+    body: body.replace(/\r\n/g, '\n').trim(),
+    attachments: collected.attachments,
+    forwarded: collected.forwarded
+  }
+}
+
+function splitMbox (raw) {
+  return raw
+    .split(/^From [^\r\n]*\r?\n/m)
+    .filter(chunk => chunk.trim())
+    // mboxrd escapes body lines starting with "From " as ">From ".
+    .map(chunk => chunk.replace(/^>(>*From )/gm, '$1'))
+}
+
+function senderDomain (address) {
+  if (!address || !address.includes('@')) return null
+  return address.split('@').pop()
+}
+
+function formatSize (bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`
+}
+
+const BODY_TRUNCATED = '\n[Message body truncated]'
+
+// Headers first, then as much of the body as fits: `budget` covers the whole description.
+function describeMessage (message, budget) {
+  const lines = []
+  if (message.from) lines.push(`From: ${message.from}`)
+  if (message.to) lines.push(`To: ${message.to}`)
+  if (message.cc) lines.push(`Cc: ${message.cc}`)
+  if (message.dateHeader) lines.push(`Date: ${message.dateHeader}`)
+  if (message.subject) lines.push(`Subject: ${message.subject}`)
+  if (message.attachments.length) {
+    lines.push(`Attachments: ${message.attachments.map(item => `${item.filename} (${item.contentType}, ${formatSize(item.sizeBytes)})`).join('; ')}`)
+  }
+  for (const forwarded of message.forwarded) {
+    lines.push(`Forwarded message: ${[forwarded.from, forwarded.subject, forwarded.dateHeader].filter(Boolean).join(' | ')}`)
+  }
+  const header = lines.join('\n')
+  if (header.length >= budget) {
+    return header.slice(0, Math.max(0, budget))
+  }
+  if (!message.body) {
+    return header
+  }
+  const bodyBudget = budget - header.length - 2
+  if (message.body.length <= bodyBudget) {
+    return `${header}\n\n${message.body}`
+  }
+  const room = bodyBudget - BODY_TRUNCATED.length
+  return room > 0 ? `${header}\n\n${message.body.slice(0, room)}${BODY_TRUNCATED}` : header
+}
+
+function buildEmailMetadata (message) {
+  const domain = senderDomain(message.fromAddress)
+  const metadata = {
+    from: message.from,
+    fromAddress: message.fromAddress,
+    senderDomain: domain,
+    senderIsWebmail: domain ? WEBMAIL_DOMAINS.has(domain) : null,
+    to: message.to,
+    cc: message.cc,
+    subject: message.subject,
+    date: message.date || message.dateHeader,
+    messageId: message.messageId,
+    inReplyTo: message.inReplyTo,
+    attachmentCount: message.attachments.length,
+    attachments: message.attachments.map(item => item.filename)
+  }
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== null && value !== undefined && value !== ''))
+}
+
+/**
+ * Parse a single RFC 822 message (.eml) or an mbox mailbox. Returns `{ text, metadata }`, where
+ * `metadata` becomes `metadata.email`; for mailboxes it describes the most recent message and adds
+ * the message count and date range.
+ */
+async function extractEmail (filePath, { textCharBudget, mailbox = false } = {}) {
+  const handle = await fs.open(filePath, 'r')
+  let raw
+  let truncated = false
+  try {
+    const { size } = await handle.stat()
+    const length = Math.min(size, MAX_READ_BYTES)
+    const buffer = Buffer.alloc(length)
+    await handle.read(buffer, 0, length, 0)
+    raw = buffer.toString('latin1')
+    truncated = size > length
+  } finally {
+    await handle.close()
+  }
+
+  const budget = resolveTextBudget(textCharBudget)
+
+  if (!mailbox) {
+    const message = parseMessage(raw)
+    const metadata = buildEmailMetadata(message)
+    if (truncated) metadata.truncated = true
+    return { text: describeMessage(message, budget), metadata }
+  }
+
+  const chunks = splitMbox(raw)
+  const messages = chunks.slice(0, MAX_MBOX_MESSAGES).map(chunk => parseMessage(chunk))
+  if (!messages.length) {
+    throw new Error('Mailbox contains no messages')
+  }
+
+  const dated = messages.filter(message => message.date).sort((a, b) => a.date.localeCompare(b.date))
+  const latest = dated.length ? dated[dated.length - 1] : messages[messages.length - 1]
+  const metadata = buildEmailMetadata(latest)
+  metadata.messageCount = chunks.length
+  if (dated.length) {
+    metadata.earliestDate = dated[0].date
+    metadata.latestDate = latest.date
+  }
+  const participants = [...new Set(messages.map(message => message.fromAddress).filter(Boolean))]
+  metadata.participants = participants.slice(0, 20)
+  if (truncated || chunks.length > messages.length) metadata.truncated = true
+
+  // Each message gets an equal share of the budget, separator line and blank line included.
+  const share = Math.floor(budget / messages.length)
+  const text = messages
+    .map((message, index) => {
+      const separator = `--- Message ${index + 1} of ${chunks.length} ---\n`
+      return `${separator}${describeMessage(message, share - separator.length - 2)}`
+    })
+    .join('\n\n')
+    .slice(0, budget)
+
+  return { text, metadata }
+}
+
+module.exports = {
+  extractEmail
+}
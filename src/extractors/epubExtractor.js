@@ -0,0 +1,104 @@
+const path = require('path')
+const { openZipArchive } = require('../utils/zipArchive')
+const { findElements, getElementText, getAttribute, decodeXmlEntities, stripTags } = require('../utils/xml')
+const { htmlToText } = require('./htmlExtractor')
+const { applyTextBudget } = require('../utils/textSampling')
+
+const MAX_PART_BYTES = 25 * 1024 * 1024
+const MAX_CHAPTERS = 200
+
+function elementText (inner) {
+  return decodeXmlEntities(stripTags(inner)).trim()
+}
+
+async function findPackageDocument (zip) {
+  const container = await zip.readText('META-INF/container.xml', { maxBytes: MAX_PART_BYTES })
+  const [rootfile] = findElements(container, 'rootfile')
+  const fullPath = rootfile && getAttribute(rootfile.raw, 'full-path')
+  if (fullPath && zip.has(fullPath)) {
+    return fullPath
+  }
+  // Some generators skip or mangle container.xml; the OPF is usually the only one in the book.
+  const opf = zip.entries.map(entry => entry.name).find(name => name.toLowerCase().endsWith('.opf'))
+  if (!opf) {
+    throw new Error('EPUB has no package document (.opf)')
+  }
+  return opf
+}
+
+function readOpfMetadata (opf) {
+  const [block] = findElements(opf, 'metadata').concat(findElements(opf, 'opf:metadata'))
+  const xml = block ? block.inner : opf
+  const text = (tag) => getElementText(xml, `dc:${tag}`) || getElementText(xml, tag)
+  const modified = findElements(xml, 'meta').find(({ raw }) => getAttribute(raw, 'property') === 'dcterms:modified')
+  const subjects = findElements(xml, 'dc:subject').map(({ inner }) => elementText(inner)).filter(Boolean)
+
+  const metadata = {
+    format: 'epub',
+    title: text('title'),
+    author: findElements(xml, 'dc:creator').map(({ inner }) => elementText(inner)).filter(Boolean).join(', ') || null,
+    publisher: text('publisher'),
+    // Descriptions are often escaped HTML, so strip the tags that decoding reveals.
+    description: stripTags(text('description')).trim() || null,
+    language: text('language'),
+    identifier: text('identifier'),
+    keywords: subjects.length ? subjects.join(', ') : null,
+    publishedDate: text('date'),
+    modificationDate: modified ? elementText(modified.inner) : null
+  }
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value))
+}
+
+// Reading order: spine itemrefs resolved through the manifest, relative to the OPF's folder.
+function readSpine (opf, opfPath) {
+  const manifest = new Map()
+  for (const { raw } of findElements(opf, 'item')) {
+    const id = getAttribute(raw, 'id')
+    const href = getAttribute(raw, 'href')
+    if (id && href) {
+      manifest.set(id, path.posix.normalize(path.posix.join(path.posix.dirname(opfPath), decodeURIComponent(href.split('#')[0]))))
+    }
+  }
+  return findElements(opf, 'itemref')
+    .map(({ raw }) => manifest.get(getAttribute(raw, 'idref')))
+    .filter(Boolean)
+}
+
+/**
+ * Extract OPF metadata (Dublin Core title, creator, publisher, date, …) and the text of an EPUB's
+ * chapters in reading order, stopping once the text budget is filled.
+ */
+async function extractEpub (filePath, { textCharBudget } = {}) {
+  const zip = await openZipArchive(filePath)
+  try {
+    const opfPath = await findPackageDocument(zip)
+    const opf = await zip.readText(opfPath, { maxBytes: MAX_PART_BYTES })
+    const metadata = readOpfMetadata(opf)
+    const spine = readSpine(opf, opfPath)
+
+    const chapters = []
+    let characters = 0
+    let remaining = spine.slice(0, MAX_CHAPTERS)
+    while (remaining.length) {
+      const [part, ...rest] = remaining
+      remaining = rest
+      if (!zip.has(part)) continue
+      const chapter = htmlToText(await zip.readText(part, { maxBytes: MAX_PART_BYTES }))
+      if (!chapter) continue
+      chapters.push(chapter)
+      characters += chapter.length
+      // No need to decompress the rest of the book once the budget is spent.
+      if (applyTextBudget(chapters.join('\n\n'), textCharBudget, 'Book').truncated) break
+    }
+    metadata.chapters = spine.length
+
+    const { text, truncated } = applyTextBudget(chapters.join('\n\n'), textCharBudget, 'Book')
+    return { text, metadata, characters, truncated: truncated || remaining.length > 0 }
+  } finally {
+    await zip.close()
+  }
+}
+
+module.exports = {
+  extractEpub
+}
@@ -0,0 +1,170 @@
+const fs = require('fs/promises')
+const { findElements, getAttribute, decodeXmlEntities, stripTags } = require('../utils/xml')
+const { applyTextBudget } = require('../utils/textSampling')
+const { detectEncoding, decodeText, decodeBytes } = require('../utils/textEncoding')
+
+const MAX_HTML_BYTES = 20 * 1024 * 1024
+// Browsers look for the charset declaration in the first 1024 bytes; saved pages sometimes push it a little further.
+const CHARSET_PRESCAN_BYTES = 4096
+const HIDDEN_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'head', 'iframe', 'object']
+const BLOCK_ELEMENTS = 'p|div|section|article|header|footer|aside|nav|main|li|ul|ol|dl|dt|dd|tr|table|blockquote|pre|figure|figcaption|form|h[1-6]|br|hr'
+
+// Meta tags that carry the same field under different vocabularies (plain HTML, Open Graph, Dublin Core, citation_*).
+const META_FIELDS = {
+  title: ['og:title', 'twitter:title', 'dc.title', 'citation_title'],
+  description: ['description', 'og:description', 'twitter:description', 'dc.description'],
+  author: ['author', 'article:author', 'dc.creator', 'citation_author', 'byl'],
+  publishedDate: ['article:published_time', 'date', 'dc.date', 'dc.date.issued', 'citation_publication_date', 'pubdate', 'publish-date', 'og:published_time'],
+  modificationDate: ['article:modified_time', 'og:updated_time', 'last-modified', 'dc.date.modified'],
+  siteName: ['og:site_name', 'application-name'],
+  keywords: ['keywords', 'news_keywords'],
+  url: ['og:url']
+}
+
+// Void elements (<meta>, <link>) have no closing tag, so findElements' element scan cannot see them.
+function findStartTags (html, tagName) {
+  return html.match(new RegExp(`<${tagName}\\b[^>]*>`, 'gi')) || []
+}
+
+function readMetaTags (html) {
+  const tags = new Map()
+  for (const raw of findStartTags(html, 'meta')) {
+    const name = (getAttribute(raw, 'name') || getAttribute(raw, 'property') || getAttribute(raw, 'itemprop') || getAttribute(raw, 'http-equiv') || '').toLowerCase()
+    const content = getAttribute(raw, 'content')
+    if (name && content && !tags.has(name)) {
+      tags.set(name, content.trim())
+    }
+  }
+  return tags
+}
+
+// schema.org JSON-LD (`Article`, `NewsArticle`, `BlogPosting`, …) often has the only reliable dates.
+function readJsonLd (html) {
+  const found = {}
+  for (const { raw, inner } of findElements(html, 'script')) {
+    if (!/application\/ld\+json/i.test(getAttribute(raw, 'type') || '')) continue
+    let data
+    try {
+      data = JSON.parse(inner)
+    } catch (error) {
+      continue
+    }
+    const nodes = [data].flat().flatMap(node => (node && Array.isArray(node['@graph']) ? node['@graph'] : [node]))
+    for (const node of nodes) {
+      if (!node || typeof node !== 'object') continue
+      const author = [node.author].flat()[0]
+      found.publishedDate = found.publishedDate || node.datePublished || node.dateCreated || null
+      found.modificationDate = found.modificationDate || node.dateModified || null
+      found.author = found.author || (typeof author === 'string' ? author : author?.name) || null
+      found.headline = found.headline || node.headline || null
+    }
+  }
+  return found
+}
+
+/**
+ * Turn an HTML (or XHTML) document into readable text: hidden elements are dropped, block elements
+ * become line breaks, and entities are decoded.
+ */
+function htmlToText (html) {
+  let body = (html || '').replace(/<!--[\s\S]*?-->/g, ' ')
+  for (const element of HIDDEN_ELEMENTS) {
+    body = body.replace(new RegExp(`<${element}\\b[\\s\\S]*?</${element}>`, 'gi'), ' ')
+  }
+  body = body
+    .replace(new RegExp(`<\\/?(?:${BLOCK_ELEMENTS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<(?:td|th)\b[^>]*>/gi, ' | ')
+  return decodeXmlEntities(stripTags(body))
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim().replace(/^\|\s*/, ''))
+    .filter(Boolean)
+    .join('\n')
+}
+
+/**
+ * Collect `<title>`, meta description, author, published/modified dates and similar fields in the
+ * `metadata.document` shape.
+ */
+function readHtmlMetadata (html) {
+  const meta = readMetaTags(html)
+  const jsonLd = readJsonLd(html)
+  const pick = (field) => META_FIELDS[field].map(name => meta.get(name)).find(Boolean) || null
+  const [titleElement] = findElements(html, 'title')
+  const [htmlElement] = findStartTags(html, 'html')
+  const [canonical] = findStartTags(html, 'link').filter(raw => (getAttribute(raw, 'rel') || '').toLowerCase() === 'canonical')
+  const [time] = findStartTags(html, 'time').filter(raw => getAttribute(raw, 'datetime'))
+  // Browsers' "Save page as" leaves a `saved from url=(0042)https://…` comment (the mark of the web).
+  const savedFrom = /<!--\s*saved from url=\(\d+\)(\S+)\s*-->/i.exec(html)
+
+  const metadata = {
+    format: 'html',
+    title: (titleElement && decodeXmlEntities(stripTags(titleElement.inner)).replace(/\s+/g, ' ').trim()) || pick('title') || jsonLd.headline || null,
+    description: pick('description'),
+    author: pick('author') || jsonLd.author || null,
+    publishedDate: pick('publishedDate') || jsonLd.publishedDate || (time ? getAttribute(time, 'datetime') : null),
+    modificationDate: pick('modificationDate') || jsonLd.modificationDate || null,
+    siteName: pick('siteName'),
+    keywords: pick('keywords'),
+    language: htmlElement ? getAttribute(htmlElement, 'lang') : null,
+    sourceUrl: (canonical && getAttribute(canonical, 'href')) || pick('url') || (savedFrom ? savedFrom[1] : null)
+  }
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value))
+}
+
+// `<meta charset="…">` or the older `<meta http-equiv="Content-Type" content="text/html; charset=…">`.
+function readDeclaredCharset (buffer) {
+  const head = buffer.toString('latin1', 0, Math.min(buffer.length, CHARSET_PRESCAN_BYTES))
+  for (const raw of findStartTags(head, 'meta')) {
+    const declared = getAttribute(raw, 'charset') || (/charset\s*=\s*["']?([\w.:-]+)/i.exec(getAttribute(raw, 'content') || '') || [])[1]
+    if (declared) {
+      // A page that really is UTF-16 starts with a BOM; without one the declaration is wrong (per the HTML spec).
+      return /^utf-?16/i.test(declared) ? 'utf-8' : declared.trim()
+    }
+  }
+  return null
+}
+
+// A byte order mark wins, then the page's own charset declaration, then the same detection used for text files.
+function decodeHtml (buffer) {
+  const detected = detectEncoding(buffer)
+  if (detected.method === 'bom') {
+    return decodeBytes(buffer.subarray(detected.bomLength), detected.encoding)
+  }
+  const declared = readDeclaredCharset(buffer)
+  if (declared) {
+    try {
+      return decodeBytes(buffer, declared)
+    } catch (error) {
+      // Unknown label: fall through to detection.
+    }
+  }
+  const decoded = decodeText(buffer)
+  return decoded.binary ? buffer.toString('utf8') : decoded.text
+}
+
+/**
+ * Extract readable text and page metadata from a saved web page. Returns `{ text, metadata,
+ * characters, truncated }` with `metadata` in the `metadata.document` shape.
+ */
+async function extractHtml (filePath, { textCharBudget } = {}) {
+  const handle = await fs.open(filePath, 'r')
+  let html
+  try {
+    const { size } = await handle.stat()
+    const length = Math.min(size, MAX_HTML_BYTES)
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0)
+    html = decodeHtml(buffer.subarray(0, bytesRead))
+  } finally {
+    await handle.close()
+  }
+
+  const fullText = htmlToText(html)
+  const { text, truncated } = applyTextBudget(fullText, textCharBudget, 'Page')
+  return { text, metadata: readHtmlMetadata(html), characters: fullText.length, truncated }
+}
+
+module.exports = {
+  extractHtml,
+  htmlToText
+}
@@ -1,16 +1,70 @@
 const fs = require('fs/promises')
 const path = require('path')
+const { readImageMetadata } = require('../utils/imageMetadata')
+const { resolveOcrLanguages, runTesseractOnImage } = require('../utils/tesseract')
+const { withOcrCache } = require('./ocrCache')
 
-async function extractImage (filePath) {
+// Formats tesseract (via Leptonica) reads directly; SVG is vector data and has no pixels to OCR.
+const OCR_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp', '.tiff', '.tif'])
+const MEDIA_TYPES = { jpg: 'image/jpeg', jpe: 'image/jpeg', jfif: 'image/jpeg', tif: 'image/tiff', dib: 'image/bmp', svg: 'image/svg+xml' }
+const MIN_OCR_CHARACTERS = 8
+let tesseractWarningIssued = false
+
+async function extractImage (filePath, { extension: detectedExtension } = {}) {
   const buffer = await fs.readFile(filePath)
   const base64 = buffer.toString('base64')
-  const extension = path.extname(filePath).replace('.', '')
+  const extension = (detectedExtension || path.extname(filePath)).replace('.', '').toLowerCase()
   return {
-    base64,
-    mediaType: `image/${extension === 'jpg' ? 'jpeg' : extension}`
+    image: {
+      base64,
+      mediaType: MEDIA_TYPES[extension] || `image/${extension}`
+    },
+    metadata: readImageMetadata(buffer)
+  }
+}
+
+/**
+ * OCR an image file with tesseract so text-only models see what a screenshot or receipt says.
+ * Returns `{ text, metadata }` (text is empty when nothing legible was found) or null when OCR is
+ * unavailable for this file.
+ */
+async function recogniseImageText (filePath, options = {}, logger, extension = path.extname(filePath)) {
+  if (!OCR_EXTENSIONS.has(extension.toLowerCase())) {
+    return null
+  }
+  const languageArg = resolveOcrLanguages(options.ocrLanguages)
+
+  try {
+    const result = await withOcrCache(filePath, languageArg, options, logger, () => runTesseractOnImage(filePath, languageArg))
+    // Photos without text yield a few stray glyphs; treat those as no text rather than feeding noise to the model.
+    const legible = (result.text.match(/[\p{L}\p{N}]/gu) || []).length >= MIN_OCR_CHARACTERS
+    if (logger && typeof logger.debug === 'function') {
+      logger.debug(`OCR for ${path.basename(filePath)}: ${result.words} word(s), confidence ${result.confidence ?? 'n/a'}${result.cached ? ' (cached)' : ''}.`)
+    }
+    return {
+      text: legible ? result.text : '',
+      metadata: {
+        engine: 'tesseract',
+        languages: languageArg,
+        confidence: result.confidence,
+        words: result.words,
+        ...(legible ? {} : { note: 'no legible text found' })
+      }
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      if (!tesseractWarningIssued && logger) {
+        logger.warn('tesseract CLI not found. Install Tesseract OCR to read text from image files (or pass --no-image-ocr).')
+        tesseractWarningIssued = true
+      }
+    } else if (logger) {
+      logger.warn(`tesseract OCR failed for ${filePath}: ${error.message}`)
+    }
+    return null
   }
 }
 
 module.exports = {
-  extractImage
+  extractImage,
+  recogniseImageText
 }
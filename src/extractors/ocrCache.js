@@ -0,0 +1,63 @@
+const fs = require('fs/promises')
+const path = require('path')
+const { createHash } = require('crypto')
+const { hashFile } = require('../utils/fileHash')
+const { resolveCacheDirectory, ensureCacheMarker } = require('../core/responseCache')
+
+const OCR_CACHE_VERSION = 1
+
+// OCR results live in an `ocr` folder inside the response cache, so `cache-prune` expires them too.
+function resolveOcrCacheDirectory (options = {}) {
+  return path.join(resolveCacheDirectory(options), 'ocr')
+}
+
+/**
+ * Return the cached OCR result for this file content and language set, or run `recognise` and cache
+ * what it returns. Empty results are cached as well so text-free photos are not re-scanned. Honours
+ * `--no-cache` and `--refresh-cache` like the response cache. `languageArg` can be any string that
+ * identifies the recognition settings; audio transcripts pass the whisper model and length.
+ */
+async function withOcrCache (filePath, languageArg, options, logger, recognise) {
+  if (options.cache === false) {
+    return recognise()
+  }
+
+  const key = createHash('sha256')
+    .update(`${OCR_CACHE_VERSION}\0${await hashFile(filePath)}\0${languageArg}`)
+    .digest('hex')
+  const entryPath = path.join(resolveOcrCacheDirectory(options), `${key}.json`)
+
+  if (!options.refreshCache) {
+    try {
+      const entry = JSON.parse(await fs.readFile(entryPath, 'utf8'))
+      if (entry.version === OCR_CACHE_VERSION && entry.result) {
+        return { ...entry.result, cached: true }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT' && logger) {
+        logger.debug(`Ignoring unreadable OCR cache entry ${key}: ${error.message}`)
+      }
+    }
+  }
+
+  const result = await recognise()
+  if (result) {
+    const temporary = `${entryPath}.${process.pid}.tmp`
+    try {
+      await ensureCacheMarker(resolveCacheDirectory(options))
+      await fs.mkdir(path.dirname(entryPath), { recursive: true })
+      await fs.writeFile(temporary, JSON.stringify({ version: OCR_CACHE_VERSION, createdAt: new Date().toISOString(), result }), 'utf8')
+      await fs.rename(temporary, entryPath)
+    } catch (error) {
+      if (logger) {
+        logger.warn(`Unable to write OCR cache entry: ${error.message}`)
+      }
+      await fs.rm(temporary, { force: true }).catch(() => {})
+    }
+  }
+  return result ? { ...result, cached: false } : result
+}
+
+module.exports = {
+  withOcrCache
+}
@@ -0,0 +1,176 @@
+const { openZipArchive } = require('../utils/zipArchive')
+const { findElements, getElementText, getAttribute, decodeXmlEntities, stripTags } = require('../utils/xml')
+const { applyTextBudget } = require('../utils/textSampling')
+
+const MAX_PART_BYTES = 25 * 1024 * 1024
+const MAX_SHEETS = 20
+const HEADER_ROWS = 3
+const MAX_COLUMNS = 30
+
+const MIME_TYPES = {
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+  'application/vnd.oasis.opendocument.presentation': 'odp'
+}
+
+// Paragraph text with ODF's whitespace elements (<text:s text:c="3"/>, <text:tab/>, <text:line-break/>) expanded.
+function paragraphText (paragraphXml) {
+  const expanded = paragraphXml
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (match, count) => ' '.repeat(Number(count) || 1))
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<text:note\b[\s\S]*?<\/text:note>/g, '')
+  return decodeXmlEntities(stripTags(expanded)).replace(/[ \u00a0]+/g, ' ').trim()
+}
+
+// Headings and paragraphs in document order (a regex per element type would lose the interleaving).
+function readParagraphs (xml) {
+  const lines = []
+  let headings = 0
+  const pattern = /<text:(h|p)\b[^>]*?(?:\/>|>([\s\S]*?)<\/text:\1>)/g
+  let match
+  while ((match = pattern.exec(xml)) !== null) {
+    const text = paragraphText(match[2] || '')
+    if (!text) continue
+    if (match[1] === 'h') {
+      headings += 1
+      lines.push(`# ${text}`)
+    } else {
+      lines.push(text)
+    }
+  }
+  return { lines, headings }
+}
+
+function extractOdt (content) {
+  const [body] = findElements(content, 'office:text')
+  const { lines, headings } = readParagraphs(body ? body.inner : content)
+  return { text: lines.join('\n'), details: { paragraphs: lines.length, headings } }
+}
+
+function readHeaderRows (tableXml) {
+  const rows = []
+  for (const { inner } of findElements(tableXml, 'table:table-row')) {
+    const cells = findElements(inner, 'table:table-cell')
+      .slice(0, MAX_COLUMNS)
+      .map(({ inner: cell }) => readParagraphs(cell).lines.join(' '))
+    while (cells.length && !cells[cells.length - 1]) cells.pop()
+    if (cells.length) {
+      rows.push(cells.join(' | '))
+    }
+    if (rows.length >= HEADER_ROWS) break
+  }
+  return rows
+}
+
+function extractOds (content) {
+  const tables = findElements(content, 'table:table').map(({ raw, inner }) => ({
+    name: getAttribute(raw, 'table:name') || 'Sheet',
+    inner
+  }))
+  const sections = tables.slice(0, MAX_SHEETS).map(table => [`Sheet "${table.name}"`, ...readHeaderRows(table.inner)].join('\n'))
+  if (tables.length > MAX_SHEETS) {
+    sections.push(`[${tables.length - MAX_SHEETS} more sheet(s) not shown]`)
+  }
+  return {
+    text: sections.join('\n\n'),
+    details: { sheets: tables.length, sheetNames: tables.map(table => table.name).slice(0, 40) }
+  }
+}
+
+function extractOdp (content) {
+  const pages = findElements(content, 'draw:page')
+  const titles = []
+  const sections = pages.map(({ raw, inner }, index) => {
+    // Speaker notes live inside the page; keep them apart from the slide body.
+    const [notes] = findElements(inner, 'presentation:notes')
+    const slideXml = notes ? inner.replace(notes.raw, '') : inner
+    const frames = findElements(slideXml, 'draw:frame')
+    const titleFrame = frames.find(frame => getAttribute(frame.raw, 'presentation:class') === 'title')
+    const title = titleFrame ? readParagraphs(titleFrame.inner).lines.join(' ') : null
+    const body = frames
+      .filter(frame => frame !== titleFrame)
+      .flatMap(frame => readParagraphs(frame.inner).lines)
+    if (title) titles.push(title)
+
+    const name = getAttribute(raw, 'draw:name')
+    const lines = [`Slide ${index + 1}${title ? `: ${title}` : name && !/^page\d+$/i.test(name) ? `: ${name}` : ''}`, ...body]
+    const noteLines = notes ? readParagraphs(notes.inner).lines : []
+    if (noteLines.length) {
+      lines.push(`Notes: ${noteLines.join(' ')}`)
+    }
+    return lines.join('\n')
+  })
+  return {
+    text: sections.join('\n\n'),
+    details: { slides: pages.length, slideTitles: titles.slice(0, 40) }
+  }
+}
+
+async function readMetaProperties (zip) {
+  const meta = await zip.readText('meta.xml', { maxBytes: MAX_PART_BYTES })
+  const metadata = {}
+  if (!meta) {
+    return metadata
+  }
+  const fields = {
+    title: 'dc:title',
+    subject: 'dc:subject',
+    description: 'dc:description',
+    author: 'meta:initial-creator',
+    lastModifiedBy: 'dc:creator',
+    creationDate: 'meta:creation-date',
+    modificationDate: 'dc:date',
+    application: 'meta:generator'
+  }
+  for (const [key, tag] of Object.entries(fields)) {
+    const value = getElementText(meta, tag)
+    if (value) {
+      metadata[key] = value
+    }
+  }
+  const keywords = findElements(meta, 'meta:keyword').map(({ inner }) => decodeXmlEntities(stripTags(inner)).trim()).filter(Boolean)
+  if (keywords.length) {
+    metadata.keywords = keywords.join(', ')
+  }
+  // Files saved without an initial-creator still name their last editor.
+  if (!metadata.author && metadata.lastModifiedBy) {
+    metadata.author = metadata.lastModifiedBy
+  }
+  return metadata
+}
+
+/**
+ * Extract text and `meta.xml` properties from OpenDocument text, spreadsheet and presentation
+ * files, mirroring what the Office extractor returns for DOCX, XLSX and PPTX.
+ */
+async function extractOdf (filePath, { textCharBudget } = {}) {
+  const zip = await openZipArchive(filePath)
+  try {
+    const mimeType = ((await zip.readText('mimetype', { maxBytes: 1024 })) || '').trim()
+    const kind = MIME_TYPES[mimeType]
+    if (!kind) {
+      throw new Error(`Unsupported OpenDocument type${mimeType ? ` ${mimeType}` : ''}`)
+    }
+
+    const content = await zip.readText('content.xml', { maxBytes: MAX_PART_BYTES })
+    if (!content) {
+      throw new Error('OpenDocument package has no content.xml')
+    }
+    const extracted = kind === 'odt' ? extractOdt(content) : kind === 'ods' ? extractOds(content) : extractOdp(content)
+
+    const metadata = await readMetaProperties(zip)
+    metadata.format = kind
+    Object.assign(metadata, extracted.details)
+
+    const { text, truncated } = applyTextBudget(extracted.text, textCharBudget, 'Document')
+    return { text, metadata, characters: extracted.text.length, truncated }
+  } finally {
+    await zip.close()
+  }
+}
+
+module.exports = {
+  extractOdf,
+  MIME_TYPES
+}
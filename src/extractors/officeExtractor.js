@@ -0,0 +1,315 @@
+const path = require('path')
+const { openZipArchive } = require('../utils/zipArchive')
+const { findElements, getElementText, getAttribute, decodeXmlEntities, stripTags } = require('../utils/xml')
+const { applyTextBudget } = require('../utils/textSampling')
+
+const MAX_PART_BYTES = 25 * 1024 * 1024
+const MAX_SHEETS = 20
+const HEADER_ROWS = 3
+const MAX_COLUMNS = 30
+const SHEET_PREFIX_BYTES = 512 * 1024
+
+function resolvePartPath (fromPart, target) {
+  if (target.startsWith('/')) {
+    return target.slice(1)
+  }
+  return path.posix.normalize(path.posix.join(path.posix.dirname(fromPart), target))
+}
+
+function relsPathFor (partName) {
+  return path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`)
+}
+
+async function readRelationships (zip, partName) {
+  const xml = await zip.readText(relsPathFor(partName), { maxBytes: MAX_PART_BYTES })
+  const relationships = new Map()
+  for (const { raw } of findElements(xml, 'Relationship')) {
+    const id = getAttribute(raw, 'Id')
+    const target = getAttribute(raw, 'Target')
+    if (id && target && getAttribute(raw, 'TargetMode') !== 'External') {
+      relationships.set(id, { target: resolvePartPath(partName, target), type: getAttribute(raw, 'Type') || '' })
+    }
+  }
+  return relationships
+}
+
+// Collect the text runs of one paragraph, keeping tabs and line breaks that Word/PowerPoint store as elements.
+function paragraphText (paragraphXml, prefix) {
+  const withBreaks = paragraphXml
+    .replace(new RegExp(`<${prefix}:tab\\s*/>`, 'g'), `<${prefix}:t>\t</${prefix}:t>`)
+    .replace(new RegExp(`<${prefix}:br(?:\\s[^>]*)?/>`, 'g'), `<${prefix}:t>\n</${prefix}:t>`)
+  return findElements(withBreaks, `${prefix}:t`)
+    .map(element => decodeXmlEntities(element.inner))
+    .join('')
+    .replace(/[ \u00a0]+/g, ' ')
+    .trim()
+}
+
+async function readCoreProperties (zip) {
+  const metadata = {}
+  const core = await zip.readText('docProps/core.xml', { maxBytes: MAX_PART_BYTES })
+  if (core) {
+    const fields = {
+      title: 'dc:title',
+      subject: 'dc:subject',
+      author: 'dc:creator',
+      lastModifiedBy: 'cp:lastModifiedBy',
+      keywords: 'cp:keywords',
+      description: 'dc:description',
+      category: 'cp:category',
+      creationDate: 'dcterms:created',
+      modificationDate: 'dcterms:modified'
+    }
+    for (const [key, tag] of Object.entries(fields)) {
+      const value = getElementText(core, tag)
+      if (value) {
+        metadata[key] = value
+      }
+    }
+  }
+
+  const app = await zip.readText('docProps/app.xml', { maxBytes: MAX_PART_BYTES })
+  if (app) {
+    const application = getElementText(app, 'Application')
+    const company = getElementText(app, 'Company')
+    if (application) metadata.application = application
+    if (company) metadata.company = company
+  }
+
+  return metadata
+}
+
+async function extractDocx (zip, mainPart) {
+  const xml = await zip.readText(mainPart, { maxBytes: MAX_PART_BYTES })
+  const lines = []
+  let headings = 0
+
+  for (const { inner } of findElements(xml, 'w:p')) {
+    const text = paragraphText(inner, 'w')
+    if (!text) continue
+    const style = /<w:pStyle\s+w:val="([^"]+)"/.exec(inner)
+    const isHeading = style && /^(Title|Heading\d*|Subtitle)$/i.test(style[1])
+    if (isHeading) {
+      headings += 1
+      lines.push(`# ${text}`)
+    } else {
+      lines.push(text)
+    }
+  }
+
+  return { text: lines.join('\n'), details: { paragraphs: lines.length, headings } }
+}
+
+function shapeText (shapeXml) {
+  return findElements(shapeXml, 'a:p')
+    .map(paragraph => paragraphText(paragraph.inner, 'a'))
+    .filter(Boolean)
+}
+
+function placeholderType (shapeXml) {
+  const [placeholder] = findElements(shapeXml, 'p:ph')
+  if (!placeholder) return null
+  return getAttribute(placeholder.raw, 'type') || 'body'
+}
+
+async function listSlides (zip) {
+  const presentationPart = 'ppt/presentation.xml'
+  const presentation = await zip.readText(presentationPart, { maxBytes: MAX_PART_BYTES })
+  const relationships = await readRelationships(zip, presentationPart)
+  const ordered = findElements(presentation, 'p:sldId')
+    .map(({ raw }) => relationships.get(getAttribute(raw, 'r:id')))
+    .filter(Boolean)
+    .map(relationship => relationship.target)
+
+  if (ordered.length) {
+    return ordered
+  }
+
+  // Fall back to file order when the presentation part is unusual.
+  return zip.entries
+    .map(entry => entry.name)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]))
+}
+
+async function extractPptx (zip) {
+  const slides = await listSlides(zip)
+  const sections = []
+  const titles = []
+  let notesCount = 0
+
+  for (const [index, slidePart] of slides.entries()) {
+    const xml = await zip.readText(slidePart, { maxBytes: MAX_PART_BYTES })
+    if (!xml) continue
+
+    let title = null
+    const body = []
+    for (const { inner } of findElements(xml, 'p:sp')) {
+      const type = placeholderType(inner)
+      const text = shapeText(inner)
+      if (!text.length || type === 'sldNum' || type === 'dt' || type === 'ftr') continue
+      if (!title && (type === 'title' || type === 'ctrTitle')) {
+        title = text.join(' ')
+      } else {
+        body.push(...text)
+      }
+    }
+
+    let notes = []
+    const relationships = await readRelationships(zip, slidePart)
+    const notesRelationship = [...relationships.values()].find(relationship => relationship.type.endsWith('/notesSlide'))
+    if (notesRelationship) {
+      const notesXml = await zip.readText(notesRelationship.target, { maxBytes: MAX_PART_BYTES })
+      notes = findElements(notesXml, 'p:sp')
+        .filter(({ inner }) => placeholderType(inner) === 'body')
+        .flatMap(({ inner }) => shapeText(inner))
+      if (notes.length) notesCount += 1
+    }
+
+    if (title) titles.push(title)
+    const lines = [`Slide ${index + 1}${title ? `: ${title}` : ''}`, ...body]
+    if (notes.length) {
+      lines.push(`Notes: ${notes.join(' ')}`)
+    }
+    sections.push(lines.join('\n'))
+  }
+
+  return {
+    text: sections.join('\n\n'),
+    details: { slides: slides.length, slidesWithNotes: notesCount, slideTitles: titles.slice(0, 40) }
+  }
+}
+
+function columnIndex (cellReference) {
+  const letters = (cellReference || '').replace(/\d+$/, '')
+  let index = 0
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64)
+  }
+  return index - 1
+}
+
+async function readSharedStrings (zip) {
+  const xml = await zip.readText('xl/sharedStrings.xml', { maxBytes: MAX_PART_BYTES })
+  // Rich-text strings split one <si> into several runs, so concatenate every <t> inside it.
+  return findElements(xml, 'si').map(({ inner }) => findElements(inner, 't').map(element => decodeXmlEntities(element.inner)).join(''))
+}
+
+function readHeaderRows (sheetXml, sharedStrings) {
+  const rows = []
+  for (const { inner } of findElements(sheetXml, 'row')) {
+    const cells = []
+    for (const { raw, inner: cellInner } of findElements(inner, 'c')) {
+      const column = columnIndex(getAttribute(raw, 'r'))
+      if (column >= MAX_COLUMNS) continue
+      const type = getAttribute(raw, 't')
+      let value
+      if (type === 'inlineStr') {
+        value = decodeXmlEntities(stripTags(cellInner))
+      } else {
+        const rawValue = getElementText(cellInner, 'v')
+        value = type === 's' && rawValue !== null ? sharedStrings[Number(rawValue)] : rawValue
+      }
+      if (value !== null && value !== undefined && String(value).trim()) {
+        cells[column >= 0 ? column : cells.length] = String(value).trim()
+      }
+    }
+    if (cells.length) {
+      rows.push(Array.from(cells, cell => cell || '').join(' | '))
+    }
+    if (rows.length >= HEADER_ROWS) break
+  }
+  return rows
+}
+
+async function extractXlsx (zip) {
+  const workbookPart = 'xl/workbook.xml'
+  const workbook = await zip.readText(workbookPart, { maxBytes: MAX_PART_BYTES })
+  const relationships = await readRelationships(zip, workbookPart)
+  const sharedStrings = await readSharedStrings(zip)
+  const sheets = findElements(workbook, 'sheet').map(({ raw }) => ({
+    name: getAttribute(raw, 'name') || 'Sheet',
+    hidden: Boolean(getAttribute(raw, 'state')) && getAttribute(raw, 'state') !== 'visible',
+    part: relationships.get(getAttribute(raw, 'r:id'))?.target
+  }))
+
+  const sections = []
+  for (const sheet of sheets.slice(0, MAX_SHEETS)) {
+    const lines = [`Sheet "${sheet.name}"${sheet.hidden ? ' (hidden)' : ''}`]
+    if (sheet.part && zip.has(sheet.part)) {
+      try {
+        const sheetXml = await zip.readText(sheet.part, { prefixBytes: SHEET_PREFIX_BYTES })
+        lines.push(...readHeaderRows(sheetXml, sharedStrings))
+      } catch (error) {
+        lines.push(`[sheet not read: ${error.message}]`)
+      }
+    }
+    sections.push(lines.join('\n'))
+  }
+  if (sheets.length > MAX_SHEETS) {
+    sections.push(`[${sheets.length - MAX_SHEETS} more sheet(s) not shown]`)
+  }
+
+  return {
+    text: sections.join('\n\n'),
+    details: { sheets: sheets.length, sheetNames: sheets.map(sheet => sheet.name).slice(0, 40) }
+  }
+}
+
+async function detectPackage (zip) {
+  const contentTypes = await zip.readText('[Content_Types].xml', { maxBytes: MAX_PART_BYTES })
+  if (!contentTypes) {
+    return null
+  }
+  const override = (pattern) => findElements(contentTypes, 'Override')
+    .map(({ raw }) => ({ part: getAttribute(raw, 'PartName'), type: getAttribute(raw, 'ContentType') || '' }))
+    .find(entry => pattern.test(entry.type))
+
+  const word = override(/wordprocessingml\.document\.main|wordprocessingml\.template\.main|ms-word\.document\.macroEnabled\.main/)
+  if (word) return { kind: 'docx', mainPart: word.part.replace(/^\//, '') }
+  if (zip.has('ppt/presentation.xml')) return { kind: 'pptx' }
+  if (zip.has('xl/workbook.xml')) return { kind: 'xlsx' }
+  if (zip.has('word/document.xml')) return { kind: 'docx', mainPart: 'word/document.xml' }
+  return null
+}
+
+/**
+ * Extract text and core properties from OOXML packages (DOCX, PPTX, XLSX and their macro/template
+ * variants). Returns `{ text, metadata, office }`, where `metadata` follows the `metadata.document`
+ * shape used for PDFs so date candidates and prompts treat both the same way.
+ */
+async function extractOffice (filePath, { textCharBudget } = {}) {
+  const zip = await openZipArchive(filePath)
+  try {
+    const detected = await detectPackage(zip)
+    if (!detected) {
+      throw new Error('ZIP archive is not an Office Open XML package')
+    }
+
+    let extracted
+    if (detected.kind === 'docx') {
+      extracted = await extractDocx(zip, detected.mainPart)
+    } else if (detected.kind === 'pptx') {
+      extracted = await extractPptx(zip)
+    } else {
+      extracted = await extractXlsx(zip)
+    }
+
+    const metadata = await readCoreProperties(zip)
+    metadata.format = detected.kind
+    Object.assign(metadata, extracted.details)
+
+    const { text, truncated } = applyTextBudget(extracted.text, textCharBudget, 'Office')
+    return {
+      text,
+      metadata,
+      office: { kind: detected.kind, characters: extracted.text.length, truncated }
+    }
+  } finally {
+    await zip.close()
+  }
+}
+
+module.exports = {
+  extractOffice
+}
@@ -5,15 +5,22 @@ const { promisify } = require('util')
 const { execFile } = require('child_process')
 const pdfParse = require('pdf-parse')
 const { parsePdfDate, normaliseDateInput } = require('../utils/fileDates')
+const { resolveOcrLanguages, runTesseractOnImage } = require('../utils/tesseract')
 
 const execFileAsync = promisify(execFile)
 
-const DEFAULT_OCR_LANGUAGES = ['eng']
+let pdfjs = null
 let tesseractWarningIssued = false
 let pdftoppmWarningIssued = false
 let pdftotextWarningIssued = false
 let pdfinfoWarningIssued = false
 const DEFAULT_VISION_DPI = 144
+const MAX_OUTLINE_ENTRIES = 60
+const MAX_FORM_FIELDS = 40
+const MAX_FORM_PAGES = 20
+const MAX_STRUCTURE_TEXT = 200
+// Text counts as a title when it is set at least this much larger than the page's body text.
+const MIN_TITLE_SCALE = 1.2
 
 async function cleanupTempDir (dirPath) {
   try {
@@ -23,14 +30,6 @@ async function cleanupTempDir (dirPath) {
   }
 }
 
-async function runTesseractOnImage (imagePath, languageArg) {
-  const { stdout } = await execFileAsync('tesseract', [imagePath, 'stdout', '-l', languageArg], {
-    encoding: 'utf8',
-    maxBuffer: 64 * 1024 * 1024
-  })
-  return stdout.trim()
-}
-
 async function runPdftotext (filePath, { limit } = {}, logger) {
   try {
     const args = ['-q', '-nopgbrk']
@@ -202,25 +201,10 @@ async function renderPdfPageImages (filePath, { limit, dpi }, logger) {
 }
 
 async function runTesseractOcr (filePath, languages, logger) {
-  const languageArg = Array.isArray(languages) && languages.length ? languages.join('+') : DEFAULT_OCR_LANGUAGES.join('+')
+  const languageArg = resolveOcrLanguages(languages)
 
   try {
-    const extension = path.extname(filePath).toLowerCase()
-
-    if (extension !== '.pdf') {
-      const cleaned = await runTesseractOnImage(filePath, languageArg)
-      if (cleaned) {
-        return {
-          text: cleaned,
-          metadata: {
-            engine: 'tesseract',
-            languages: languageArg
-          }
-        }
-      }
-      return null
-    }
-
+    // PDFs are routed here by content, so files without a `.pdf` extension are rasterised like any other.
     let tempDir
     try {
       tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ji-renamer-ocr-'))
@@ -240,13 +224,19 @@ async function runTesseractOcr (filePath, languages, logger) {
       }
 
       const pageTexts = []
+      let confidenceTotal = 0
+      let wordTotal = 0
       for (const imageName of pageImages) {
         const imagePath = path.join(tempDir, imageName)
         try {
-          const cleaned = await runTesseractOnImage(imagePath, languageArg)
+          const { text: cleaned, confidence, words } = await runTesseractOnImage(imagePath, languageArg)
           if (cleaned) {
             pageTexts.push(cleaned)
           }
+          if (Number.isFinite(confidence) && words) {
+            confidenceTotal += confidence * words
+            wordTotal += words
+          }
         } catch (error) {
           if (logger) {
             logger.warn(`tesseract OCR failed for ${imagePath}: ${error.message}`)
@@ -260,6 +250,7 @@ async function runTesseractOcr (filePath, languages, logger) {
           metadata: {
             engine: 'tesseract',
             languages: languageArg,
+            confidence: wordTotal ? Math.round(confidenceTotal / wordTotal * 10) / 10 : null,
             pages: pageTexts.length,
             via: 'pdftoppm'
           }
@@ -311,6 +302,130 @@ function buildDocumentMetadata (data) {
   return meta
 }
 
+function loadPdfjs () {
+  if (!pdfjs) {
+    // The pdf.js build pdf-parse loads by default, so both share one module instance.
+    pdfjs = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js')
+    pdfjs.disableWorker = true
+  }
+  return pdfjs
+}
+
+function cleanStructureText (value) {
+  return String(value || '').replace(/\s+/g, ' ').trim().slice(0, MAX_STRUCTURE_TEXT)
+}
+
+function flattenOutline (items, level = 1, entries = []) {
+  for (const item of items || []) {
+    if (entries.length >= MAX_OUTLINE_ENTRIES) break
+    const title = cleanStructureText(item.title)
+    if (title) {
+      entries.push({ title, level })
+    }
+    flattenOutline(item.items, level + 1, entries)
+  }
+  return entries
+}
+
+// The largest text on the page, provided it stands out from the body text (a deck or term sheet title).
+async function readFirstPageTitle (page) {
+  const { items } = await page.getTextContent()
+  const runs = items
+    .map(item => ({ text: item.str || '', size: Math.round(Math.hypot(item.transform[2], item.transform[3]) * 10) / 10, y: item.transform[5] }))
+    .filter(run => run.text.trim() && run.size > 0)
+  if (!runs.length) {
+    return null
+  }
+
+  const characters = new Map()
+  for (const run of runs) {
+    characters.set(run.size, (characters.get(run.size) || 0) + run.text.length)
+  }
+  const [[bodySize]] = [...characters.entries()].sort((a, b) => b[1] - a[1])
+  const sizes = [...characters.keys()].filter(size => size >= bodySize * MIN_TITLE_SCALE).sort((a, b) => b - a)
+
+  for (const size of sizes) {
+    let text = ''
+    let lastY = null
+    for (const run of runs.filter(candidate => Math.abs(candidate.size - size) <= size * 0.05)) {
+      text += lastY === null || run.y === lastY ? run.text : ` ${run.text}`
+      lastY = run.y
+    }
+    // A huge page number or drop cap is not a title.
+    if ((text.match(/[\p{L}\p{N}]/gu) || []).length >= 3) {
+      return { text: cleanStructureText(text), fontSize: size, bodyFontSize: bodySize }
+    }
+  }
+  return null
+}
+
+function formFieldValue (annotation) {
+  const value = Array.isArray(annotation.fieldValue) ? annotation.fieldValue.join(', ') : annotation.fieldValue
+  if (typeof value !== 'string') {
+    return null
+  }
+  const cleaned = cleanStructureText(value)
+  // Unticked checkboxes carry the export value "Off".
+  return cleaned && cleaned !== 'Off' ? cleaned : null
+}
+
+async function readFormFields (doc, pageCount) {
+  const fields = []
+  const seen = new Set()
+  for (let pageNumber = 1; pageNumber <= Math.min(pageCount, MAX_FORM_PAGES) && fields.length < MAX_FORM_FIELDS; pageNumber += 1) {
+    const page = await doc.getPage(pageNumber)
+    const annotations = await page.getAnnotations()
+    for (const annotation of annotations) {
+      if (annotation.subtype !== 'Widget' || !annotation.fieldName || seen.has(annotation.fieldName)) continue
+      const value = formFieldValue(annotation)
+      if (!value) continue
+      seen.add(annotation.fieldName)
+      // The tooltip ("Company name") reads better than generated names like "form1[0].f1_01[0]".
+      fields.push({ name: cleanStructureText(annotation.alternativeText) || annotation.fieldName, value })
+      if (fields.length >= MAX_FORM_FIELDS) break
+    }
+  }
+  return fields
+}
+
+/**
+ * Read the naming signals a PDF carries besides its body text: the bookmark outline, the
+ * largest-font text on the first page, and filled-in AcroForm field values. Returns null when
+ * the file has none of them or pdf.js cannot open it. Takes the bytes already read for pdf-parse;
+ * PDFs routed to pdftotext are never loaded into pdf.js.
+ */
+async function readPdfStructure (buffer, filePath, logger) {
+  let doc = null
+  try {
+    // pdf.js reads the whole underlying ArrayBuffer, so a small file sharing Node's buffer pool needs a copy.
+    doc = await loadPdfjs().getDocument(buffer.byteOffset ? new Uint8Array(buffer) : buffer)
+
+    const structure = {}
+    const outline = flattenOutline(await doc.getOutline())
+    if (outline.length) {
+      structure.outline = outline
+    }
+    const firstPageTitle = await readFirstPageTitle(await doc.getPage(1))
+    if (firstPageTitle) {
+      structure.firstPageTitle = firstPageTitle
+    }
+    const formFields = await readFormFields(doc, doc.numPages)
+    if (formFields.length) {
+      structure.formFields = formFields
+    }
+    return Object.keys(structure).length ? structure : null
+  } catch (error) {
+    if (logger) {
+      logger.debug(`Could not read the PDF outline, title or form fields of ${filePath}: ${error.message}`)
+    }
+    return null
+  } finally {
+    if (doc) {
+      doc.destroy()
+    }
+  }
+}
+
 async function extractPdf (filePath, {
   logger,
   ocrLanguages,
@@ -420,8 +535,10 @@ async function extractPdf (filePath, {
   }
 
   let data = null
+  let pdfBuffer = null
   if (!rawText) {
     const buffer = await fs.readFile(filePath)
+    pdfBuffer = buffer
     data = await pdfParse(buffer, parseOptions)
     rawText = (data.text || '').trim()
     metadata = buildDocumentMetadata(data)
@@ -539,13 +656,16 @@ async function extractPdf (filePath, {
   }
 
   const metadataPayload = Object.keys(metadata).length ? metadata : null
+  // Large or page-limited PDFs skip this so they are never parsed whole by pdf.js.
+  const structure = pdfBuffer && !shouldAttemptPoppler ? await readPdfStructure(pdfBuffer, filePath, logger) : null
 
   return {
     text,
     metadata: metadataPayload,
     ocr,
     extraction,
-    images: renderedImages
+    images: renderedImages,
+    structure
   }
 }
 
@@ -0,0 +1,204 @@
+const fs = require('fs/promises')
+const { applyTextBudget } = require('../utils/textSampling')
+const { decodeBytes } = require('../utils/textEncoding')
+
+const MAX_RTF_BYTES = 50 * 1024 * 1024
+
+// Groups whose content is formatting tables, embedded binaries or field code rather than document text.
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'revtbl', 'rsidtbl', 'generator',
+  'pict', 'object', 'objdata', 'themedata', 'colorschememapping', 'datastore', 'latentstyles', 'xmlnstbl',
+  'mmathPr', 'fldinst', 'bkmkstart', 'bkmkend', 'header', 'headerl', 'headerr', 'headerf', 'footer',
+  'footerl', 'footerr', 'footerf', 'nonshppict', 'shpinst', 'filetbl', 'pgdsctbl', 'wgrffmtfilter'
+])
+const INFO_FIELDS = {
+  title: 'title',
+  subject: 'subject',
+  author: 'author',
+  operator: 'lastModifiedBy',
+  keywords: 'keywords',
+  doccomm: 'description',
+  category: 'category',
+  company: 'company',
+  manager: 'manager'
+}
+const INFO_DATES = { creatim: 'creationDate', revtim: 'modificationDate' }
+const SYMBOLS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n\n',
+  page: '\n\n',
+  row: '\n',
+  cell: ' | ',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  emspace: ' ',
+  enspace: ' '
+}
+const CODEPAGES = { 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5', 10000: 'macintosh', 65001: 'utf-8' }
+
+function codepageEncoding (codepage) {
+  const label = CODEPAGES[codepage] || `windows-${codepage}`
+  try {
+    return new TextDecoder(label).encoding
+  } catch (error) {
+    return 'windows-1252'
+  }
+}
+
+function formatInfoDate ({ yr, mo = 1, dy = 1, hr = 0, min = 0 }) {
+  if (!yr) return null
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${yr}-${pad(mo)}-${pad(dy)}T${pad(hr)}:${pad(min)}:00`
+}
+
+/**
+ * Decode RTF into plain text plus its `\info` group (title, author, creation time, …). Control
+ * words are interpreted just far enough to recover the text: `\'hh` bytes go through the
+ * document's code page, `\uN` escapes skip their fallback characters, and destinations that
+ * carry no readable text are dropped.
+ */
+function parseRtf (rtf) {
+  const token = /\\([a-zA-Z]+)(-?\d+)? ?|\\'([0-9a-fA-F]{2})|\\([^a-zA-Z'])|([{}])|[\r\n]+|[^\\{}\r\n]+/gy
+  const info = {}
+  const dates = {}
+  let encoding = 'windows-1252'
+  let state = { skip: false, field: null, date: null, uc: 1 }
+  const stack = []
+  let body = ''
+  let bytes = []
+  let fallback = 0
+
+  const append = (text) => {
+    if (state.skip || !text) return
+    if (state.field) {
+      info[state.field] = (info[state.field] || '') + text
+    } else if (!state.date) {
+      body += text
+    }
+  }
+  const flushBytes = () => {
+    if (!bytes.length) return
+    const decoded = decodeBytes(Buffer.from(bytes), encoding)
+    bytes = []
+    append(decoded)
+  }
+  const emit = (text) => {
+    flushBytes()
+    append(text)
+  }
+
+  let match
+  while ((match = token.exec(rtf)) !== null) {
+    const [raw, word, param, hex, symbol, brace] = match
+    if (brace) {
+      flushBytes()
+      fallback = 0
+      if (brace === '{') {
+        stack.push(state)
+        state = { ...state }
+      } else {
+        state = stack.pop() || state
+      }
+    } else if (hex) {
+      if (fallback > 0) {
+        fallback -= 1
+      } else {
+        bytes.push(parseInt(hex, 16))
+      }
+    } else if (symbol) {
+      if (symbol === '*') {
+        state.skip = true
+      } else if (symbol === '\\' || symbol === '{' || symbol === '}') {
+        emit(symbol)
+      } else if (symbol === '~') {
+        emit(' ')
+      } else if (symbol === '_') {
+        emit('-')
+      } else if (symbol === '\n' || symbol === '\r') {
+        emit('\n')
+      }
+    } else if (word) {
+      const value = param === undefined ? null : Number(param)
+      if (word === 'u' && value !== null) {
+        emit(String.fromCharCode(value < 0 ? value + 65536 : value))
+        fallback = state.uc
+      } else if (word === 'uc' && value !== null) {
+        state.uc = value
+      } else if (word === 'ansicpg' && value !== null) {
+        encoding = codepageEncoding(value)
+      } else if (word === 'mac') {
+        encoding = codepageEncoding(10000)
+      } else if (SYMBOLS[word]) {
+        emit(SYMBOLS[word])
+      } else if (SKIPPED_DESTINATIONS.has(word)) {
+        state.skip = true
+      } else if (INFO_FIELDS[word]) {
+        state.field = INFO_FIELDS[word]
+      } else if (INFO_DATES[word]) {
+        state.date = INFO_DATES[word]
+        dates[state.date] = {}
+      } else if (state.date && ['yr', 'mo', 'dy', 'hr', 'min'].includes(word) && value !== null) {
+        dates[state.date][word] = value
+      }
+    } else if (raw[0] === '\r' || raw[0] === '\n') {
+      // Line breaks in the source are formatting only; paragraphs are marked with \par.
+    } else if (fallback > 0) {
+      const skipped = Math.min(fallback, raw.length)
+      fallback -= skipped
+      emit(raw.slice(skipped))
+    } else {
+      emit(raw)
+    }
+  }
+  flushBytes()
+
+  const metadata = { format: 'rtf' }
+  for (const [key, value] of Object.entries(info)) {
+    const trimmed = value.trim()
+    if (trimmed) metadata[key] = trimmed
+  }
+  for (const [key, parts] of Object.entries(dates)) {
+    const formatted = formatInfoDate(parts)
+    if (formatted) metadata[key] = formatted
+  }
+
+  const text = body
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+  return { text, metadata }
+}
+
+async function extractRtf (filePath, { textCharBudget } = {}) {
+  const handle = await fs.open(filePath, 'r')
+  let rtf
+  try {
+    const { size } = await handle.stat()
+    const length = Math.min(size, MAX_RTF_BYTES)
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0)
+    // RTF is 7-bit by definition; anything else is escaped, so latin1 keeps stray bytes intact.
+    rtf = buffer.toString('latin1', 0, bytesRead)
+  } finally {
+    await handle.close()
+  }
+  if (!rtf.startsWith('{\\rtf')) {
+    throw new Error('File does not start with an RTF header')
+  }
+
+  const { text: fullText, metadata } = parseRtf(rtf)
+  const { text, truncated } = applyTextBudget(fullText, textCharBudget, 'Document')
+  return { text, metadata, characters: fullText.length, truncated }
+}
+
+module.exports = {
+  extractRtf
+}
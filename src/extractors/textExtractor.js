@@ -1,8 +1,67 @@
 const fs = require('fs/promises')
+const { getExtension } = require('../utils/fileType')
+const { decodeText, decodeBytes } = require('../utils/textEncoding')
+const { resolveTextBudget, sampleText, summariseDelimited, summariseJson } = require('../utils/textSampling')
 
-async function extractText (filePath) {
-  const raw = await fs.readFile(filePath, 'utf8')
-  return raw.slice(0, 5000)
+// Files beyond this are read as their first and last halves; sampling only needs the ends and a spread in between.
+const MAX_TEXT_BYTES = 16 * 1024 * 1024
+
+async function readTextBytes (filePath) {
+  const handle = await fs.open(filePath, 'r')
+  try {
+    const { size } = await handle.stat()
+    const headLength = Math.min(size, size > MAX_TEXT_BYTES ? MAX_TEXT_BYTES / 2 : MAX_TEXT_BYTES)
+    const { buffer: head } = await handle.read(Buffer.alloc(headLength), 0, headLength, 0)
+    if (size <= MAX_TEXT_BYTES) {
+      return { head, tail: null, size }
+    }
+    // Aligned to four bytes so UTF-16/32 tails start on a character boundary.
+    const tailStart = Math.floor((size - MAX_TEXT_BYTES / 2) / 4) * 4
+    const { buffer: tail, bytesRead } = await handle.read(Buffer.alloc(size - tailStart), 0, size - tailStart, tailStart)
+    return { head, tail: tail.subarray(0, bytesRead), size }
+  } finally {
+    await handle.close()
+  }
+}
+
+/**
+ * Read a text file, detecting its character encoding (BOM, UTF-16, UTF-8 or a legacy code page),
+ * and fit it to `textCharBudget`: CSV and JSON files that do not fit become a structural summary,
+ * other text is sampled (opening, headings, spread-out excerpts, ending). Returns `{ text,
+ * encoding, method, binary, sampling }`; `binary` is true when the file only has a text extension.
+ */
+async function extractText (filePath, { textCharBudget } = {}) {
+  const { head, tail, size } = await readTextBytes(filePath)
+  const decoded = decodeText(head)
+  if (decoded.binary) {
+    return { ...decoded, sampling: null }
+  }
+
+  // A file read in two parts loses the partial line at the end of its head and, since the tail starts
+  // mid-line (possibly mid-character), everything up to the tail's first line break.
+  const headText = tail ? decoded.text.replace(/[^\n]*$/, '') : decoded.text
+  const tailText = tail ? decodeBytes(tail, decoded.encoding).replace(/^[^\n]*\n/, '') : ''
+  const skippedBytes = tail ? size - head.length - tail.length : 0
+
+  const extension = getExtension(filePath)
+  const fits = !tail && headText.length <= resolveTextBudget(textCharBudget)
+  let summary = null
+  if (!fits && extension === '.csv') {
+    summary = summariseDelimited(headText + tailText, textCharBudget, { rowScale: size / (size - skippedBytes) })
+  } else if (!fits && extension === '.json' && !tail) {
+    summary = summariseJson(headText, textCharBudget)
+  }
+  if (summary) {
+    return { ...decoded, text: summary, sampling: { strategy: 'structure', characters: headText.length + tailText.length } }
+  }
+
+  const text = tail ? `${headText}[… ${Math.round(skippedBytes / (1024 * 1024))} MB not read …]\n${tailText}` : headText
+  const sampled = sampleText(text, textCharBudget)
+  return {
+    ...decoded,
+    text: sampled.text,
+    sampling: sampled.sampled ? { strategy: 'excerpts', characters: text.length } : null
+  }
 }
 
 module.exports = {
@@ -2,53 +2,245 @@ const fs = require('fs/promises')
 const path = require('path')
 const os = require('os')
 const { randomUUID } = require('crypto')
-const { exec } = require('child_process')
-
-function execAsync (command) {
-  return new Promise((resolve, reject) => {
-    exec(command, (error, stdout) => {
-      if (error) {
-        reject(new Error(error.message))
-        return
+const { promisify } = require('util')
+const { execFile } = require('child_process')
+const { probeMedia, normaliseTags, validCreationTime, languagesOf } = require('../utils/ffprobe')
+const { resolveTextBudget } = require('../utils/textSampling')
+
+const execFileAsync = promisify(execFile)
+
+// Scene score between consecutive keyframes (0-1) above which ffmpeg reports a cut.
+const SCENE_THRESHOLD = 0.3
+// Frames whose 32x18 greyscale thumbnail is this dark or this flat are title cards, fades or black screens.
+const BLACK_MEAN_LUMA = 20
+const BLANK_LUMA_STDDEV = 8
+const ATTEMPTS_PER_FRAME = 4
+const SCENE_SETTLE_SECONDS = 0.5
+// Scene detection decodes every keyframe, so it only scans the start of long recordings and gives up
+// after a while; segments past the scanned part fall back to fixed points.
+const SCENE_SCAN_SECONDS = 20 * 60
+const SCENE_TIMEOUT_MS = 120 * 1000
+// A damaged or network-mounted file can stall ffmpeg indefinitely; these bound each remaining call.
+const FRAME_TIMEOUT_MS = 30 * 1000
+const SUBTITLE_TIMEOUT_MS = 60 * 1000
+const TEXT_SUBTITLE_CODECS = new Set(['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'])
+
+function parseFrameRate (value) {
+  const [numerator, denominator] = String(value || '').split('/').map(Number)
+  if (!numerator || !denominator) return null
+  return Math.round(numerator / denominator * 100) / 100
+}
+
+/**
+ * Read container and stream metadata with ffprobe. Returns the `metadata.video` shape plus the
+ * parsed streams so subtitles can be extracted afterwards.
+ */
+async function probeVideo (filePath) {
+  const { format, streams } = await probeMedia(filePath)
+  const tags = normaliseTags(format.tags)
+  const video = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic)
+  const audio = streams.filter(stream => stream.codec_type === 'audio')
+  const subtitles = streams.filter(stream => stream.codec_type === 'subtitle')
+  const duration = parseFloat(format.duration) || parseFloat(video?.duration) || 0
+
+  const metadata = {
+    container: format.format_long_name || format.format_name || null,
+    duration: duration ? Math.round(duration * 10) / 10 : null,
+    creationTime: validCreationTime(tags['com.apple.quicktime.creationdate']) || validCreationTime(tags.creation_time) || validCreationTime(normaliseTags(video?.tags).creation_time),
+    title: tags.title || null,
+    comment: tags.comment || tags.description || null,
+    artist: tags.artist || null,
+    encoder: tags.encoder || tags['com.apple.quicktime.software'] || null,
+    cameraMake: tags['com.apple.quicktime.make'] || null,
+    cameraModel: tags['com.apple.quicktime.model'] || null,
+    location: tags['com.apple.quicktime.location.iso6709'] || tags.location || null,
+    resolution: video && video.width && video.height ? `${video.width}x${video.height}` : null,
+    videoCodec: video?.codec_name || null,
+    frameRate: parseFrameRate(video?.avg_frame_rate) || parseFrameRate(video?.r_frame_rate),
+    audioLanguages: languagesOf(audio),
+    subtitleLanguages: languagesOf(subtitles)
+  }
+
+  return { metadata, duration, subtitles }
+}
+
+// Timestamps of the first keyframe after each cut; only keyframes are decoded so long recordings stay cheap.
+async function detectSceneChanges (filePath) {
+  const { stderr } = await execFileAsync('ffmpeg', [
+    '-hide_banner', '-nostats', '-skip_frame', 'nokey', '-t', String(SCENE_SCAN_SECONDS), '-i', filePath,
+    '-an', '-sn', '-vf', `select='gt(scene,${SCENE_THRESHOLD})',showinfo`, '-vsync', 'vfr', '-f', 'null', '-'
+  ], { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024, timeout: SCENE_TIMEOUT_MS, killSignal: 'SIGKILL' })
+  return [...stderr.matchAll(/pts_time:\s*([\d.]+)/g)].map(match => parseFloat(match[1])).filter(Number.isFinite)
+}
+
+function describeLuma (pixels) {
+  if (!pixels.length) return { mean: 0, stddev: 0 }
+  const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length
+  const variance = pixels.reduce((sum, value) => sum + (value - mean) ** 2, 0) / pixels.length
+  return { mean, stddev: Math.sqrt(variance) }
+}
+
+// Grab one JPEG frame and, from the same decode, a tiny greyscale copy to judge whether it is blank.
+async function grabFrame (filePath, seconds, framePath) {
+  const { stdout } = await execFileAsync('ffmpeg', [
+    '-v', 'error', '-ss', seconds.toFixed(3), '-i', filePath,
+    '-frames:v', '1', '-q:v', '2', '-y', framePath,
+    '-frames:v', '1', '-vf', 'scale=32:18', '-pix_fmt', 'gray', '-f', 'rawvideo', 'pipe:1'
+  ], { encoding: 'buffer', maxBuffer: 1024 * 1024, timeout: FRAME_TIMEOUT_MS, killSignal: 'SIGKILL' })
+  const { mean, stddev } = describeLuma(stdout)
+  const blank = mean < BLACK_MEAN_LUMA ? 'black' : stddev < BLANK_LUMA_STDDEV ? 'blank' : null
+  return { blank, buffer: blank ? null : await fs.readFile(framePath) }
+}
+
+/**
+ * Split the video into equal segments and, for each, try the scene changes inside it (nearest to
+ * the middle first) before falling back to fixed points. Black and uniform frames are skipped.
+ */
+async function sampleFrames (filePath, { duration, frameCount, sceneTimes, tmpDir }) {
+  const count = duration > 0 ? Math.max(1, Math.min(frameCount, Math.floor(duration))) : 1
+  const span = duration > 0 ? duration / count : 0
+  const frames = []
+  const frameTimes = []
+  let fromScenes = 0
+  let skippedBlank = 0
+  let failedAttempts = 0
+  let lastError = null
+
+  for (let index = 0; index < count; index++) {
+    const start = index * span
+    const middle = start + span / 2
+    const scenes = sceneTimes
+      .filter(time => time >= start && time < start + span)
+      .sort((a, b) => Math.abs(a - middle) - Math.abs(b - middle))
+      .slice(0, 2)
+      .map(time => ({ time: Math.min(time + SCENE_SETTLE_SECONDS, start + span), scene: true }))
+    const attempts = [...scenes, { time: middle }, { time: start + span / 4 }, { time: start + span * 3 / 4 }]
+      .slice(0, ATTEMPTS_PER_FRAME)
+
+    for (const attempt of attempts) {
+      const framePath = path.join(tmpDir, `frame_${String(index + 1).padStart(3, '0')}.jpg`)
+      // One unreadable timestamp only costs this attempt; the next one may decode fine.
+      let grabbed
+      try {
+        grabbed = await grabFrame(filePath, attempt.time, framePath)
+      } catch (error) {
+        failedAttempts += 1
+        lastError = error
+        continue
+      }
+      const { blank, buffer } = grabbed
+      if (blank) {
+        skippedBlank += 1
+        continue
       }
-      resolve(stdout)
-    })
+      frames.push(buffer.toString('base64'))
+      frameTimes.push(Math.round(attempt.time * 10) / 10)
+      if (attempt.scene) fromScenes += 1
+      break
+    }
+  }
+
+  if (!frames.length && lastError) {
+    throw lastError
+  }
+  return { frames, frameTimes, sampling: fromScenes ? 'scene' : 'uniform', skippedBlank, failedAttempts }
+}
+
+function subtitlesToText (srt) {
+  const lines = []
+  for (const line of srt.split(/\r?\n/)) {
+    const cleaned = line
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/<[^>]+>/g, '')
+      .trim()
+    if (!cleaned || /^\d+$/.test(cleaned) || cleaned.includes('-->')) continue
+    if (cleaned !== lines[lines.length - 1]) lines.push(cleaned)
+  }
+  return lines.join('\n')
+}
+
+// Prefer the default text subtitle track; image-based tracks (PGS, VobSub) would need OCR.
+async function extractSubtitleText (filePath, subtitles, textCharBudget) {
+  const textTracks = subtitles.filter(stream => TEXT_SUBTITLE_CODECS.has(stream.codec_name))
+  const track = textTracks.find(stream => stream.disposition?.default) || textTracks[0]
+  if (!track) return null
+
+  const { stdout } = await execFileAsync('ffmpeg', ['-v', 'error', '-i', filePath, '-map', `0:${track.index}`, '-f', 'srt', 'pipe:1'], {
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+    timeout: SUBTITLE_TIMEOUT_MS,
+    killSignal: 'SIGKILL'
   })
+  const text = subtitlesToText(stdout)
+  const limit = resolveTextBudget(textCharBudget)
+  return {
+    text: text.length > limit ? `${text.slice(0, limit)}\n[Subtitle text truncated]` : text,
+    language: track.tags?.language || null
+  }
 }
 
-async function extractFrames ({ filePath, frameCount }) {
+/**
+ * Probe a video with ffprobe, sample representative frames at scene changes, and read embedded text
+ * subtitles. Returns `{ frames, frameTimes, duration, frameCount, sampling, metadata, text, error }`;
+ * failures are reported in `error` so the prompt can still use whatever was gathered.
+ */
+async function extractVideo (filePath, { frameCount = 3, textCharBudget, logger } = {}) {
   const tmpDir = path.join(os.tmpdir(), `ji-renamer-${randomUUID()}`)
   await fs.mkdir(tmpDir, { recursive: true })
+  const result = { frames: [], frameTimes: [], duration: 0, frameCount: 0, sampling: null, metadata: null, text: '' }
 
   try {
-    const durationCommand = `ffprobe -v error -show_entries format=duration -of csv=p=0 "${filePath}"`
-    const durationOutput = await execAsync(durationCommand)
-    const duration = parseFloat(durationOutput.trim()) || 0
-
-    const safeFrameCount = Math.max(1, Math.min(frameCount, Math.max(1, Math.floor(duration))))
-    const frameRate = Math.max(1 / Math.max(duration, 1), safeFrameCount / Math.max(duration, 1))
-    const extractCommand = `ffmpeg -i "${filePath}" -vf fps=${frameRate} -frames:v ${safeFrameCount} -q:v 2 "${tmpDir}/frame_%03d.jpg" -loglevel error`
-    await execAsync(extractCommand)
-
-    const frames = []
-    for (let i = 1; i <= safeFrameCount; i++) {
-      const framePath = path.join(tmpDir, `frame_${String(i).padStart(3, '0')}.jpg`)
-      const frameBuffer = await fs.readFile(framePath)
-      frames.push(frameBuffer.toString('base64'))
+    let subtitles = []
+    try {
+      const probe = await probeVideo(filePath)
+      result.metadata = probe.metadata
+      result.duration = probe.duration
+      subtitles = probe.subtitles
+    } catch (error) {
+      result.error = `ffprobe failed: ${error.message.split('\n')[0]}`
     }
 
-    return {
-      frames,
-      duration,
-      frameCount: safeFrameCount
+    let sceneTimes = []
+    if (result.duration > 0) {
+      try {
+        sceneTimes = await detectSceneChanges(filePath)
+      } catch (error) {
+        if (logger) logger.debug(`Scene detection failed for ${path.basename(filePath)}: ${error.message.split('\n')[0]}`)
+      }
+    }
+
+    try {
+      const sampled = await sampleFrames(filePath, { duration: result.duration, frameCount, sceneTimes, tmpDir })
+      result.frames = sampled.frames
+      result.frameTimes = sampled.frameTimes
+      result.frameCount = sampled.frames.length
+      result.sampling = sampled.sampling
+      if (sampled.failedAttempts && logger) {
+        logger.debug(`ffmpeg could not grab ${sampled.failedAttempts} frame(s) from ${path.basename(filePath)}; used other timestamps.`)
+      }
+      if (sampled.skippedBlank && logger) {
+        logger.debug(`Skipped ${sampled.skippedBlank} black or blank frame(s) in ${path.basename(filePath)}.`)
+      }
+      if (!sampled.frames.length && sampled.skippedBlank) {
+        result.error = result.error || 'every sampled frame was black or blank'
+      }
+    } catch (error) {
+      result.error = result.error || error.message.split('\n')[0]
     }
-  } catch (error) {
-    return {
-      frames: [],
-      duration: 0,
-      frameCount: 0,
-      error: error.message
+
+    if (subtitles.length) {
+      try {
+        const subtitle = await extractSubtitleText(filePath, subtitles, textCharBudget)
+        if (subtitle && subtitle.text) {
+          result.text = subtitle.text
+          result.metadata.subtitleTextLanguage = subtitle.language
+        }
+      } catch (error) {
+        if (logger) logger.debug(`Subtitle extraction failed for ${path.basename(filePath)}: ${error.message.split('\n')[0]}`)
+      }
     }
+
+    return result
   } finally {
     try {
       await fs.rm(tmpDir, { recursive: true, force: true })
@@ -57,5 +249,5 @@ async function extractFrames ({ filePath, frameCount }) {
 }
 
 module.exports = {
-  extractFrames
+  extractVideo
 }
@@ -6,8 +6,37 @@ const process = require('process')
 const { createCli } = require('./cli/createCli')
 const { loadConfig, saveConfig, filterPersistedOptions } = require('./config/configStore')
 const { runRenamer } = require('./core/runRenamer')
+const { undoRenames } = require('./core/undoRenames')
+const { applyPlan } = require('./core/applyPlan')
+const { watchFolder } = require('./core/watchFolder')
+const { pruneResponseCache, resolveCacheDirectory } = require('./core/responseCache')
 const { buildLogger } = require('./utils/logger')
 
+const COMMANDS = {
+  undo: {
+    label: 'undoRenames',
+    intention: 'Reverting renames recorded in the operation log',
+    run: undoRenames
+  },
+  apply: {
+    label: 'applyPlan',
+    intention: 'Applying renames from a saved plan',
+    run: applyPlan
+  },
+  watch: {
+    label: 'watchFolder',
+    intention: 'Watching folder for new files',
+    run: watchFolder
+  },
+  'cache-prune': {
+    label: 'pruneResponseCache',
+    intention: 'Pruning cached model responses',
+    run: pruneResponseCache,
+    // The cache lives outside the target tree, so the command works without a path argument.
+    defaultTarget: resolveCacheDirectory
+  }
+}
+
 async function main () {
   const logger = buildLogger()
   const config = await loadConfig()
@@ -27,14 +56,19 @@ async function main () {
     logger.info('Verbose logging enabled; detailed step timings will be displayed.')
   }
 
-  const targetPath = argv._[0]
+  const [firstArg, secondArg] = argv._
+  const namedCommand = Object.prototype.hasOwnProperty.call(COMMANDS, firstArg) ? COMMANDS[firstArg] : null
+  const command = namedCommand && (secondArg !== undefined || namedCommand.defaultTarget) ? namedCommand : null
+  const targetPath = command
+    ? (secondArg !== undefined ? secondArg : command.defaultTarget({ ...config, ...argv }))
+    : firstArg
   if (!targetPath) {
     cli.showHelp()
     process.exitCode = 1
     return
   }
 
-  const resolvedTargetPath = path.resolve(process.cwd(), targetPath)
+  const resolvedTargetPath = path.resolve(process.cwd(), String(targetPath))
 
   const effectiveOptions = { ...config, ...argv }
   delete effectiveOptions._
@@ -43,8 +77,14 @@ async function main () {
   const persistedOptions = filterPersistedOptions(effectiveOptions)
   await saveConfig(persistedOptions)
 
+  const { label, intention, run } = command || {
+    label: 'runRenamer',
+    intention: 'Executing rename workflow',
+    run: runRenamer
+  }
+
   try {
-    await logger.time('runRenamer', 'Executing rename workflow', () => runRenamer(resolvedTargetPath, effectiveOptions, logger))
+    await logger.time(label, intention, () => run(resolvedTargetPath, effectiveOptions, logger))
   } catch (error) {
     logger.error(error.message)
     if (error.stack) {
@@ -0,0 +1,125 @@
+const { parseModelResponse } = require('../utils/parseModelResponse')
+const { fetchWithRetry } = require('../utils/fetchWithRetry')
+const { resolveRequestPolicy } = require('./requestPolicy')
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com'
+const API_VERSION = '2023-06-01'
+const MAX_TOKENS = 1024
+const SUPPORTED_IMAGE_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp'])
+
+function normalizeBaseUrl (rawBaseUrl) {
+  const trimmed = (rawBaseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')
+  return /\/v\d+$/.test(trimmed) ? trimmed : `${trimmed}/v1`
+}
+
+function createAnthropicClient (options, logger) {
+  const baseUrl = normalizeBaseUrl(options.baseUrl)
+  const endpoint = `${baseUrl}/messages`
+  const model = options.model || 'claude-3-5-sonnet-latest'
+  const requestPolicy = resolveRequestPolicy(options)
+
+  function toImageBlock (image, fallbackMediaType) {
+    if (!image) {
+      return null
+    }
+
+    const mediaType = image.mediaType || fallbackMediaType || 'image/png'
+    if (typeof image.base64 !== 'string' || !image.base64) {
+      return null
+    }
+    if (!SUPPORTED_IMAGE_TYPES.has(mediaType)) {
+      if (logger && typeof logger.debug === 'function') {
+        logger.debug(`Skipping ${mediaType} attachment; the Messages API only accepts JPEG, PNG, GIF and WebP images.`)
+      }
+      return null
+    }
+
+    return {
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: mediaType,
+        data: image.base64
+      }
+    }
+  }
+
+  function buildBody (prompt) {
+    const userContent = []
+
+    const images = Array.isArray(prompt.images) ? prompt.images : []
+    images.forEach(image => {
+      const block = toImageBlock(image)
+      if (block) {
+        userContent.push(block)
+      }
+    })
+
+    const frames = Array.isArray(prompt.frames) ? prompt.frames : []
+    frames.forEach(frame => {
+      const block = toImageBlock(
+        typeof frame === 'string' ? { base64: frame, mediaType: 'image/jpeg' } : frame,
+        'image/jpeg'
+      )
+      if (block) {
+        userContent.push(block)
+      }
+    })
+
+    // Images go before the text so the instructions refer to attachments the model has already seen.
+    userContent.push({ type: 'text', text: prompt.userMessage })
+
+    return {
+      model,
+      max_tokens: MAX_TOKENS,
+      temperature: 0.2,
+      system: prompt.systemMessage,
+      messages: [
+        {
+          role: 'user',
+          content: userContent
+        }
+      ]
+    }
+  }
+
+  async function generateFilename (prompt, context = {}) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'anthropic-version': API_VERSION
+    }
+    if (options.apiKey) {
+      headers['x-api-key'] = options.apiKey
+    }
+
+    const response = await fetchWithRetry(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(buildBody(prompt))
+    }, { ...requestPolicy, onRetry: context.onRetry })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      const message = errorText || `status ${response.status}`
+
+      throw new Error(`Provider request failed (${response.status}): ${message}`)
+    }
+
+    const data = await response.json()
+    const text = Array.isArray(data.content)
+      ? data.content.filter(block => block && block.type === 'text').map(block => block.text).join('')
+      : ''
+    if (data.stop_reason === 'max_tokens' && logger && typeof logger.warn === 'function') {
+      logger.warn(`Anthropic response hit the max_tokens limit (${MAX_TOKENS}); the JSON reply may be incomplete.`)
+    }
+    return parseModelResponse(text)
+  }
+
+  return {
+    generateFilename
+  }
+}
+
+module.exports = {
+  createAnthropicClient
+}
@@ -1,5 +1,7 @@
 const { createOllamaClient } = require('./ollamaClient')
 const { createOpenAICompatibleClient } = require('./openAICompatibleClient')
+const { createAnthropicClient } = require('./anthropicClient')
+const { createGeminiClient } = require('./geminiClient')
 
 function createProviderClient (options, logger) {
   const provider = (options.provider || 'ollama').toLowerCase()
@@ -15,6 +17,18 @@ function createProviderClient (options, logger) {
     }
     return createOpenAICompatibleClient({ ...options, baseUrl: options.baseUrl || 'https://api.openai.com/v1' }, logger)
   }
+  if (provider === 'anthropic') {
+    if (!options.apiKey && !options.baseUrl) {
+      throw new Error('Anthropic provider requires --api-key to be set')
+    }
+    return createAnthropicClient(options, logger)
+  }
+  if (provider === 'gemini') {
+    if (!options.apiKey && !options.baseUrl) {
+      throw new Error('Gemini provider requires --api-key to be set')
+    }
+    return createGeminiClient(options, logger)
+  }
   throw new Error(`Unsupported provider: ${provider}`)
 }
 
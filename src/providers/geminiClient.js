@@ -0,0 +1,116 @@
+const { parseModelResponse } = require('../utils/parseModelResponse')
+const { fetchWithRetry } = require('../utils/fetchWithRetry')
+const { resolveRequestPolicy } = require('./requestPolicy')
+
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta'
+
+function normalizeBaseUrl (rawBaseUrl) {
+  const trimmed = (rawBaseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')
+  return /\/v\d+(?:alpha|beta)?\d*$/.test(trimmed) ? trimmed : `${trimmed}/v1beta`
+}
+
+function createGeminiClient (options, logger) {
+  const baseUrl = normalizeBaseUrl(options.baseUrl)
+  const model = (options.model || 'gemini-1.5-flash').replace(/^models\//, '')
+  const requestPolicy = resolveRequestPolicy(options)
+  const endpoint = `${baseUrl}/models/${encodeURIComponent(model)}:generateContent`
+  const useJsonMode = options.jsonMode !== false
+
+  function toInlinePart (image, fallbackMediaType) {
+    if (!image || typeof image.base64 !== 'string' || !image.base64) {
+      return null
+    }
+    return {
+      inlineData: {
+        mimeType: image.mediaType || fallbackMediaType || 'image/png',
+        data: image.base64
+      }
+    }
+  }
+
+  function buildBody (prompt) {
+    const parts = [{ text: prompt.userMessage }]
+
+    const images = Array.isArray(prompt.images) ? prompt.images : []
+    images.forEach(image => {
+      const part = toInlinePart(image)
+      if (part) {
+        parts.push(part)
+      }
+    })
+
+    const frames = Array.isArray(prompt.frames) ? prompt.frames : []
+    frames.forEach(frame => {
+      const part = toInlinePart(
+        typeof frame === 'string' ? { base64: frame, mediaType: 'image/jpeg' } : frame,
+        'image/jpeg'
+      )
+      if (part) {
+        parts.push(part)
+      }
+    })
+
+    const generationConfig = { temperature: 0.2 }
+    if (useJsonMode) {
+      generationConfig.responseMimeType = 'application/json'
+    }
+
+    return {
+      systemInstruction: {
+        parts: [{ text: prompt.systemMessage }]
+      },
+      contents: [
+        {
+          role: 'user',
+          parts
+        }
+      ],
+      generationConfig
+    }
+  }
+
+  async function generateFilename (prompt, context = {}) {
+    const headers = {
+      'Content-Type': 'application/json'
+    }
+    if (options.apiKey) {
+      headers['x-goog-api-key'] = options.apiKey
+    }
+
+    const response = await fetchWithRetry(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(buildBody(prompt))
+    }, { ...requestPolicy, onRetry: context.onRetry })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      const message = errorText || `status ${response.status}`
+
+      throw new Error(`Provider request failed (${response.status}): ${message}`)
+    }
+
+    const data = await response.json()
+    const candidate = data.candidates?.[0]
+    if (!candidate) {
+      const blockReason = data.promptFeedback?.blockReason
+      throw new Error(`Gemini returned no candidates${blockReason ? ` (prompt blocked: ${blockReason})` : ''}`)
+    }
+    if (candidate.finishReason === 'MAX_TOKENS' && logger && typeof logger.warn === 'function') {
+      logger.warn('Gemini response hit the output token limit; the JSON reply may be incomplete.')
+    }
+
+    const text = (candidate.content?.parts || [])
+      .map(part => part && typeof part.text === 'string' ? part.text : '')
+      .join('')
+    return parseModelResponse(text)
+  }
+
+  return {
+    generateFilename
+  }
+}
+
+module.exports = {
+  createGeminiClient
+}
@@ -1,11 +1,17 @@
 const { parseModelResponse } = require('../utils/parseModelResponse')
+const { fetchWithRetry } = require('../utils/fetchWithRetry')
+const { resolveRequestPolicy } = require('./requestPolicy')
 
 function createOllamaClient (options, logger) {
   const baseUrl = (options.baseUrl || 'http://127.0.0.1:11434').replace(/\/$/, '')
   const endpoint = `${baseUrl}/api/chat`
   const model = options.model || 'llava:13b'
+  const requestPolicy = resolveRequestPolicy(options)
+  const useJsonMode = options.jsonMode !== false
+  // Ollama releases before structured outputs only understand format: "json"; downgrade once and remember.
+  let supportsSchemaFormat = true
 
-  async function generateFilename (prompt) {
+  async function generateFilename (prompt, context = {}) {
     const userMessage = {
       role: 'user',
       content: prompt.userMessage
@@ -32,17 +38,39 @@ function createOllamaClient (options, logger) {
       ]
     }
 
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(body)
-    })
+    const sendRequest = async (format) => {
+      const response = await fetchWithRetry(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(format ? { ...body, format } : body)
+      }, { ...requestPolicy, onRetry: context.onRetry })
 
-    if (!response.ok) {
-      const errorText = await response.text()
-      throw new Error(`Ollama request failed (${response.status}): ${errorText}`)
+      if (!response.ok) {
+        const errorText = await response.text()
+        throw new Error(`Ollama request failed (${response.status}): ${errorText}`)
+      }
+
+      return response
+    }
+
+    let response
+    if (useJsonMode && prompt.responseSchema && supportsSchemaFormat) {
+      try {
+        response = await sendRequest(prompt.responseSchema)
+      } catch (error) {
+        if (!/\((?:400|500)\).*format/i.test(error.message)) {
+          throw error
+        }
+        supportsSchemaFormat = false
+        if (logger && typeof logger.warn === 'function') {
+          logger.warn('Ollama rejected the JSON schema format; falling back to format "json". Upgrade Ollama for structured outputs.')
+        }
+      }
+    }
+    if (!response) {
+      response = await sendRequest(useJsonMode ? 'json' : undefined)
     }
 
     const data = await response.json()
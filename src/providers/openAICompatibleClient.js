@@ -1,4 +1,7 @@
 const { parseModelResponse } = require('../utils/parseModelResponse')
+const { fetchWithRetry } = require('../utils/fetchWithRetry')
+const { resolveRequestPolicy } = require('./requestPolicy')
+const { SCHEMA_NAME } = require('../utils/modelResponseSchema')
 
 function normalizeBaseUrl (rawBaseUrl, logger) {
   const trimmed = (rawBaseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '')
@@ -18,7 +21,10 @@ function createOpenAICompatibleClient (options, logger) {
   const baseUrl = normalizeBaseUrl(options.baseUrl, logger)
   const endpoint = `${baseUrl}/chat/completions`
   const model = options.model || (options.provider === 'lm-studio' ? 'lmstudio-community/llava' : 'gpt-4o')
+  const requestPolicy = resolveRequestPolicy(options)
   const useJsonMode = options.jsonMode !== false
+  // Servers that reject a response_format are downgraded for the rest of the run: json_schema → json_object → text.
+  let preferredFormat = useJsonMode ? 'json_schema' : 'text'
 
   function buildBody (prompt, responseFormatType) {
     const userContent = [{ type: 'text', text: prompt.userMessage }]
@@ -98,14 +104,23 @@ function createOpenAICompatibleClient (options, logger) {
       ]
     }
 
-    if (responseFormatType) {
+    if (responseFormatType === 'json_schema') {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: SCHEMA_NAME,
+          strict: true,
+          schema: prompt.responseSchema
+        }
+      }
+    } else if (responseFormatType) {
       body.response_format = { type: responseFormatType }
     }
 
     return body
   }
 
-  async function sendRequest (prompt, responseFormatType) {
+  async function sendRequest (prompt, responseFormatType, context) {
     const headers = {
       'Content-Type': 'application/json'
     }
@@ -115,11 +130,11 @@ function createOpenAICompatibleClient (options, logger) {
 
     const body = buildBody(prompt, responseFormatType)
 
-    const response = await fetch(endpoint, {
+    const response = await fetchWithRetry(endpoint, {
       method: 'POST',
       headers,
       body: JSON.stringify(body)
-    })
+    }, { ...requestPolicy, onRetry: context.onRetry })
 
     if (!response.ok) {
       const errorText = await response.text()
@@ -134,23 +149,35 @@ function createOpenAICompatibleClient (options, logger) {
     return parsed
   }
 
-  async function generateFilename (prompt) {
-    const prefersJson = Boolean(useJsonMode)
-    const initialFormat = prefersJson ? 'json_object' : 'text'
+  function nextFormatAfter (format, error) {
+    if (format === 'json_schema' && /\((?:400|422)\)/.test(error.message) && /response_format|json_schema|schema/i.test(error.message)) {
+      return 'json_object'
+    }
+    if (format === 'json_object' && /'response_format.type' must be 'json_schema' or 'text'/.test(error.message)) {
+      return 'text'
+    }
+    return null
+  }
+
+  async function generateFilename (prompt, context = {}) {
+    let format = preferredFormat === 'json_schema' && !prompt.responseSchema ? 'json_object' : preferredFormat
 
-    try {
-      return await sendRequest(prompt, initialFormat)
-    } catch (error) {
-      const canRetryAsText = prefersJson && initialFormat === 'json_object' && /'response_format.type' must be 'json_schema' or 'text'/.test(error.message)
-      if (!canRetryAsText) {
-        throw error
-      }
+    while (true) {
+      try {
+        return await sendRequest(prompt, format, context)
+      } catch (error) {
+        const fallback = nextFormatAfter(format, error)
+        if (!fallback) {
+          throw error
+        }
 
-      if (logger && typeof logger.warn === 'function') {
-        logger.warn('Provider rejected json_object response_format; retrying with plain text responses.')
-      }
+        if (logger && typeof logger.warn === 'function') {
+          logger.warn(`Provider rejected ${format} response_format; retrying with ${fallback === 'text' ? 'plain text responses' : fallback}.`)
+        }
 
-      return sendRequest(prompt, 'text')
+        preferredFormat = fallback
+        format = fallback
+      }
     }
   }
 
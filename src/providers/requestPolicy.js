@@ -0,0 +1,48 @@
+// Local models can take minutes on large prompts, so they get a longer timeout; hosted APIs rate-limit
+// more often, so they get more retries.
+const PROVIDER_DEFAULTS = {
+  ollama: { timeoutSeconds: 300, maxRetries: 2 },
+  'lm-studio': { timeoutSeconds: 300, maxRetries: 2 },
+  openai: { timeoutSeconds: 120, maxRetries: 4 },
+  anthropic: { timeoutSeconds: 120, maxRetries: 4 },
+  gemini: { timeoutSeconds: 120, maxRetries: 4 }
+}
+
+const BASE_DEFAULTS = {
+  timeoutSeconds: 120,
+  maxRetries: 3,
+  retryBaseDelaySeconds: 1,
+  retryMaxDelaySeconds: 60
+}
+
+function pickNumber (...values) {
+  return values.find(value => typeof value === 'number' && Number.isFinite(value) && value >= 0)
+}
+
+/**
+ * Resolve timeout and retry settings for the active provider. Precedence: --request-timeout /
+ * --max-retries, then the provider's entry under `providerRequests` in ~/ji-renamer.json, then the
+ * built-in provider defaults.
+ */
+function resolveRequestPolicy (options) {
+  const provider = (options.provider || 'ollama').toLowerCase()
+  const configured = (options.providerRequests && typeof options.providerRequests === 'object' && options.providerRequests[provider]) || {}
+  const defaults = { ...BASE_DEFAULTS, ...(PROVIDER_DEFAULTS[provider] || {}) }
+
+  const timeoutSeconds = pickNumber(options.requestTimeout, configured.timeoutSeconds, defaults.timeoutSeconds)
+  const maxRetries = pickNumber(options.maxRetries, configured.maxRetries, defaults.maxRetries)
+  const baseDelaySeconds = pickNumber(configured.retryBaseDelaySeconds, defaults.retryBaseDelaySeconds)
+  const maxDelaySeconds = pickNumber(configured.retryMaxDelaySeconds, defaults.retryMaxDelaySeconds)
+
+  return {
+    provider,
+    timeoutMs: Math.round(timeoutSeconds * 1000),
+    maxRetries: Math.floor(maxRetries),
+    baseDelayMs: Math.round(baseDelaySeconds * 1000),
+    maxDelayMs: Math.round(maxDelaySeconds * 1000)
+  }
+}
+
+module.exports = {
+  resolveRequestPolicy
+}
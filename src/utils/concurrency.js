@@ -0,0 +1,39 @@
+function createLock () {
+  let tail = Promise.resolve()
+
+  function runExclusive (fn) {
+    const result = tail.then(() => fn())
+    // Keep the chain alive even when a holder throws so later callers still acquire the lock.
+    tail = result.catch(() => {})
+    return result
+  }
+
+  return {
+    runExclusive
+  }
+}
+
+async function mapWithConcurrency (items, limit, worker, { shouldStop } = {}) {
+  const results = new Array(items.length)
+  const workerCount = Math.max(1, Math.min(Math.floor(limit) || 1, items.length))
+  let nextIndex = 0
+
+  async function runWorker () {
+    while (nextIndex < items.length) {
+      if (typeof shouldStop === 'function' && shouldStop()) {
+        return
+      }
+      const index = nextIndex
+      nextIndex += 1
+      results[index] = await worker(items[index], index)
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, () => runWorker()))
+  return results
+}
+
+module.exports = {
+  createLock,
+  mapWithConcurrency
+}
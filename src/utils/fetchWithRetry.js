@@ -0,0 +1,99 @@
+// 529 is Anthropic's "overloaded" reply, its most common transient failure.
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504, 529])
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304])
+
+function parseRetryAfter (headerValue) {
+  if (!headerValue) {
+    return null
+  }
+
+  const seconds = Number(headerValue)
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000)
+  }
+
+  const date = Date.parse(headerValue)
+  if (Number.isFinite(date)) {
+    return Math.max(0, date - Date.now())
+  }
+
+  return null
+}
+
+function computeDelay (attempt, policy, retryAfterMs) {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) {
+    return Math.min(retryAfterMs, policy.maxDelayMs)
+  }
+  const exponential = policy.baseDelayMs * 2 ** (attempt - 1)
+  // Jitter keeps parallel workers from retrying in lockstep.
+  return Math.round(Math.min(exponential, policy.maxDelayMs) * (0.5 + Math.random() / 2))
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+async function fetchOnce (url, init, timeoutMs) {
+  const controller = timeoutMs ? new AbortController() : null
+  const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null
+  try {
+    const response = await fetch(url, controller ? { ...init, signal: controller.signal } : init)
+    // Read the body while the timer is still armed so a model that stalls mid-reply is caught too.
+    const body = await response.text()
+    return new Response(NULL_BODY_STATUSES.has(response.status) ? null : body, { status: response.status, statusText: response.statusText, headers: response.headers })
+  } catch (error) {
+    if (controller && controller.signal.aborted) {
+      const timeoutError = new Error(`Provider request timed out after ${Math.round(timeoutMs / 1000)}s`)
+      timeoutError.code = 'ETIMEDOUT'
+      throw timeoutError
+    }
+    throw error
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * `fetch` with a per-attempt timeout and exponential backoff on network errors, timeouts, and
+ * retryable HTTP statuses. `Retry-After` is honoured (capped at `maxDelayMs`). The final response is
+ * returned as-is so callers keep their own error reporting for non-2xx replies.
+ */
+async function fetchWithRetry (url, init, { timeoutMs = 0, maxRetries = 0, baseDelayMs = 1000, maxDelayMs = 60000, onRetry } = {}) {
+  const policy = { baseDelayMs, maxDelayMs }
+
+  for (let attempt = 1; ; attempt += 1) {
+    let response = null
+    let failure = null
+    try {
+      response = await fetchOnce(url, init, timeoutMs)
+    } catch (error) {
+      failure = error
+    }
+
+    const retryable = failure ? true : RETRYABLE_STATUSES.has(response.status)
+    if (!retryable || attempt > maxRetries) {
+      if (failure) {
+        throw failure
+      }
+      return response
+    }
+
+    const retryAfterMs = response ? parseRetryAfter(response.headers.get('retry-after')) : null
+    const delayMs = computeDelay(attempt, policy, retryAfterMs)
+    if (typeof onRetry === 'function') {
+      onRetry({
+        attempt,
+        maxRetries,
+        delayMs,
+        status: response ? response.status : null,
+        reason: failure ? failure.message : `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`,
+        retryAfter: retryAfterMs !== null
+      })
+    }
+    await sleep(delayMs)
+  }
+}
+
+module.exports = {
+  fetchWithRetry,
+  parseRetryAfter,
+  RETRYABLE_STATUSES
+}
@@ -0,0 +1,53 @@
+const { promisify } = require('util')
+const { execFile } = require('child_process')
+
+const execFileAsync = promisify(execFile)
+// ffprobe only reads headers, so a call that takes this long is stuck on a damaged or unreachable file.
+const PROBE_TIMEOUT_MS = 30 * 1000
+
+// Run ffprobe and return its parsed JSON description of the container and streams.
+async function probeMedia (filePath) {
+  const { stdout } = await execFileAsync('ffprobe', ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath], {
+    encoding: 'utf8',
+    maxBuffer: 16 * 1024 * 1024,
+    timeout: PROBE_TIMEOUT_MS,
+    killSignal: 'SIGKILL'
+  })
+  const probe = JSON.parse(stdout)
+  return {
+    format: probe.format || {},
+    streams: Array.isArray(probe.streams) ? probe.streams : []
+  }
+}
+
+// Tag names differ in case between containers (ID3 `title`, Vorbis `TITLE`); index them lowercased.
+function normaliseTags (tags) {
+  const normalised = {}
+  for (const [key, value] of Object.entries(tags || {})) {
+    if (value !== undefined && value !== null && value !== '') {
+      normalised[key.toLowerCase()] = value
+    }
+  }
+  return normalised
+}
+
+// QuickTime and MP4 writers store zero timestamps (1904 or 1970) when the real date is unknown.
+function validCreationTime (value) {
+  if (!value) return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) || date.getUTCFullYear() < 1980 ? null : value
+}
+
+function languagesOf (streams) {
+  const languages = streams
+    .map(stream => normaliseTags(stream.tags).language)
+    .filter(language => language && language !== 'und')
+  return [...new Set(languages)]
+}
+
+module.exports = {
+  probeMedia,
+  normaliseTags,
+  validCreationTime,
+  languagesOf
+}
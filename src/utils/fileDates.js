@@ -146,7 +146,9 @@ function extractMetadataDateEntries (metadata, pathSegments = []) {
       if (value && typeof value === 'object') {
         entries.push(...extractMetadataDateEntries(value, nextPath))
       } else if (value) {
+        // Arrays also hold names, keywords and languages; only keep the entries that are dates.
         const parsed = normaliseDateInput(value)
+        if (!parsed) return
         entries.push({
           source: nextPath.join('.'),
           rawValue: value,
@@ -271,6 +273,13 @@ function getMacMetadata (metadata) {
   return null
 }
 
+function getLinuxMetadata (metadata) {
+  if (metadata && typeof metadata === 'object' && metadata.linux && typeof metadata.linux === 'object') {
+    return metadata.linux
+  }
+  return null
+}
+
 function getDocumentMetadata (metadata) {
   if (metadata && typeof metadata === 'object' && metadata.document && typeof metadata.document === 'object') {
     return metadata.document
@@ -278,6 +287,13 @@ function getDocumentMetadata (metadata) {
   return null
 }
 
+function getEmailMetadata (metadata) {
+  if (metadata && typeof metadata === 'object' && metadata.email && typeof metadata.email === 'object') {
+    return metadata.email
+  }
+  return null
+}
+
 function getDateCandidates (content, { dateFormat = 'YYYY-MM-DD' } = {}) {
   if (!content || typeof content !== 'object') {
     return []
@@ -302,8 +318,98 @@ function getDateCandidates (content, { dateFormat = 'YYYY-MM-DD' } = {}) {
     }
   }
 
+  const emailMetadata = getEmailMetadata(content.metadata)
+  if (emailMetadata && emailMetadata.date) {
+    // The Date header is when the message was sent, which is what a saved email should be filed under.
+    addCandidate(map, {
+      source: 'metadata.email.date',
+      rawValue: emailMetadata.date,
+      priority: 1,
+      subPriority: -1,
+      kind: 'emailSent',
+      description: 'Email Date header (when the message was sent)'
+    }, options)
+  }
+
+  const imageMetadata = content.metadata && typeof content.metadata === 'object' ? content.metadata.image : null
+  if (imageMetadata && typeof imageMetadata === 'object') {
+    // When the shutter fired beats any filesystem date, which for photos usually reflects a copy or download.
+    if (imageMetadata.captureDate) {
+      addCandidate(map, {
+        source: 'metadata.image.captureDate',
+        rawValue: imageMetadata.captureDate,
+        priority: 1,
+        subPriority: -1,
+        kind: 'captureDate',
+        description: 'Photo capture date (EXIF DateTimeOriginal, XMP or IPTC)'
+      }, options)
+    }
+    if (imageMetadata.digitizedDate) {
+      addCandidate(map, {
+        source: 'metadata.image.digitizedDate',
+        rawValue: imageMetadata.digitizedDate,
+        priority: 2,
+        subPriority: 0,
+        kind: 'captureDate',
+        description: 'Date the image was digitised'
+      }, options)
+    }
+  }
+
+  for (const kind of ['video', 'audio']) {
+    const mediaMetadata = content.metadata && typeof content.metadata === 'object' ? content.metadata[kind] : null
+    if (mediaMetadata && mediaMetadata.creationTime) {
+      // Cameras and recorders write the recording time here, but re-encoders overwrite it, so it ranks with document metadata.
+      addCandidate(map, {
+        source: `metadata.${kind}.creationTime`,
+        rawValue: mediaMetadata.creationTime,
+        priority: 2,
+        subPriority: 0,
+        kind: 'recordedDate',
+        description: `${kind === 'video' ? 'Video' : 'Audio'} container creation_time (recording or encoding time)`
+      }, options)
+    }
+  }
+
+  const audioMetadata = content.metadata && typeof content.metadata === 'object' ? content.metadata.audio : null
+  // Year-only tags (ID3v1, most music) would read as 1 January, so only full dates are promoted.
+  if (audioMetadata && typeof audioMetadata.date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(audioMetadata.date)) {
+    addCandidate(map, {
+      source: 'metadata.audio.date',
+      rawValue: audioMetadata.date,
+      priority: 2,
+      subPriority: -1,
+      kind: 'recordedDate',
+      description: 'Recording date from the audio tags'
+    }, options)
+  }
+
+  const archiveMetadata = content.metadata && typeof content.metadata === 'object' ? content.metadata.archive : null
+  if (archiveMetadata && archiveMetadata.newestEntryDate) {
+    // An export is dated by its most recent member; the archive's own mtime is usually just the download.
+    addCandidate(map, {
+      source: 'metadata.archive.newestEntryDate',
+      rawValue: archiveMetadata.newestEntryDate,
+      priority: 3,
+      subPriority: 0,
+      kind: 'archiveContents',
+      description: 'Most recently modified file inside the archive'
+    }, options)
+  }
+
   const documentMetadata = getDocumentMetadata(content.metadata)
   if (documentMetadata) {
+    // Web pages and e-books state when they were published; a bare year (common in EPUB) is too vague to rank.
+    if (typeof documentMetadata.publishedDate === 'string' && /^\d{4}-\d{2}-\d{2}/.test(documentMetadata.publishedDate.trim())) {
+      addCandidate(map, {
+        source: 'metadata.document.publishedDate',
+        rawValue: documentMetadata.publishedDate.trim(),
+        priority: 2,
+        subPriority: -1,
+        kind: 'documentPublished',
+        description: 'Publication date from the page or e-book metadata'
+      }, options)
+    }
     if (documentMetadata.creationDate) {
       addCandidate(map, {
         source: 'metadata.document.creationDate',
@@ -390,6 +496,30 @@ function getDateCandidates (content, { dateFormat = 'YYYY-MM-DD' } = {}) {
     }
   }
 
+  const linuxMetadata = getLinuxMetadata(content.metadata)
+  if (linuxMetadata) {
+    if (linuxMetadata.date) {
+      addCandidate(map, {
+        source: 'metadata.linux.date',
+        rawValue: linuxMetadata.date,
+        priority: 2,
+        subPriority: 1,
+        kind: 'documentCreation',
+        description: 'Dublin Core date from extended attributes'
+      }, options)
+    }
+    if (linuxMetadata.downloadedDate) {
+      addCandidate(map, {
+        source: 'metadata.linux.downloadedDate',
+        rawValue: linuxMetadata.downloadedDate,
+        priority: 3,
+        subPriority: 1,
+        kind: 'fileAdded',
+        description: 'Downloaded date (creation time of a file with a recorded origin URL)'
+      }, options)
+    }
+  }
+
   if (content.createdAt) {
     addCandidate(map, {
       source: 'file.createdAt',
@@ -0,0 +1,27 @@
+const fs = require('fs')
+const { createHash } = require('crypto')
+
+function hashFile (filePath, algorithm = 'sha256') {
+  return new Promise((resolve, reject) => {
+    const hash = createHash(algorithm)
+    const stream = fs.createReadStream(filePath)
+    stream.on('error', reject)
+    stream.on('data', chunk => hash.update(chunk))
+    stream.on('end', () => resolve(hash.digest('hex')))
+  })
+}
+
+async function fingerprintFile (filePath) {
+  const stats = await fs.promises.stat(filePath)
+  const sha256 = await hashFile(filePath)
+  return {
+    size: stats.size,
+    mtimeMs: stats.mtimeMs,
+    sha256
+  }
+}
+
+module.exports = {
+  hashFile,
+  fingerprintFile
+}
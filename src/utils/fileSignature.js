@@ -0,0 +1,237 @@
+const fs = require('fs/promises')
+const zlib = require('zlib')
+const { openZipArchive } = require('./zipArchive')
+const { getExtension, getFileCategory } = require('./fileType')
+const { resolveExtension } = require('./sanitize')
+const { detectEncoding } = require('./textEncoding')
+
+const SNIFF_BYTES = 8192
+
+// Every detected type lists the extensions that legitimately carry it; the first one is used when a
+// name has to be fixed.
+const FILE_TYPES = {
+  pdf: { label: 'PDF document', extensions: ['.pdf'] },
+  docx: { label: 'Word document', extensions: ['.docx', '.docm', '.dotx', '.dotm'] },
+  xlsx: { label: 'Excel workbook', extensions: ['.xlsx', '.xlsm', '.xltx', '.xltm'] },
+  pptx: { label: 'PowerPoint presentation', extensions: ['.pptx', '.pptm', '.potx', '.ppsx'] },
+  ooxml: { label: 'Office document', extensions: ['.docx', '.docm', '.dotx', '.dotm', '.xlsx', '.xlsm', '.xltx', '.xltm', '.pptx', '.pptm', '.potx', '.ppsx'] },
+  epub: { label: 'EPUB e-book', extensions: ['.epub'] },
+  odt: { label: 'OpenDocument text', extensions: ['.odt', '.ott'] },
+  ods: { label: 'OpenDocument spreadsheet', extensions: ['.ods', '.ots'] },
+  odp: { label: 'OpenDocument presentation', extensions: ['.odp', '.otp'] },
+  zip: { label: 'ZIP archive', extensions: ['.zip'] },
+  jpeg: { label: 'JPEG image', extensions: ['.jpg', '.jpeg', '.jpe', '.jfif'] },
+  png: { label: 'PNG image', extensions: ['.png'] },
+  gif: { label: 'GIF image', extensions: ['.gif'] },
+  webp: { label: 'WebP image', extensions: ['.webp'] },
+  bmp: { label: 'BMP image', extensions: ['.bmp', '.dib'] },
+  tiff: { label: 'TIFF image', extensions: ['.tiff', '.tif'] },
+  heic: { label: 'HEIC image', extensions: ['.heic', '.heif'] },
+  // ISO media files share one container, so any of its extensions is kept; only a missing or
+  // unrelated extension is replaced.
+  mp4: { label: 'MP4 video', extensions: ['.mp4', '.m4v', '.mov', '.qt', '.3gp', '.m4a', '.m4b'] },
+  mov: { label: 'QuickTime video', extensions: ['.mov', '.qt', '.mp4', '.m4v', '.3gp', '.m4a', '.m4b'] },
+  m4a: { label: 'MPEG-4 audio', extensions: ['.m4a', '.m4b', '.aac', '.mp4', '.m4v', '.mov', '.qt', '.3gp'] },
+  isoMedia: { label: 'MPEG-4 media', extensions: ['.mp4', '.m4v', '.mov', '.qt', '.3gp', '.m4a', '.m4b'] },
+  mkv: { label: 'Matroska video', extensions: ['.mkv', '.webm', '.mka'] },
+  webm: { label: 'WebM video', extensions: ['.webm', '.mkv'] },
+  avi: { label: 'AVI video', extensions: ['.avi'] },
+  wav: { label: 'WAV audio', extensions: ['.wav'] },
+  mp3: { label: 'MP3 audio', extensions: ['.mp3'] },
+  aac: { label: 'AAC audio', extensions: ['.aac', '.m4a'] },
+  flac: { label: 'FLAC audio', extensions: ['.flac'] },
+  ogg: { label: 'Ogg audio', extensions: ['.ogg', '.oga', '.opus'] },
+  tarGz: { label: 'gzip-compressed tar archive', extensions: ['.tar.gz', '.tgz'] },
+  gzip: { label: 'gzip-compressed file', extensions: ['.gz', '.tar.gz', '.tgz'] },
+  tar: { label: 'tar archive', extensions: ['.tar'] },
+  rtf: { label: 'RTF document', extensions: ['.rtf'] },
+  html: { label: 'HTML page', extensions: ['.html', '.htm', '.xhtml'] },
+  text: { label: 'plain text', extensions: ['.txt'] }
+}
+
+// EPUB and OpenDocument packages name their type in an uncompressed `mimetype` member.
+const PACKAGE_MIME_TYPES = {
+  'application/epub+zip': 'epub',
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.oasis.opendocument.text-template': 'odt',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+  'application/vnd.oasis.opendocument.spreadsheet-template': 'ods',
+  'application/vnd.oasis.opendocument.presentation': 'odp',
+  'application/vnd.oasis.opendocument.presentation-template': 'odp'
+}
+const HEIF_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'])
+const ISO_AUDIO_BRANDS = new Set(['M4A ', 'M4B ', 'M4P ', 'F4A ', 'F4B '])
+const BMP_HEADER_SIZES = new Set([12, 40, 52, 56, 64, 108, 124])
+
+function ascii (buffer, start, end) {
+  return buffer.toString('latin1', start, end)
+}
+
+// Handler types (`vide`, `soun`, …) of the tracks whose `hdlr` boxes fall inside the sample; files
+// that keep their `moov` box at the end yield none.
+function readTrackHandlers (buffer) {
+  const handlers = new Set()
+  for (let offset = buffer.indexOf('hdlr', 0, 'latin1'); offset !== -1 && offset + 16 <= buffer.length; offset = buffer.indexOf('hdlr', offset + 4, 'latin1')) {
+    handlers.add(ascii(buffer, offset + 12, offset + 16))
+  }
+  return handlers
+}
+
+function sniffIsoMedia (buffer) {
+  if (buffer.length < 12 || ascii(buffer, 4, 8) !== 'ftyp') return null
+  const brand = ascii(buffer, 8, 12)
+  if (HEIF_BRANDS.has(brand)) return 'heic'
+  if (brand === 'avif' || brand === 'avis') return null
+  if (brand === 'qt  ') return 'mov'
+  if (ISO_AUDIO_BRANDS.has(brand)) return 'm4a'
+
+  // Generic major brands (isom, mp41, mp42, …) fit audio and video alike, so decide by the tracks
+  // and the compatible brands, and otherwise only report the container.
+  const handlers = readTrackHandlers(buffer)
+  if (handlers.has('vide')) return 'mp4'
+  if (handlers.has('soun')) return 'm4a'
+  const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length)
+  for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+    if (ISO_AUDIO_BRANDS.has(ascii(buffer, offset, offset + 4))) return 'm4a'
+  }
+  return 'isoMedia'
+}
+
+function sniffMpegAudio (buffer) {
+  if (ascii(buffer, 0, 3) === 'ID3') return 'mp3'
+  if (buffer.length < 2 || buffer[0] !== 0xff) return null
+  if ((buffer[1] & 0xf6) === 0xf0) return 'aac'
+  // Frame sync plus a valid layer (MPEG-1/2 layer I-III).
+  if ((buffer[1] & 0xe0) === 0xe0 && ((buffer[1] >> 1) & 0x03) !== 0) return 'mp3'
+  return null
+}
+
+function looksLikeTar (buffer) {
+  return buffer.length >= 262 && ascii(buffer, 257, 262) === 'ustar'
+}
+
+function sniffGzip (buffer) {
+  try {
+    // Sync-flush lets a truncated stream decompress as far as the sample goes.
+    const head = zlib.gunzipSync(buffer, { finishFlush: zlib.constants.Z_SYNC_FLUSH })
+    return looksLikeTar(head) ? 'tarGz' : 'gzip'
+  } catch (error) {
+    return 'gzip'
+  }
+}
+
+// Text is anything the encoding detector can decode: UTF-8, UTF-16/32 or a legacy code page.
+function looksLikeText (buffer) {
+  return buffer.length > 0 && !detectEncoding(buffer).binary
+}
+
+async function sniffZip (filePath) {
+  let zip
+  try {
+    zip = await openZipArchive(filePath)
+  } catch (error) {
+    return 'zip'
+  }
+  try {
+    const names = zip.entries.map(entry => entry.name)
+    if (names.includes('mimetype')) {
+      const mimeType = ((await zip.readText('mimetype', { maxBytes: 1024 })) || '').trim()
+      if (PACKAGE_MIME_TYPES[mimeType]) return PACKAGE_MIME_TYPES[mimeType]
+    }
+    if (!names.includes('[Content_Types].xml')) return 'zip'
+    if (names.some(name => name.startsWith('word/'))) return 'docx'
+    if (names.some(name => name.startsWith('xl/'))) return 'xlsx'
+    if (names.some(name => name.startsWith('ppt/'))) return 'pptx'
+    return 'ooxml'
+  } finally {
+    await zip.close()
+  }
+}
+
+// Only a document that opens with a doctype, <html> or a browser's "saved from" comment counts;
+// HTML fragments inside other text files stay text.
+function looksLikeHtml (buffer) {
+  const head = buffer.toString('utf8', 0, 1024).replace(/^\ufeff/, '').trimStart()
+  return /^(?:<\?xml[^>]*>\s*)?(?:<!--\s*saved from url=[^>]*>\s*)?(?:<!doctype\s+html\b|<html\b)/i.test(head)
+}
+
+function sniffBuffer (buffer) {
+  if (/^\s*%PDF-/.test(ascii(buffer, 0, 1024))) return 'pdf'
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg'
+  if (ascii(buffer, 0, 8) === '\x89PNG\r\n\x1a\n') return 'png'
+  if (ascii(buffer, 0, 4) === 'GIF8') return 'gif'
+  if (ascii(buffer, 0, 4) === 'RIFF') {
+    const form = ascii(buffer, 8, 12)
+    if (form === 'WEBP') return 'webp'
+    if (form === 'AVI ') return 'avi'
+    if (form === 'WAVE') return 'wav'
+  }
+  if (ascii(buffer, 0, 2) === 'BM' && buffer.length >= 18 && BMP_HEADER_SIZES.has(buffer.readUInt32LE(14))) return 'bmp'
+  if (ascii(buffer, 0, 4) === 'II*\0' || ascii(buffer, 0, 4) === 'MM\0*') return 'tiff'
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return ascii(buffer, 0, 64).includes('webm') ? 'webm' : 'mkv'
+  }
+  if (ascii(buffer, 0, 4) === 'fLaC') return 'flac'
+  if (ascii(buffer, 0, 4) === 'OggS') return 'ogg'
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) return sniffGzip(buffer)
+  if (looksLikeTar(buffer)) return 'tar'
+  if (ascii(buffer, 0, 5) === '{\\rtf') return 'rtf'
+  if (looksLikeHtml(buffer)) return 'html'
+  // A UTF-16 byte-order mark (FF FE) would otherwise pass for an MPEG audio frame header.
+  if (detectEncoding(buffer).method === 'bom') return 'text'
+  return sniffIsoMedia(buffer) || sniffMpegAudio(buffer) || (looksLikeText(buffer) ? 'text' : null)
+}
+
+/**
+ * Identify a file from its leading bytes (and, for ZIP packages, its member names). Returns
+ * `{ type, label, extensions, category }` or null when the content is not recognised.
+ */
+async function sniffFileType (filePath) {
+  const handle = await fs.open(filePath, 'r')
+  let buffer
+  try {
+    const { bytesRead, buffer: read } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0)
+    buffer = read.subarray(0, bytesRead)
+  } finally {
+    await handle.close()
+  }
+
+  const type = ascii(buffer, 0, 4) === 'PK\x03\x04' ? await sniffZip(filePath) : sniffBuffer(buffer)
+  if (!type) return null
+
+  const { label, extensions } = FILE_TYPES[type]
+  return { type, label, extensions, category: getFileCategory(`file${extensions[0]}`) }
+}
+
+/**
+ * Decide which extractor a file goes to and which extension it should end up with. The sniffed
+ * type wins when the name has no usable extension or its extension belongs to a different kind of
+ * file; unknown extensions are kept (many formats are PDFs, ZIPs or text underneath) but still
+ * routed by content.
+ */
+async function detectFileType (filePath) {
+  const declaredExtension = getExtension(filePath)
+  const declaredCategory = getFileCategory(filePath)
+  let detected = null
+  try {
+    detected = await sniffFileType(filePath)
+  } catch (error) {
+    detected = null
+  }
+
+  const { extension, corrected } = resolveExtension(declaredExtension, detected)
+  const category = detected && (corrected || declaredCategory === 'binary') ? detected.category : declaredCategory
+
+  return {
+    category,
+    extension,
+    declaredExtension,
+    corrected,
+    detected
+  }
+}
+
+module.exports = {
+  sniffFileType,
+  detectFileType
+}
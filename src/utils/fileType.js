@@ -2,11 +2,28 @@ const path = require('path')
 
 const TEXT_EXTENSIONS = new Set(['.txt', '.md', '.markdown', '.json', '.csv', '.log'])
 const PDF_EXTENSIONS = new Set(['.pdf'])
-const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp', '.tiff', '.svg'])
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp', '.tiff', '.tif', '.heic', '.heif', '.svg'])
 const VIDEO_EXTENSIONS = new Set(['.mp4', '.mov', '.avi', '.mkv', '.webm'])
+const AUDIO_EXTENSIONS = new Set(['.mp3', '.m4a', '.wav', '.flac', '.ogg', '.opus', '.aac'])
+const DOCUMENT_EXTENSIONS = new Set(['.html', '.htm', '.xhtml', '.epub', '.rtf', '.odt', '.ods', '.odp'])
+const EMAIL_EXTENSIONS = new Set(['.eml', '.mbox'])
+const OFFICE_EXTENSIONS = new Set(['.docx', '.docm', '.dotx', '.pptx', '.pptm', '.potx', '.ppsx', '.xlsx', '.xlsm', '.xltx'])
+const ARCHIVE_EXTENSIONS = new Set(['.zip', '.tar', '.tar.gz', '.tgz'])
+// Treated as one extension so renames keep `.tar.gz` intact instead of producing `name.gz`.
+const COMPOUND_EXTENSIONS = ['.tar.gz', '.tar.bz2', '.tar.xz']
 
 function getExtension (filePath) {
-  return path.extname(filePath).toLowerCase()
+  const baseName = path.basename(filePath).toLowerCase()
+  const compound = COMPOUND_EXTENSIONS.find(ext => baseName.endsWith(ext) && baseName.length > ext.length)
+  return compound || path.extname(filePath).toLowerCase()
+}
+
+function getArchiveFormat (filePath) {
+  const ext = getExtension(filePath)
+  if (ext === '.zip') return 'zip'
+  if (ext === '.tar') return 'tar'
+  if (ext === '.tar.gz' || ext === '.tgz') return 'tar.gz'
+  return null
 }
 
 function getFileCategory (filePath) {
@@ -15,14 +32,25 @@ function getFileCategory (filePath) {
   if (PDF_EXTENSIONS.has(ext)) return 'pdf'
   if (IMAGE_EXTENSIONS.has(ext)) return 'image'
   if (VIDEO_EXTENSIONS.has(ext)) return 'video'
+  if (AUDIO_EXTENSIONS.has(ext)) return 'audio'
+  if (OFFICE_EXTENSIONS.has(ext)) return 'office'
+  if (DOCUMENT_EXTENSIONS.has(ext)) return 'document'
+  if (EMAIL_EXTENSIONS.has(ext)) return 'email'
+  if (ARCHIVE_EXTENSIONS.has(ext)) return 'archive'
   return 'binary'
 }
 
 module.exports = {
   getExtension,
   getFileCategory,
+  getArchiveFormat,
   TEXT_EXTENSIONS,
   PDF_EXTENSIONS,
   IMAGE_EXTENSIONS,
-  VIDEO_EXTENSIONS
+  VIDEO_EXTENSIONS,
+  AUDIO_EXTENSIONS,
+  OFFICE_EXTENSIONS,
+  DOCUMENT_EXTENSIONS,
+  EMAIL_EXTENSIONS,
+  ARCHIVE_EXTENSIONS
 }
@@ -0,0 +1,437 @@
+const { findElements, getAttribute, decodeXmlEntities, stripTags } = require('./xml')
+
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8 }
+
+const IFD0_TAGS = {
+  0x0100: 'imageWidth',
+  0x0101: 'imageHeight',
+  0x010e: 'description',
+  0x010f: 'cameraMake',
+  0x0110: 'cameraModel',
+  0x0112: 'orientation',
+  0x0131: 'software',
+  0x0132: 'modifyDate',
+  0x013b: 'artist',
+  0x8298: 'copyright'
+}
+
+const EXIF_TAGS = {
+  0x829a: 'exposureTime',
+  0x829d: 'fNumber',
+  0x8827: 'iso',
+  0x9003: 'dateTimeOriginal',
+  0x9004: 'dateTimeDigitized',
+  0x9010: 'offsetTime',
+  0x9011: 'offsetTimeOriginal',
+  0x9012: 'offsetTimeDigitized',
+  0x920a: 'focalLength',
+  0xa002: 'pixelWidth',
+  0xa003: 'pixelHeight',
+  0xa434: 'lensModel'
+}
+
+const GPS_TAGS = {
+  0x0001: 'latitudeRef',
+  0x0002: 'latitude',
+  0x0003: 'longitudeRef',
+  0x0004: 'longitude',
+  0x0005: 'altitudeRef',
+  0x0006: 'altitude',
+  0x0007: 'timeStamp',
+  0x001d: 'dateStamp'
+}
+
+const ORIENTATIONS = {
+  1: 'normal',
+  2: 'mirrored horizontally',
+  3: 'rotated 180°',
+  4: 'mirrored vertically',
+  5: 'mirrored and rotated 90° counter-clockwise',
+  6: 'rotated 90° clockwise',
+  7: 'mirrored and rotated 90° clockwise',
+  8: 'rotated 90° counter-clockwise'
+}
+
+const IPTC_DATASETS = {
+  5: 'title',
+  25: 'keywords',
+  55: 'dateCreated',
+  60: 'timeCreated',
+  80: 'creator',
+  90: 'city',
+  101: 'country',
+  105: 'headline',
+  116: 'copyright',
+  120: 'caption'
+}
+
+function decodeText (buffer) {
+  const text = buffer.toString('utf8')
+  // IIM and older EXIF writers often use Latin-1; fall back when the bytes are not valid UTF-8.
+  return (text.includes('\ufffd') ? buffer.toString('latin1') : text).replace(/\0+$/, '').trim()
+}
+
+function readTiff (buffer, start = 0) {
+  if (buffer.length < start + 8) return null
+  const order = buffer.toString('latin1', start, start + 2)
+  if (order !== 'II' && order !== 'MM') return null
+  const little = order === 'II'
+  const u16 = offset => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset))
+  const u32 = offset => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset))
+  const s32 = offset => (little ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset))
+  if (u16(start + 2) !== 42) return null
+
+  function readValue (type, count, valueOffset) {
+    const size = (TIFF_TYPE_SIZES[type] || 1) * count
+    const dataOffset = size <= 4 ? valueOffset : start + u32(valueOffset)
+    if (dataOffset < 0 || dataOffset + size > buffer.length) return null
+
+    if (type === 2) return decodeText(buffer.subarray(dataOffset, dataOffset + count))
+    if (type === 1 || type === 7) return buffer.subarray(dataOffset, dataOffset + count)
+
+    const values = []
+    for (let index = 0; index < Math.min(count, 64); index += 1) {
+      if (type === 3) values.push(u16(dataOffset + index * 2))
+      else if (type === 4) values.push(u32(dataOffset + index * 4))
+      else if (type === 9) values.push(s32(dataOffset + index * 4))
+      else if (type === 5 || type === 10) {
+        const read = type === 5 ? u32 : s32
+        const denominator = read(dataOffset + index * 8 + 4)
+        values.push(denominator ? read(dataOffset + index * 8) / denominator : 0)
+      }
+    }
+    return count === 1 ? values[0] : values
+  }
+
+  function readIfd (ifdOffset, tags) {
+    const result = {}
+    const pointers = {}
+    const absolute = start + ifdOffset
+    if (!ifdOffset || absolute + 2 > buffer.length) return { result, pointers }
+    const count = u16(absolute)
+    for (let index = 0; index < count; index += 1) {
+      const entry = absolute + 2 + index * 12
+      if (entry + 12 > buffer.length) break
+      const tag = u16(entry)
+      const type = u16(entry + 2)
+      const valueCount = u32(entry + 4)
+      if (tag === 0x8769 || tag === 0x8825) {
+        pointers[tag] = u32(entry + 8)
+      } else if (tag === 0x02bc || tag === 0x83bb) {
+        // Embedded XMP packet and IPTC block, as TIFF stores them.
+        pointers[tag] = readValue(7, valueCount * (TIFF_TYPE_SIZES[type] || 1), entry + 8)
+      } else if (tags[tag]) {
+        const value = readValue(type, valueCount, entry + 8)
+        if (value !== null && value !== undefined && value !== '') {
+          result[tags[tag]] = value
+        }
+      }
+    }
+    return { result, pointers }
+  }
+
+  const ifd0 = readIfd(u32(start + 4), IFD0_TAGS)
+  const exif = ifd0.pointers[0x8769] ? readIfd(ifd0.pointers[0x8769], EXIF_TAGS).result : {}
+  const gps = ifd0.pointers[0x8825] ? readIfd(ifd0.pointers[0x8825], GPS_TAGS).result : {}
+
+  return {
+    tiff: ifd0.result,
+    exif,
+    gps,
+    xmp: Buffer.isBuffer(ifd0.pointers[0x02bc]) ? ifd0.pointers[0x02bc].toString('utf8') : null,
+    iptc: Buffer.isBuffer(ifd0.pointers[0x83bb]) ? ifd0.pointers[0x83bb] : null
+  }
+}
+
+function readIptc (buffer) {
+  const result = {}
+  for (let offset = 0; offset + 5 <= buffer.length;) {
+    if (buffer[offset] !== 0x1c) {
+      offset += 1
+      continue
+    }
+    const record = buffer[offset + 1]
+    const dataset = buffer[offset + 2]
+    const length = buffer.readUInt16BE(offset + 3)
+    const value = buffer.subarray(offset + 5, offset + 5 + length)
+    offset += 5 + length
+    const key = record === 2 ? IPTC_DATASETS[dataset] : null
+    if (!key) continue
+    const text = decodeText(value)
+    if (!text) continue
+    if (key === 'keywords') {
+      result.keywords = [...(result.keywords || []), text]
+    } else if (!result[key]) {
+      result[key] = text
+    }
+  }
+  return result
+}
+
+// Photoshop image resources (JPEG APP13) wrap the IPTC block as resource 0x0404.
+function readPhotoshopResources (buffer) {
+  let offset = 0
+  while (offset + 12 <= buffer.length && buffer.toString('latin1', offset, offset + 4) === '8BIM') {
+    const id = buffer.readUInt16BE(offset + 4)
+    const nameLength = buffer[offset + 6]
+    const namePadded = nameLength + 1 + ((nameLength + 1) % 2)
+    const sizeOffset = offset + 6 + namePadded
+    if (sizeOffset + 4 > buffer.length) break
+    const size = buffer.readUInt32BE(sizeOffset)
+    const dataStart = sizeOffset + 4
+    if (id === 0x0404) {
+      return buffer.subarray(dataStart, Math.min(buffer.length, dataStart + size))
+    }
+    offset = dataStart + size + (size % 2)
+  }
+  return null
+}
+
+function xmpValue (xmp, name) {
+  const attribute = getAttribute(xmp, name)
+  if (attribute) return attribute.trim()
+  const [element] = findElements(xmp, name)
+  if (!element) return null
+  const items = findElements(element.inner, 'rdf:li').map(item => decodeXmlEntities(stripTags(item.inner)).trim()).filter(Boolean)
+  if (items.length) return items.length === 1 ? items[0] : items
+  return decodeXmlEntities(stripTags(element.inner)).trim() || null
+}
+
+function readXmp (xmp) {
+  const asList = value => (Array.isArray(value) ? value : value ? [value] : undefined)
+  const asText = value => (Array.isArray(value) ? value.join(', ') : value || undefined)
+  return {
+    title: asText(xmpValue(xmp, 'dc:title')),
+    description: asText(xmpValue(xmp, 'dc:description')),
+    keywords: asList(xmpValue(xmp, 'dc:subject')),
+    creator: asText(xmpValue(xmp, 'dc:creator')),
+    copyright: asText(xmpValue(xmp, 'dc:rights')),
+    dateTimeOriginal: asText(xmpValue(xmp, 'exif:DateTimeOriginal')) || asText(xmpValue(xmp, 'photoshop:DateCreated')),
+    createDate: asText(xmpValue(xmp, 'xmp:CreateDate')),
+    city: asText(xmpValue(xmp, 'photoshop:City')),
+    country: asText(xmpValue(xmp, 'photoshop:Country')),
+    location: asText(xmpValue(xmp, 'Iptc4xmpCore:Location')),
+    rating: asText(xmpValue(xmp, 'xmp:Rating')),
+    creatorTool: asText(xmpValue(xmp, 'xmp:CreatorTool'))
+  }
+}
+
+function scanJpeg (buffer, found) {
+  let offset = 2
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1]
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2
+      continue
+    }
+    if (marker === 0xd9 || marker === 0xda) break
+    const length = buffer.readUInt16BE(offset + 2)
+    const segment = buffer.subarray(offset + 4, offset + 2 + length)
+
+    if (marker === 0xe1 && segment.toString('latin1', 0, 6) === 'Exif\0\0') {
+      found.tiff = readTiff(segment, 6)
+    } else if (marker === 0xe1 && segment.toString('latin1', 0, 29) === 'http://ns.adobe.com/xap/1.0/\0') {
+      found.xmp = segment.toString('utf8', 29)
+    } else if (marker === 0xed && segment.toString('latin1', 0, 14) === 'Photoshop 3.0\0') {
+      found.iptc = readPhotoshopResources(segment.subarray(14))
+    } else if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc && segment.length >= 5) {
+      found.height = segment.readUInt16BE(1)
+      found.width = segment.readUInt16BE(3)
+    }
+    offset += 2 + length
+  }
+}
+
+function scanPng (buffer, found) {
+  let offset = 8
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset)
+    const type = buffer.toString('latin1', offset + 4, offset + 8)
+    const data = buffer.subarray(offset + 8, offset + 8 + length)
+    if (type === 'IHDR' && data.length >= 8) {
+      found.width = data.readUInt32BE(0)
+      found.height = data.readUInt32BE(4)
+    } else if (type === 'eXIf') {
+      found.tiff = readTiff(data, 0)
+    } else if (type === 'iTXt' || type === 'tEXt') {
+      const separator = data.indexOf(0)
+      const keyword = data.toString('latin1', 0, separator)
+      let text
+      if (type === 'tEXt') {
+        text = data.toString('latin1', separator + 1)
+      } else if (data[separator + 1] === 0) {
+        // iTXt: compression flag, method, language tag and translated keyword precede the text.
+        const languageEnd = data.indexOf(0, separator + 3)
+        const translatedEnd = data.indexOf(0, languageEnd + 1)
+        text = data.toString('utf8', translatedEnd + 1)
+      }
+      if (text && keyword === 'XML:com.adobe.xmp') {
+        found.xmp = text
+      } else if (text) {
+        found.pngText = { ...found.pngText, [keyword]: text.trim() }
+      }
+    } else if (type === 'IEND') {
+      break
+    }
+    offset += 12 + length
+  }
+}
+
+function scanWebp (buffer, found) {
+  let offset = 12
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('latin1', offset, offset + 4)
+    const size = buffer.readUInt32LE(offset + 4)
+    const data = buffer.subarray(offset + 8, offset + 8 + size)
+    if (type === 'VP8X' && data.length >= 10) {
+      found.width = 1 + data.readUIntLE(4, 3)
+      found.height = 1 + data.readUIntLE(7, 3)
+    } else if (type === 'VP8 ' && data.length >= 10 && !found.width) {
+      found.width = data.readUInt16LE(6) & 0x3fff
+      found.height = data.readUInt16LE(8) & 0x3fff
+    } else if (type === 'VP8L' && data.length >= 5 && !found.width) {
+      const bits = data.readUInt32LE(1)
+      found.width = (bits & 0x3fff) + 1
+      found.height = ((bits >> 14) & 0x3fff) + 1
+    } else if (type === 'EXIF') {
+      found.tiff = readTiff(data, data.toString('latin1', 0, 6) === 'Exif\0\0' ? 6 : 0)
+    } else if (type === 'XMP ') {
+      found.xmp = data.toString('utf8')
+    }
+    offset += 8 + size + (size % 2)
+  }
+}
+
+function detectFormat (buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8) return 'jpeg'
+  if (buffer.length >= 8 && buffer.toString('latin1', 1, 4) === 'PNG') return 'png'
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp'
+  if (buffer.length >= 10 && buffer.toString('latin1', 0, 4) === 'GIF8') return 'gif'
+  if (buffer.length >= 26 && buffer.toString('latin1', 0, 2) === 'BM') return 'bmp'
+  const order = buffer.toString('latin1', 0, 2)
+  if (order === 'II' || order === 'MM') return 'tiff'
+  return null
+}
+
+// EXIF writes "YYYY:MM:DD HH:MM:SS" in camera-local time; keep it local unless an offset was recorded.
+function exifDateToIso (value, offset) {
+  if (typeof value !== 'string') return null
+  const match = value.trim().match(/^(\d{4})[:-](\d{2})[:-](\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:\d{2})?)?/)
+  if (!match || match[1] === '0000') return null
+  const [, year, month, day, hour, minute, second, inlineZone] = match
+  const time = hour ? `T${hour}:${minute}:${second || '00'}` : ''
+  const recordedOffset = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset.trim()) ? offset.trim() : ''
+  const zone = time ? inlineZone || recordedOffset : ''
+  return `${year}-${month}-${day}${time}${zone}`
+}
+
+function iptcDateToIso (date, time) {
+  const match = typeof date === 'string' ? date.match(/^(\d{4})(\d{2})(\d{2})$/) : null
+  if (!match) return null
+  const timeMatch = typeof time === 'string' ? time.match(/^(\d{2})(\d{2})(\d{2})([+-]\d{2})(\d{2})?/) : null
+  const timePart = timeMatch ? `T${timeMatch[1]}:${timeMatch[2]}:${timeMatch[3]}${timeMatch[4]}:${timeMatch[5] || '00'}` : ''
+  return `${match[1]}-${match[2]}-${match[3]}${timePart}`
+}
+
+function gpsCoordinate (values, ref) {
+  if (!Array.isArray(values) || values.length < 3) return null
+  const decimal = values[0] + values[1] / 60 + values[2] / 3600
+  const signed = ref === 'S' || ref === 'W' ? -decimal : decimal
+  return Math.round(signed * 1e6) / 1e6
+}
+
+function formatExposure (seconds) {
+  if (!Number.isFinite(seconds) || seconds <= 0) return null
+  return seconds >= 1 ? `${seconds} s` : `1/${Math.round(1 / seconds)} s`
+}
+
+/**
+ * Read EXIF, XMP and IPTC metadata from a JPEG, PNG, TIFF or WebP buffer without external tools
+ * (GIF and BMP report only their dimensions).
+ * Returns a flat object for `content.metadata.image` (empty fields omitted), or null when the
+ * format is not recognised.
+ */
+function readImageMetadata (buffer) {
+  const format = detectFormat(buffer)
+  if (!format) return null
+
+  const found = {}
+  try {
+    if (format === 'jpeg') scanJpeg(buffer, found)
+    else if (format === 'png') scanPng(buffer, found)
+    else if (format === 'webp') scanWebp(buffer, found)
+    else if (format === 'tiff') found.tiff = readTiff(buffer, 0)
+    else if (format === 'gif') {
+      found.width = buffer.readUInt16LE(6)
+      found.height = buffer.readUInt16LE(8)
+    } else {
+      found.width = buffer.readInt32LE(18)
+      found.height = Math.abs(buffer.readInt32LE(22))
+    }
+  } catch (error) {
+    // Truncated or malformed segments: keep whatever was parsed before the damage.
+  }
+
+  const tiff = found.tiff || { tiff: {}, exif: {}, gps: {} }
+  const ifd0 = tiff.tiff
+  const exif = tiff.exif
+  const gps = tiff.gps
+  const xmp = readXmp(found.xmp || tiff.xmp || '')
+  const iptcBuffer = found.iptc || tiff.iptc
+  const iptc = iptcBuffer ? readIptc(iptcBuffer) : {}
+  const pngText = found.pngText || {}
+
+  const keywords = [...new Set([...(iptc.keywords || []), ...(xmp.keywords || [])])]
+  const latitude = gpsCoordinate(gps.latitude, gps.latitudeRef)
+  const longitude = gpsCoordinate(gps.longitude, gps.longitudeRef)
+
+  const metadata = {
+    format,
+    width: exif.pixelWidth || found.width || ifd0.imageWidth,
+    height: exif.pixelHeight || found.height || ifd0.imageHeight,
+    orientation: ORIENTATIONS[ifd0.orientation],
+    captureDate: exifDateToIso(exif.dateTimeOriginal, exif.offsetTimeOriginal) ||
+      exifDateToIso(xmp.dateTimeOriginal) ||
+      iptcDateToIso(iptc.dateCreated, iptc.timeCreated) ||
+      exifDateToIso(pngText['Creation Time']),
+    digitizedDate: exifDateToIso(exif.dateTimeDigitized, exif.offsetTimeDigitized) || exifDateToIso(xmp.createDate),
+    modifyDate: exifDateToIso(ifd0.modifyDate, exif.offsetTime),
+    cameraMake: ifd0.cameraMake,
+    cameraModel: ifd0.cameraModel,
+    lens: exif.lensModel,
+    exposure: formatExposure(exif.exposureTime),
+    fNumber: Number.isFinite(exif.fNumber) && exif.fNumber > 0 ? `f/${Math.round(exif.fNumber * 10) / 10}` : undefined,
+    iso: Array.isArray(exif.iso) ? exif.iso[0] : exif.iso,
+    focalLength: Number.isFinite(exif.focalLength) && exif.focalLength > 0 ? `${Math.round(exif.focalLength)} mm` : undefined,
+    software: ifd0.software || xmp.creatorTool || pngText.Software,
+    title: iptc.title || iptc.headline || xmp.title || pngText.Title,
+    description: iptc.caption || xmp.description || ifd0.description || pngText.Description || pngText.Comment,
+    keywords: keywords.length ? keywords.slice(0, 30) : undefined,
+    creator: iptc.creator || xmp.creator || ifd0.artist || pngText.Author,
+    copyright: iptc.copyright || xmp.copyright || ifd0.copyright || pngText.Copyright,
+    city: iptc.city || xmp.city,
+    country: iptc.country || xmp.country,
+    location: xmp.location,
+    rating: xmp.rating,
+    gps: latitude !== null && longitude !== null
+      ? {
+          latitude,
+          longitude,
+          altitude: Number.isFinite(gps.altitude) ? Math.round((gps.altitudeRef && gps.altitudeRef[0] === 1 ? -gps.altitude : gps.altitude) * 10) / 10 : undefined
+        }
+      : undefined
+  }
+
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value === undefined || value === null || value === '') {
+      delete metadata[key]
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.keys(value).forEach(inner => value[inner] === undefined && delete value[inner])
+    }
+  }
+  return metadata
+}
+
+module.exports = {
+  readImageMetadata
+}
@@ -0,0 +1,243 @@
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const { promisify } = require('util')
+const { execFile } = require('child_process')
+const { readImageMetadata } = require('./imageMetadata')
+
+const execFileAsync = promisify(execFile)
+
+// Formats every supported provider accepts as an inline image; anything else is converted first.
+const SUPPORTED_MEDIA_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp'])
+// Sources that are usually screenshots or graphics keep their sharp edges as PNG.
+const LOSSLESS_MEDIA_TYPES = new Set(['image/png', 'image/gif', 'image/bmp', 'image/svg+xml'])
+const FILE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/bmp': '.bmp',
+  'image/tiff': '.tiff',
+  'image/heic': '.heic',
+  'image/heif': '.heif',
+  'image/svg+xml': '.svg'
+}
+const DEFAULT_IMAGE_MAX_DIMENSION = 1600
+const DEFAULT_IMAGE_BUDGET_MB = 10
+const DEFAULT_QUALITY = 85
+const MIN_QUALITY = 45
+const MAX_ATTEMPTS = 4
+// A converter that hangs on a malformed image gives up after this long, and the next one is tried.
+const TRANSCODE_TIMEOUT_MS = 60 * 1000
+const TRANSCODE_MAX_BUFFER = 16 * 1024 * 1024
+
+const unavailableTools = new Set()
+let transcoderWarningIssued = false
+
+function magickArgs (input, output, { dimension, quality }) {
+  // `[0]` picks the first frame/page of animated GIFs and multi-page TIFFs.
+  return [`${input}[0]`, '-auto-orient', '-resize', `${dimension}x${dimension}>`, '-strip', '-quality', String(quality), output]
+}
+
+function ffmpegArgs (input, output, { dimension, quality }) {
+  const qscale = Math.round(2 + (100 - quality) / 100 * 29)
+  return [
+    '-v', 'error', '-y', '-i', input,
+    '-vf', `scale='min(iw,${dimension})':'min(ih,${dimension})':force_original_aspect_ratio=decrease`,
+    '-frames:v', '1', '-q:v', String(qscale), output
+  ]
+}
+
+const TRANSCODERS = [
+  { command: 'magick', args: magickArgs },
+  { command: 'ffmpeg', args: ffmpegArgs }
+]
+
+function encodedLength (bytes) {
+  return Math.ceil(bytes / 3) * 4
+}
+
+function describe (buffer, mediaType) {
+  const info = readImageMetadata(buffer) || {}
+  return {
+    mediaType,
+    width: info.width || null,
+    height: info.height || null,
+    bytes: buffer.length
+  }
+}
+
+/**
+ * Re-encode an image buffer with ImageMagick, falling back to ffmpeg. Tools that are not installed
+ * are remembered so later attachments do not spawn them again.
+ */
+async function transcode (buffer, { fromType, toType, dimension, quality }) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ji-renamer-image-'))
+  const input = path.join(tempDir, `input${FILE_EXTENSIONS[fromType] || '.img'}`)
+  const output = path.join(tempDir, `output${FILE_EXTENSIONS[toType]}`)
+  let lastError = null
+
+  try {
+    await fs.writeFile(input, buffer)
+    for (const transcoder of TRANSCODERS) {
+      if (unavailableTools.has(transcoder.command)) continue
+      try {
+        await execFileAsync(transcoder.command, transcoder.args(input, output, { dimension, quality }), {
+          timeout: TRANSCODE_TIMEOUT_MS,
+          killSignal: 'SIGKILL',
+          maxBuffer: TRANSCODE_MAX_BUFFER
+        })
+        return await fs.readFile(output)
+      } catch (error) {
+        if (error.code === 'ENOENT' && error.path === transcoder.command) {
+          unavailableTools.add(transcoder.command)
+        } else if (error.killed) {
+          lastError = new Error(`${transcoder.command} timed out after ${TRANSCODE_TIMEOUT_MS / 1000}s`)
+        } else {
+          lastError = error
+        }
+      }
+    }
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {})
+  }
+
+  const error = lastError
+    ? new Error(`could not re-encode image: ${lastError.message.split('\n')[0]}`)
+    : new Error('no image converter available (install ImageMagick or ffmpeg)')
+  error.code = lastError ? 'TRANSCODE_FAILED' : 'NO_TRANSCODER'
+  throw error
+}
+
+/**
+ * Bring one attachment within the provider-safe format, dimension and byte limits. Returns the
+ * (possibly unchanged) image, or null when it had to be dropped, plus a change record for the log.
+ */
+async function prepareImage (image, { label, maxDimension, maxBytes }) {
+  const buffer = Buffer.from(image.base64, 'base64')
+  const from = describe(buffer, image.mediaType || 'image/png')
+  const longestSide = Math.max(from.width || 0, from.height || 0)
+  const supported = SUPPORTED_MEDIA_TYPES.has(from.mediaType)
+  const oversized = maxDimension > 0 && longestSide > maxDimension
+  const overBudget = maxBytes > 0 && encodedLength(from.bytes) > maxBytes
+
+  if (supported && !oversized && !overBudget) {
+    return { image, change: null }
+  }
+
+  const action = !supported ? 'converted' : oversized ? 'resized' : 'recompressed'
+  let dimension = oversized || !longestSide ? (maxDimension || DEFAULT_IMAGE_MAX_DIMENSION) : longestSide
+  let toType = LOSSLESS_MEDIA_TYPES.has(from.mediaType) ? 'image/png' : 'image/jpeg'
+  let quality = DEFAULT_QUALITY
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    let output
+    try {
+      output = await transcode(buffer, { fromType: from.mediaType, toType, dimension, quality })
+    } catch (error) {
+      // Without a converter an oversized but otherwise acceptable image is still better than none.
+      if (error.code === 'NO_TRANSCODER' && supported && !overBudget) {
+        return { image, change: null, error }
+      }
+      return { image: null, change: { label, action: 'dropped', from, to: null, reason: error.message }, error }
+    }
+
+    if (!(maxBytes > 0) || encodedLength(output.length) <= maxBytes) {
+      const to = describe(output, toType)
+      return {
+        image: { ...image, base64: output.toString('base64'), mediaType: toType },
+        change: { label, action, from, to, reason: null }
+      }
+    }
+
+    // Still too large for its share of the budget: shrink, lower quality, and settle on JPEG.
+    dimension = Math.max(64, Math.round(dimension * 0.75))
+    quality = Math.max(MIN_QUALITY, quality - 10)
+    toType = 'image/jpeg'
+  }
+
+  return {
+    image: null,
+    change: { label, action: 'dropped', from, to: null, reason: `still over its ${Math.round(maxBytes / 1024)} KB share of the image budget after ${MAX_ATTEMPTS} attempts` }
+  }
+}
+
+function resolveLimits (options = {}) {
+  const maxDimension = Number(options.imageMaxDimension ?? DEFAULT_IMAGE_MAX_DIMENSION)
+  const budgetMb = Number(options.imageBudgetMb ?? DEFAULT_IMAGE_BUDGET_MB)
+  return {
+    maxDimension: Number.isFinite(maxDimension) && maxDimension > 0 ? Math.round(maxDimension) : 0,
+    maxBytes: Number.isFinite(budgetMb) && budgetMb > 0 ? Math.floor(budgetMb * 1024 * 1024) : 0
+  }
+}
+
+/**
+ * Downscale, convert and re-encode every image attached to a prompt (vision pages, image files and
+ * video frames) so they fit `--image-max-dimension` and share the `--image-budget-mb` budget.
+ * Returns a new content object and the list of changes made.
+ */
+async function prepareContentAttachments (content, options = {}, logger) {
+  const { maxDimension, maxBytes } = resolveLimits(options)
+  const images = Array.isArray(content.images) ? content.images : []
+  const frames = Array.isArray(content.frames) ? content.frames : []
+  const attachments = [
+    ...images.map((image, index) => ({
+      image,
+      label: Number.isFinite(image.pageNumber) ? `page ${image.pageNumber}` : images.length > 1 ? `${content.fileName} #${index + 1}` : content.fileName
+    })),
+    ...frames.map((frame, index) => ({
+      image: typeof frame === 'string' ? { base64: frame, mediaType: 'image/jpeg' } : frame,
+      label: `frame ${index + 1}`,
+      frame: true
+    }))
+  ]
+  if (content.image && !images.includes(content.image)) {
+    attachments.push({ image: content.image, label: content.fileName, single: true })
+  }
+  if (!attachments.length) {
+    return { content, changes: [] }
+  }
+
+  const changes = []
+  const prepared = []
+  let remaining = maxBytes
+  for (const [index, attachment] of attachments.entries()) {
+    // Each attachment may use an even share of what earlier ones left over.
+    const share = maxBytes ? Math.floor(remaining / (attachments.length - index)) : 0
+    const result = await prepareImage(attachment.image, { label: attachment.label, maxDimension, maxBytes: share })
+    if (result.error?.code === 'NO_TRANSCODER' && !transcoderWarningIssued && logger) {
+      logger.warn('Neither ImageMagick (magick) nor ffmpeg was found, so oversized or unsupported images cannot be converted and will be left out of prompts.')
+      transcoderWarningIssued = true
+    }
+    if (result.change) {
+      changes.push(result.change)
+    }
+    if (result.image && maxBytes) {
+      remaining -= result.image.base64.length
+    }
+    prepared.push({ ...attachment, image: result.image })
+  }
+
+  const next = { ...content }
+  if (images.length) {
+    next.images = prepared.filter(item => !item.frame && !item.single && item.image).map(item => item.image)
+    if (content.image && images.includes(content.image)) {
+      next.image = prepared[images.indexOf(content.image)].image
+    }
+  }
+  if (frames.length) {
+    next.frames = prepared.filter(item => item.frame && item.image)
+      .map(item => typeof frames[0] === 'string' ? item.image.base64 : item.image)
+  }
+  const single = prepared.find(item => item.single)
+  if (single) {
+    next.image = single.image
+  }
+  return { content: next, changes }
+}
+
+module.exports = {
+  DEFAULT_IMAGE_MAX_DIMENSION,
+  DEFAULT_IMAGE_BUDGET_MB,
+  prepareContentAttachments
+}
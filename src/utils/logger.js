@@ -32,13 +32,17 @@ function buildLogger (options) {
 
   const getLevel = () => levels[threshold] || 'info'
 
+  const write = typeof safeOptions.write === 'function'
+    ? safeOptions.write
+    // eslint-disable-next-line no-console
+    : (method, ...args) => console[method](...args)
+
   const log = (level, message, ...rest) => {
     const levelIndex = levels.indexOf(level)
     if (levelIndex === -1 || levelIndex < threshold) return
     const styledLevel = levelStyles[level] ? colorize(level.toUpperCase(), levelStyles[level]) : level.toUpperCase()
     const prefix = `[${new Date().toISOString()}] ${styledLevel}:`
-    // eslint-disable-next-line no-console
-    console[level === 'debug' ? 'log' : level](prefix, message, ...rest)
+    write(level === 'debug' ? 'log' : level, prefix, message, ...rest)
   }
 
   const formatStepMessage = (symbol, label, detail) => {
@@ -76,6 +80,28 @@ function buildLogger (options) {
     }
   }
 
+  // Returns a logger that holds its output until release() so concurrent work can be printed as one block.
+  const buffered = () => {
+    const pending = []
+    let released = false
+    const child = buildLogger({
+      level: getLevel(),
+      levelStyles,
+      write: (...args) => {
+        if (released) {
+          write(...args)
+        } else {
+          pending.push(args)
+        }
+      }
+    })
+    child.release = () => {
+      released = true
+      pending.splice(0).forEach(args => write(...args))
+    }
+    return child
+  }
+
   return {
     debug: (message, ...rest) => log('debug', message, ...rest),
     info: (message, ...rest) => log('info', message, ...rest),
@@ -83,7 +109,8 @@ function buildLogger (options) {
     error: (message, ...rest) => log('error', message, ...rest),
     time,
     setLevel,
-    getLevel
+    getLevel,
+    buffered
   }
 }
 
@@ -0,0 +1,225 @@
+const SCHEMA_NAME = 'filename_suggestion'
+
+const FIELD_ALIASES = {
+  filename: ['fileName', 'file_name', 'name', 'title'],
+  subject: ['topic'],
+  subject_confidence: ['subjectConfidence', 'confidence'],
+  subject_brief: ['subjectBrief'],
+  document_description: ['documentDescription', 'description'],
+  summary: ['reason', 'rationale'],
+  applied_date: ['appliedDate', 'date']
+}
+
+const NULL_LIKE_STRINGS = new Set(['', 'null', 'none', 'n/a', 'na', 'unknown', 'undefined'])
+
+// Every property is required (with null allowed where the prompt allows it) because OpenAI's strict
+// json_schema mode rejects optional properties.
+function buildModelResponseSchema ({ includeAppliedDate = false } = {}) {
+  const properties = {
+    filename: { type: 'string' },
+    subject: { type: ['string', 'null'] },
+    subject_confidence: { type: 'number' },
+    subject_brief: { type: ['string', 'null'] },
+    document_description: { type: ['string', 'null'] },
+    summary: { type: 'string' }
+  }
+
+  if (includeAppliedDate) {
+    properties.applied_date = {
+      type: ['object', 'null'],
+      properties: {
+        value: { type: ['string', 'null'] },
+        source: { type: ['string', 'null'] },
+        rationale: { type: ['string', 'null'] }
+      },
+      required: ['value', 'source', 'rationale'],
+      additionalProperties: false
+    }
+  }
+
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  }
+}
+
+function typeOf (value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+function allowedTypes (propertySchema) {
+  if (!propertySchema || !propertySchema.type) return []
+  return Array.isArray(propertySchema.type) ? propertySchema.type : [propertySchema.type]
+}
+
+function validateModelResponse (value, schema, pathLabel = 'response') {
+  const issues = []
+  const expected = allowedTypes(schema)
+  const actual = typeOf(value)
+
+  if (expected.length && !expected.includes(actual)) {
+    issues.push(`${pathLabel} should be ${expected.join(' or ')} but was ${actual}`)
+    return issues
+  }
+
+  if (actual === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        issues.push(`${pathLabel}.${key} is missing`)
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (Object.prototype.hasOwnProperty.call(value, key)) {
+        issues.push(...validateModelResponse(value[key], propertySchema, `${pathLabel}.${key}`))
+      }
+    }
+  }
+
+  return issues
+}
+
+function coerceString (value, nullable) {
+  if (typeof value === 'string') {
+    const trimmed = value.trim()
+    if (nullable && NULL_LIKE_STRINGS.has(trimmed.toLowerCase())) {
+      return null
+    }
+    return trimmed
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value)
+  }
+  if (Array.isArray(value)) {
+    const parts = value.filter(item => typeof item === 'string' || typeof item === 'number').map(String)
+    if (parts.length) {
+      return parts.join(' ').trim()
+    }
+  }
+  return nullable ? null : ''
+}
+
+function coerceConfidence (value) {
+  let numeric = value
+  if (typeof value === 'string') {
+    const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*(%)?$/)
+    if (!match) return null
+    numeric = Number(match[1]) / (match[2] ? 100 : 1)
+  }
+  if (typeof numeric !== 'number' || !Number.isFinite(numeric)) {
+    return null
+  }
+  // Models regularly answer on a 0-100 scale despite being asked for 0-1.
+  if (numeric > 1 && numeric <= 100) {
+    numeric = numeric / 100
+  }
+  return Math.min(1, Math.max(0, numeric))
+}
+
+function coerceAppliedDate (value) {
+  if (value === null || value === undefined) return null
+  if (typeof value === 'string') {
+    const trimmed = value.trim()
+    return NULL_LIKE_STRINGS.has(trimmed.toLowerCase()) ? null : { value: trimmed, source: null, rationale: null }
+  }
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    return {
+      value: coerceString(value.value ?? null, true),
+      source: coerceString(value.source ?? null, true),
+      rationale: coerceString(value.rationale ?? null, true)
+    }
+  }
+  return null
+}
+
+function unwrapResponse (value, repairs) {
+  let current = value
+  if (Array.isArray(current)) {
+    const firstObject = current.find(item => item && typeof item === 'object' && !Array.isArray(item))
+    if (firstObject) {
+      repairs.push('used the first object from an array reply')
+      current = firstObject
+    }
+  }
+
+  if (current && typeof current === 'object' && !Array.isArray(current) && !('filename' in current)) {
+    const keys = Object.keys(current)
+    const nested = keys.length === 1 ? current[keys[0]] : null
+    if (nested && typeof nested === 'object' && !Array.isArray(nested)) {
+      repairs.push(`unwrapped the reply from its "${keys[0]}" wrapper`)
+      current = nested
+    }
+  }
+
+  return current
+}
+
+/**
+ * Bring a parsed model reply in line with the response schema instead of rejecting it outright.
+ * Returns the repaired value along with a description of every change and any issues that remain.
+ */
+function repairModelResponse (rawValue, schema = buildModelResponseSchema()) {
+  const repairs = []
+  const value = unwrapResponse(rawValue, repairs)
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { value, repairs, issues: validateModelResponse(value, schema) }
+  }
+
+  const repaired = { ...value }
+
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    if (!schema.properties[field] || (repaired[field] !== undefined && repaired[field] !== null)) continue
+    const alias = aliases.find(candidate => repaired[candidate] !== undefined && repaired[candidate] !== null)
+    if (alias) {
+      repaired[field] = repaired[alias]
+      repairs.push(`read ${field} from "${alias}"`)
+    }
+  }
+
+  for (const [field, propertySchema] of Object.entries(schema.properties)) {
+    const types = allowedTypes(propertySchema)
+    const nullable = types.includes('null')
+    const before = repaired[field]
+    let after
+
+    if (field === 'subject_confidence') {
+      after = coerceConfidence(before)
+    } else if (field === 'applied_date') {
+      after = coerceAppliedDate(before)
+    } else if (types.includes('string')) {
+      after = coerceString(before ?? null, nullable)
+    } else {
+      continue
+    }
+
+    if (before === undefined) {
+      if (after !== null && after !== '') {
+        repairs.push(`filled missing ${field}`)
+      }
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+      repairs.push(`coerced ${field} to ${typeOf(after)}`)
+    }
+    repaired[field] = after
+  }
+
+  if (!repaired.filename) {
+    const fallback = repaired.document_description || repaired.subject_brief || repaired.summary
+    if (fallback) {
+      repaired.filename = fallback
+      repairs.push('derived filename from the other fields')
+    }
+  }
+
+  return { value: repaired, repairs, issues: validateModelResponse(repaired, schema) }
+}
+
+module.exports = {
+  SCHEMA_NAME,
+  buildModelResponseSchema,
+  validateModelResponse,
+  repairModelResponse
+}
@@ -2,6 +2,12 @@ const fs = require('fs')
 const fsPromises = require('fs/promises')
 const path = require('path')
 
+const OPERATION_LOG_PATTERN = /^ji-renamer-(?:log|undo)-.+\.jsonl$/
+
+function isOperationLogFile (filePath) {
+  return OPERATION_LOG_PATTERN.test(path.basename(filePath))
+}
+
 function createNoopLogger () {
   return {
     path: null,
@@ -10,11 +16,11 @@ function createNoopLogger () {
   }
 }
 
-async function createOperationLog ({ rootDirectory, explicitPath, logger }) {
+async function createOperationLog ({ rootDirectory, explicitPath, logger, filePrefix = 'ji-renamer-log' }) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
   const resolvedPath = explicitPath
     ? path.resolve(explicitPath)
-    : path.join(rootDirectory, `ji-renamer-log-${timestamp}.jsonl`)
+    : path.join(rootDirectory, `${filePrefix}-${timestamp}.jsonl`)
 
   try {
     await fsPromises.mkdir(path.dirname(resolvedPath), { recursive: true })
@@ -56,6 +62,77 @@ async function createOperationLog ({ rootDirectory, explicitPath, logger }) {
   }
 }
 
+async function createRollingOperationLog ({ rootDirectory, logger, filePrefix = 'ji-renamer-log' }) {
+  await fsPromises.mkdir(rootDirectory, { recursive: true })
+
+  let currentDay = null
+  let currentPath = null
+  let stream = null
+
+  const openForDay = (day) => {
+    if (stream) {
+      stream.end()
+    }
+    currentDay = day
+    currentPath = path.join(rootDirectory, `${filePrefix}-${day}.jsonl`)
+    stream = fs.createWriteStream(currentPath, { flags: 'a' })
+    stream.on('error', (error) => {
+      if (logger) {
+        logger.error(`Operation log write error: ${error.message}`)
+      }
+    })
+    if (logger) {
+      logger.info(`Logging operations to ${currentPath}`)
+    }
+  }
+
+  return {
+    get path () {
+      return currentPath
+    },
+    write: (entry) => {
+      if (!entry || typeof entry !== 'object') return
+      const day = new Date().toISOString().slice(0, 10)
+      try {
+        if (day !== currentDay) {
+          openForDay(day)
+        }
+        stream.write(`${JSON.stringify(entry)}\n`)
+      } catch (error) {
+        if (logger) {
+          logger.error(`Unable to write to operation log: ${error.message}`)
+        }
+      }
+    },
+    close: async () => {
+      if (!stream) return
+      await new Promise((resolve) => {
+        stream.end(resolve)
+      })
+    }
+  }
+}
+
+// `fs.mkdir(dir, { recursive: true })` returns the first folder it had to create; every folder from
+// there down to `directory` is new. Listed deepest first, the order `undo` removes them in.
+function listCreatedDirectories (directory, firstCreated) {
+  if (!firstCreated) {
+    return []
+  }
+  const top = path.resolve(firstCreated)
+  const directories = []
+  let current = path.resolve(directory)
+  while (!path.relative(top, current).startsWith('..')) {
+    directories.push(current)
+    if (current === top) break
+    current = path.dirname(current)
+  }
+  return directories
+}
+
 module.exports = {
-  createOperationLog
+  createOperationLog,
+  listCreatedDirectories,
+  createRollingOperationLog,
+  isOperationLogFile
 }
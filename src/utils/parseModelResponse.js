@@ -1,3 +1,113 @@
+function closeOpenStructures (text) {
+  const stack = []
+  let inString = false
+  let escaped = false
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) {
+        escaped = false
+      } else if (char === '\\') {
+        escaped = true
+      } else if (char === '"') {
+        inString = false
+      }
+      continue
+    }
+    if (char === '"') {
+      inString = true
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']')
+    } else if ((char === '}' || char === ']') && stack[stack.length - 1] === char) {
+      stack.pop()
+    }
+  }
+
+  let closed = inString ? `${text}"` : text
+  if (stack.length) {
+    // Drop a dangling separator or key left behind when the reply was cut off mid-object.
+    closed = closed.replace(/,\s*$/, '').replace(/,\s*"[^"]*"\s*:?\s*$/, '').replace(/:\s*$/, ': null')
+    closed += stack.reverse().join('')
+  }
+  return closed
+}
+
+const PYTHON_LITERALS = { None: 'null', True: 'true', False: 'false' }
+
+// Quote bare object keys and translate Python literals, leaving the contents of strings untouched.
+function quoteBareTokens (text) {
+  let output = ''
+  let inString = false
+  let escaped = false
+  let index = 0
+
+  while (index < text.length) {
+    const char = text[index]
+    if (inString) {
+      output += char
+      if (escaped) {
+        escaped = false
+      } else if (char === '\\') {
+        escaped = true
+      } else if (char === '"') {
+        inString = false
+      }
+      index += 1
+      continue
+    }
+
+    const token = /^[A-Za-z_][\w-]*/.exec(text.slice(index))
+    if (!token) {
+      inString = char === '"'
+      output += char
+      index += 1
+      continue
+    }
+
+    const word = token[0]
+    const isKey = /[{,]\s*$/.test(output) && /^\s*:/.test(text.slice(index + word.length))
+    if (isKey) {
+      output += `"${word}"`
+    } else {
+      output += Object.prototype.hasOwnProperty.call(PYTHON_LITERALS, word) ? PYTHON_LITERALS[word] : word
+    }
+    index += word.length
+  }
+
+  return output
+}
+
+// Small local models often wrap JSON in code fences, use smart or single quotes, leave trailing
+// commas, or stop before closing the object. Returns progressively more aggressive repairs to try.
+function repairJsonText (text) {
+  let base = text
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```\s*$/, '')
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+
+  const start = base.search(/[{[]/)
+  if (start === -1) {
+    return []
+  }
+  base = base.slice(start)
+
+  if (!base.includes('"') && base.includes("'")) {
+    base = base.replace(/'/g, '"')
+  }
+
+  const finish = (candidate) => {
+    let closed = closeOpenStructures(candidate)
+    const lastClose = Math.max(closed.lastIndexOf('}'), closed.lastIndexOf(']'))
+    if (lastClose !== -1) {
+      closed = closed.slice(0, lastClose + 1)
+    }
+    return closed.replace(/,(\s*[}\]])/g, '$1')
+  }
+
+  return [finish(base), finish(quoteBareTokens(base))]
+}
+
 function parseModelResponse (text) {
   if (!text) {
     throw new Error('Model returned empty response')
@@ -14,13 +124,23 @@ function parseModelResponse (text) {
       try {
         return JSON.parse(candidate)
       } catch (err) {
-        throw new Error(`Unable to parse model response as JSON: ${err.message}\nResponse: ${trimmed}`)
+        // Fall through to the repair pass below.
+      }
+    }
+
+    let lastError = error
+    for (const repaired of repairJsonText(trimmed)) {
+      try {
+        return JSON.parse(repaired)
+      } catch (err) {
+        lastError = err
       }
     }
-    throw new Error(`Unable to parse model response as JSON: ${error.message}\nResponse: ${trimmed}`)
+    throw new Error(`Unable to parse model response as JSON: ${lastError.message}\nResponse: ${trimmed}`)
   }
 }
 
 module.exports = {
-  parseModelResponse
+  parseModelResponse,
+  repairJsonText
 }
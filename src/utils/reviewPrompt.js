@@ -0,0 +1,88 @@
+const readline = require('readline')
+const { colorize } = require('./ansi')
+
+function createReviewPrompt (logger, { input = process.stdin, output = process.stdout } = {}) {
+  if (!input.isTTY && logger) {
+    logger.warn('Interactive review is reading answers from a non-interactive input stream.')
+  }
+
+  const rl = readline.createInterface({ input, output, terminal: Boolean(input.isTTY) })
+  const bufferedLines = []
+  const waiting = []
+  let closed = false
+
+  rl.on('line', (line) => {
+    const next = waiting.shift()
+    if (next) {
+      next(line)
+    } else {
+      bufferedLines.push(line)
+    }
+  })
+
+  // In raw mode Ctrl-C reaches readline as a key press, not a signal; pass it on so the run's
+  // interrupt handler (or the default exit) still sees it.
+  rl.on('SIGINT', () => {
+    process.kill(process.pid, 'SIGINT')
+  })
+
+  rl.on('close', () => {
+    closed = true
+    while (waiting.length) {
+      waiting.shift()(null)
+    }
+  })
+
+  // `initial` pre-fills the line on a terminal so the current value can be edited in place; piped
+  // input just sees it in the question.
+  function ask (question, { initial = '' } = {}) {
+    if (bufferedLines.length || closed || !rl.terminal) {
+      output.write(initial ? `${question}(${initial}) ` : question)
+      if (bufferedLines.length) {
+        return Promise.resolve(bufferedLines.shift().trim())
+      }
+      if (closed) {
+        return Promise.resolve(null)
+      }
+    }
+    const answer = new Promise((resolve) => {
+      waiting.push((line) => resolve(line === null ? null : line.trim()))
+    })
+    if (rl.terminal) {
+      // Readline has to know the prompt to redraw the line correctly while it is edited.
+      rl.setPrompt(question)
+      rl.prompt()
+      if (initial) {
+        rl.write(initial)
+      }
+    }
+    return answer
+  }
+
+  async function choose (question, choices) {
+    const legend = choices.map(choice => `[${colorize(choice.key, 'bold')}] ${choice.label}`).join('  ')
+    while (true) {
+      const answer = await ask(`${question}${legend} > `)
+      if (answer === null) {
+        // Input ended (e.g. Ctrl-D); treat the remaining files as skipped rather than guessing.
+        return 'skip'
+      }
+      const normalized = answer.toLowerCase()
+      const match = choices.find(choice => choice.key === normalized || choice.value === normalized)
+      if (match) {
+        return match.value
+      }
+      output.write(`${colorize(`Unrecognised choice "${answer}".`, 'yellow')}\n`)
+    }
+  }
+
+  return {
+    ask,
+    choose,
+    close: () => rl.close()
+  }
+}
+
+module.exports = {
+  createReviewPrompt
+}
@@ -1,4 +1,5 @@
 const path = require('path')
+const { getExtension, getFileCategory } = require('./fileType')
 
 function sanitizeFilename (filename, extension = '') {
   const invalidChars = /[<>:"/\\|?*]/g
@@ -10,13 +11,45 @@ function sanitizeFilename (filename, extension = '') {
   return `${cleaned}${normalizedExtension}`
 }
 
+// `download`, `file (3)` and `Invoice 3.5` have no real extension; `.pdf`, `.tar.gz` and `.mp3` do.
+function hasUsableExtension (extension) {
+  return /^\.[a-z0-9]{1,8}(\.[a-z0-9]{1,3})?$/i.test(extension || '') && /[a-z]/i.test(extension)
+}
+
+/**
+ * Pick the extension a renamed file should carry, given the one in its name and the type sniffed
+ * from its contents (see `detectFileType`). A missing extension, or a known one that names another
+ * kind of file (a PNG saved as `.pdf`), is replaced by the sniffed one. Returns `{ extension, corrected }`.
+ */
+function resolveExtension (declaredExtension, detected) {
+  const declared = (declaredExtension || '').toLowerCase()
+  const keep = { extension: declared, corrected: false }
+  if (!detected || detected.extensions.includes(declared)) {
+    return keep
+  }
+  if (!hasUsableExtension(declared)) {
+    return { extension: detected.extensions[0], corrected: true }
+  }
+  const declaredCategory = getFileCategory(`file${declared}`)
+  // Plain text has too many legitimate extensions (.py, .yaml, .svg, …) to call any of them wrong,
+  // and markup kept as `.txt` or `.md` is still text to whoever saved it.
+  if (detected.type === 'text' || (detected.type === 'html' && declaredCategory === 'text')) {
+    return keep
+  }
+  if (declaredCategory !== 'binary') {
+    return { extension: detected.extensions[0], corrected: true }
+  }
+  return keep
+}
+
 function truncateFilename (filename, maxChars) {
   if (!maxChars || filename.length <= maxChars) return filename
   return filename.slice(0, maxChars)
 }
 
 function ensureUniqueName (targetDir, filename, existsSync) {
-  const { name, ext } = path.parse(filename)
+  const ext = getExtension(filename)
+  const name = ext ? filename.slice(0, -ext.length) : filename
   let candidate = filename
   let counter = 1
   while (existsSync(path.join(targetDir, candidate))) {
@@ -28,6 +61,7 @@ function ensureUniqueName (targetDir, filename, existsSync) {
 
 module.exports = {
   sanitizeFilename,
+  resolveExtension,
   truncateFilename,
   ensureUniqueName
 }
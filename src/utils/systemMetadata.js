@@ -1,8 +1,11 @@
+const fs = require('fs/promises')
 const { promisify } = require('util')
 const { execFile } = require('child_process')
 
 const execFileAsync = promisify(execFile)
 
+let getfattrNoticeIssued = false
+
 const MAC_METADATA_KEYS = [
   'kMDItemAuthors',
   'kMDItemCreator',
@@ -25,6 +28,28 @@ const MAC_METADATA_KEYS = [
   'kMDItemFSSize'
 ]
 
+// Extended attributes written by browsers, wget/curl and desktop tools (freedesktop.org
+// "Guidelines for extended attributes"), mapped to the keys used under `metadata.linux`.
+const LINUX_XATTR_KEYS = {
+  'user.xdg.origin.url': 'originUrl',
+  'user.xdg.referrer.url': 'referrerUrl',
+  'user.xdg.origin.email.from': 'originEmailFrom',
+  'user.xdg.origin.email.subject': 'originEmailSubject',
+  'user.xdg.origin.email.message-id': 'originEmailMessageId',
+  'user.xdg.comment': 'comment',
+  'user.xdg.tags': 'tags',
+  'user.xdg.language': 'language',
+  'user.xdg.creator': 'createdWith',
+  'user.xdg.publisher': 'downloadedWith',
+  'user.dublincore.title': 'title',
+  'user.dublincore.creator': 'author',
+  'user.dublincore.subject': 'subject',
+  'user.dublincore.description': 'description',
+  'user.dublincore.date': 'date',
+  'user.mime_type': 'mimeType',
+  'user.baloo.rating': 'rating'
+}
+
 function normaliseScalarValue (value) {
   if (value === undefined || value === null) return null
 
@@ -135,11 +160,45 @@ function parseMdlsOutput (output) {
   return result
 }
 
-async function collectSystemMetadata (filePath, logger) {
-  if (process.platform !== 'darwin') {
-    return null
+// `getfattr --encoding=base64` prints values as 0s<base64>; hex (0x…) and quoted text are handled too.
+function decodeXattrValue (raw) {
+  let value
+  if (raw.startsWith('0s')) {
+    value = Buffer.from(raw.slice(2), 'base64').toString('utf8')
+  } else if (raw.startsWith('0x')) {
+    value = Buffer.from(raw.slice(2), 'hex').toString('utf8')
+  } else {
+    value = raw.replace(/^"|"$/g, '')
+  }
+  // Some tools store C strings, trailing NUL included.
+  return value.replace(/\0+$/, '').trim()
+}
+
+function parseGetfattrOutput (output) {
+  const result = {}
+  for (const line of output.split('\n')) {
+    if (!line || line.startsWith('#')) continue
+    const separatorIndex = line.indexOf('=')
+    const name = separatorIndex === -1 ? line : line.slice(0, separatorIndex)
+    const key = LINUX_XATTR_KEYS[name]
+    if (!key || separatorIndex === -1) continue
+
+    const value = decodeXattrValue(line.slice(separatorIndex + 1))
+    if (!value) continue
+    if (key === 'tags') {
+      const tags = value.split(',').map(tag => tag.trim()).filter(Boolean)
+      if (tags.length) result.tags = tags
+    } else if (key === 'rating') {
+      const rating = Number(value)
+      if (Number.isFinite(rating)) result.rating = rating
+    } else {
+      result[key] = value
+    }
   }
+  return result
+}
 
+async function collectMacMetadata (filePath, logger) {
   try {
     const args = MAC_METADATA_KEYS.flatMap((key) => ['-name', key])
     const { stdout } = await execFileAsync('mdls', [...args, filePath], {
@@ -156,6 +215,57 @@ async function collectSystemMetadata (filePath, logger) {
   }
 }
 
+async function collectLinuxMetadata (filePath, logger) {
+  let parsed
+  try {
+    const { stdout } = await execFileAsync('getfattr', ['--absolute-names', '--dump', '--encoding=base64', '--', filePath], {
+      encoding: 'utf8',
+      maxBuffer: 1024 * 1024
+    })
+    parsed = parseGetfattrOutput(stdout)
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      if (!getfattrNoticeIssued && logger) {
+        logger.debug('getfattr CLI not found. Install the attr package to include Linux extended attributes (download URLs, tags, comments).')
+        getfattrNoticeIssued = true
+      }
+    } else if (logger) {
+      logger.debug(`Unable to read extended attributes for ${filePath}: ${error.message}`)
+    }
+    return null
+  }
+
+  // Linux records no download time, but a file that carries its origin URL was created by the download.
+  if (parsed.originUrl) {
+    try {
+      const { birthtime } = await fs.stat(filePath)
+      if (birthtime instanceof Date && birthtime.getTime() > 0) {
+        parsed.downloadedDate = birthtime.toISOString()
+      }
+    } catch (error) {
+      // the file's stats are read again by the caller, which reports failures
+    }
+  }
+  return Object.keys(parsed).length ? parsed : null
+}
+
+/**
+ * Collect the metadata the operating system keeps beside a file: Spotlight attributes (`mdls`) on
+ * macOS, extended attributes (`getfattr`) on Linux. Returns `{ mac }` or `{ linux }`, or null when
+ * there is nothing to report or the platform has no collector.
+ */
+async function collectSystemMetadata (filePath, logger) {
+  if (process.platform === 'darwin') {
+    const mac = await collectMacMetadata(filePath, logger)
+    return mac ? { mac } : null
+  }
+  if (process.platform === 'linux') {
+    const linux = await collectLinuxMetadata(filePath, logger)
+    return linux ? { linux } : null
+  }
+  return null
+}
+
 module.exports = {
   collectSystemMetadata
 }
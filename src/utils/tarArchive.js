@@ -0,0 +1,176 @@
+const fssync = require('fs')
+const zlib = require('zlib')
+
+const BLOCK_SIZE = 512
+
+function readString (block, start, length) {
+  const end = block.indexOf(0, start)
+  return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end)
+}
+
+function readNumber (block, start, length) {
+  // GNU tar stores sizes above 8 GB as big-endian base-256 with the high bit set.
+  if (block[start] & 0x80) {
+    let value = block[start] & 0x7f
+    for (let index = start + 1; index < start + length; index += 1) {
+      value = value * 256 + block[index]
+    }
+    return value
+  }
+  const text = readString(block, start, length).trim()
+  return text ? parseInt(text, 8) : 0
+}
+
+function isZeroBlock (block) {
+  for (let index = 0; index < BLOCK_SIZE; index += 1) {
+    if (block[index] !== 0) return false
+  }
+  return true
+}
+
+function verifyChecksum (block) {
+  const stored = readNumber(block, 148, 8)
+  let sum = 0
+  for (let index = 0; index < BLOCK_SIZE; index += 1) {
+    sum += index >= 148 && index < 156 ? 32 : block[index]
+  }
+  return stored === sum
+}
+
+function parsePaxRecords (buffer) {
+  const records = {}
+  let cursor = 0
+  while (cursor < buffer.length) {
+    const space = buffer.indexOf(0x20, cursor)
+    if (space === -1) break
+    const length = parseInt(buffer.toString('utf8', cursor, space), 10)
+    if (!Number.isFinite(length) || length <= 0) break
+    const record = buffer.toString('utf8', space + 1, cursor + length - 1)
+    const separator = record.indexOf('=')
+    if (separator > 0) {
+      records[record.slice(0, separator)] = record.slice(separator + 1)
+    }
+    cursor += length
+  }
+  return records
+}
+
+function parseHeader (block, overrides) {
+  const prefix = block.toString('latin1', 257, 263) === 'ustar\u000000' || block.toString('latin1', 257, 262) === 'ustar'
+    ? readString(block, 345, 155)
+    : ''
+  const baseName = readString(block, 0, 100)
+  const typeFlag = String.fromCharCode(block[156] || 48)
+  const name = overrides.path || (prefix ? `${prefix}/${baseName}` : baseName)
+  const mtime = overrides.mtime ? Number(overrides.mtime) : readNumber(block, 136, 12)
+
+  return {
+    name,
+    type: typeFlag,
+    size: overrides.size ? Number(overrides.size) : readNumber(block, 124, 12),
+    modifiedAt: new Date(mtime * 1000),
+    directory: typeFlag === '5' || name.endsWith('/'),
+    file: typeFlag === '0' || typeFlag === '\u0000' || typeFlag === '7'
+  }
+}
+
+/**
+ * Stream through a (optionally gzip-compressed) tar archive, calling `visit(entry)` for every member.
+ * `visit` may return a sink `{ write(chunk), end() }` (either may be async) to receive the member's
+ * bytes; anything else skips the data. Long names from PAX and GNU headers are resolved.
+ */
+async function walkTarArchive (filePath, visit, { gzip = false } = {}) {
+  const source = fssync.createReadStream(filePath)
+  const stream = gzip ? source.pipe(zlib.createGunzip()) : source
+  source.on('error', error => stream.destroy(error))
+
+  let buffer = Buffer.alloc(0)
+  let overrides = {}
+  let current = null
+  let finished = false
+  let sawHeader = false
+
+  try {
+    for await (const chunk of stream) {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk
+
+      while (!finished) {
+        if (!current) {
+          if (buffer.length < BLOCK_SIZE) break
+          const block = buffer.subarray(0, BLOCK_SIZE)
+          buffer = buffer.subarray(BLOCK_SIZE)
+          if (isZeroBlock(block)) {
+            finished = true
+            break
+          }
+          if (!verifyChecksum(block)) {
+            throw new Error(sawHeader ? 'Corrupt tar header' : 'Not a tar archive (header checksum mismatch)')
+          }
+          sawHeader = true
+
+          const entry = parseHeader(block, overrides)
+          const padded = Math.ceil(entry.size / BLOCK_SIZE) * BLOCK_SIZE
+          if (entry.type === 'x' || entry.type === 'L') {
+            current = { entry, remaining: entry.size, padding: padded - entry.size, meta: [] }
+          } else {
+            overrides = {}
+            const sink = entry.type === 'g' ? null : await visit(entry)
+            current = {
+              entry,
+              remaining: entry.size,
+              padding: padded - entry.size,
+              sink: sink && typeof sink.write === 'function' ? sink : null
+            }
+          }
+        }
+
+        if (current.remaining > 0) {
+          if (!buffer.length) break
+          const take = Math.min(current.remaining, buffer.length)
+          const piece = buffer.subarray(0, take)
+          buffer = buffer.subarray(take)
+          current.remaining -= take
+          if (current.meta) {
+            current.meta.push(piece)
+          } else if (current.sink) {
+            await current.sink.write(piece)
+          }
+          if (current.remaining > 0) break
+        }
+
+        if (current.padding > 0) {
+          const skip = Math.min(current.padding, buffer.length)
+          buffer = buffer.subarray(skip)
+          current.padding -= skip
+          if (current.padding > 0) break
+        }
+
+        if (current.meta) {
+          const data = Buffer.concat(current.meta)
+          overrides = current.entry.type === 'x'
+            ? parsePaxRecords(data)
+            : { path: data.toString('utf8').replace(/\0+$/, '') }
+        } else if (current.sink && typeof current.sink.end === 'function') {
+          await current.sink.end()
+        }
+        current = null
+      }
+
+      if (finished) break
+    }
+  } finally {
+    stream.destroy()
+    source.destroy()
+  }
+
+  if (!sawHeader) {
+    throw new Error('Not a tar archive (no entries found)')
+  }
+  if (current) {
+    throw new Error(`Tar archive ends inside ${current.entry.name}`)
+  }
+}
+
+module.exports = {
+  walkTarArchive
+}
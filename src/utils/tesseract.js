@@ -0,0 +1,73 @@
+const { promisify } = require('util')
+const { execFile } = require('child_process')
+
+const execFileAsync = promisify(execFile)
+
+const DEFAULT_OCR_LANGUAGES = ['eng']
+
+// Accepts the config/array form (['eng', 'deu']) as well as CLI strings such as "eng,deu" or "eng+deu".
+function resolveOcrLanguages (languages) {
+  const list = Array.isArray(languages)
+    ? languages
+    : typeof languages === 'string' ? languages.split(/[\s,+]+/) : []
+  const cleaned = list.map(language => String(language).trim()).filter(Boolean)
+  return (cleaned.length ? cleaned : DEFAULT_OCR_LANGUAGES).join('+')
+}
+
+// Rebuild text from tesseract's TSV output, keeping line and paragraph breaks, and average the word confidences.
+function parseTesseractTsv (tsv) {
+  const lines = []
+  const confidences = []
+  let currentKey = null
+  let currentParagraph = null
+  let words = []
+
+  const flush = () => {
+    if (words.length) lines.push(words.join(' '))
+    words = []
+  }
+
+  for (const row of tsv.split('\n').slice(1)) {
+    const columns = row.split('\t')
+    if (columns.length < 12 || columns[0] !== '5') continue
+    const [, page, block, paragraph, line] = columns
+    const confidence = parseFloat(columns[10])
+    const text = columns.slice(11).join('\t').trim()
+    if (!text) continue
+
+    const paragraphKey = `${page}-${block}-${paragraph}`
+    const lineKey = `${paragraphKey}-${line}`
+    if (lineKey !== currentKey) {
+      flush()
+      if (currentParagraph !== null && paragraphKey !== currentParagraph) {
+        lines.push('')
+      }
+      currentKey = lineKey
+      currentParagraph = paragraphKey
+    }
+    words.push(text)
+    if (Number.isFinite(confidence) && confidence >= 0) {
+      confidences.push(confidence)
+    }
+  }
+  flush()
+
+  const average = confidences.length
+    ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length * 10) / 10
+    : null
+  return { text: lines.join('\n').trim(), confidence: average, words: confidences.length }
+}
+
+async function runTesseractOnImage (imagePath, languageArg) {
+  const { stdout } = await execFileAsync('tesseract', [imagePath, 'stdout', '-l', languageArg, 'tsv'], {
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024
+  })
+  return parseTesseractTsv(stdout)
+}
+
+module.exports = {
+  DEFAULT_OCR_LANGUAGES,
+  resolveOcrLanguages,
+  runTesseractOnImage
+}
@@ -0,0 +1,202 @@
+const SAMPLE_BYTES = 64 * 1024
+
+const BOMS = [
+  // UTF-32 first: its little-endian BOM starts with the UTF-16LE one.
+  { bytes: [0xff, 0xfe, 0x00, 0x00], encoding: 'utf-32le' },
+  { bytes: [0x00, 0x00, 0xfe, 0xff], encoding: 'utf-32be' },
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+  { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+  { bytes: [0xfe, 0xff], encoding: 'utf-16be' }
+]
+
+// Legacy encodings tried when a file is not UTF-8, each with the characters its text should decode
+// to. A wrong guess still decodes, but into a mix of unrelated scripts, which is what the check catches.
+const JAPANESE = /[\u3000-\u30ff\u4e00-\u9fff\uff00-\uffef]/u
+const CHINESE = /[\u3000-\u303f\u4e00-\u9fff\uff00-\uffef]/u
+const KOREAN = /[\u3000-\u303f\u3130-\u318f\u4e00-\u9fff\uac00-\ud7af\uff00-\uffef]/u
+const MULTIBYTE_CANDIDATES = [
+  { encoding: 'shift_jis', script: JAPANESE, marker: /[\u3040-\u30ff]/u },
+  { encoding: 'euc-jp', script: JAPANESE, marker: /[\u3040-\u30ff]/u },
+  // EUC-KR and GB18030 share their byte ranges; Korean separates words with spaces, Chinese does not.
+  { encoding: 'euc-kr', script: KOREAN, marker: /[\uac00-\ud7af]/u, accepts: (sample, characters) => countSpacesBetweenWords(sample) / characters.length > 0.1 },
+  // Big5 trail bytes reach down into ASCII letters (0x40-0x7e); GB2312-range text never does.
+  { encoding: 'big5', script: CHINESE, accepts: (sample) => hasLowTrailBytes(sample) },
+  { encoding: 'gb18030', script: CHINESE }
+]
+const CYRILLIC = /[\u0400-\u04ff\u00a0\u00ab\u00bb\u2013\u2014\u2026\u201c\u201d\u201e\u2116]/u
+const WESTERN = /[\u00c0-\u00d6\u00d8-\u00f6\u00f8-\u00ff\u0152\u0153\u0160\u0161\u0178\u017d\u017e\u00a0\u00a3\u00a7\u00a9\u00ab\u00ae\u00b0\u00bb\u2013\u2014\u2018\u2019\u201c\u201d\u201e\u2022\u2026\u20ac\u2122]/u
+const MIN_WESTERN_RATIO = 0.8
+const MIN_SCRIPT_RATIO = 0.9
+const MIN_MARKER_RATIO = 0.1
+
+// Spaces with non-ASCII text on both sides, i.e. between words of the legacy-encoded script.
+function countSpacesBetweenWords (sample) {
+  let spaces = 0
+  for (let index = 1; index < sample.length - 1; index += 1) {
+    if (sample[index] === 0x20 && sample[index - 1] >= 0x80 && sample[index + 1] >= 0x80) spaces += 1
+  }
+  return spaces
+}
+
+function hasLowTrailBytes (sample) {
+  for (let index = 0; index < sample.length - 1; index += 1) {
+    if (sample[index] >= 0x81) {
+      if (sample[index + 1] >= 0x40 && sample[index + 1] <= 0x7e) return true
+      index += 1
+    }
+  }
+  return false
+}
+
+function startsWith (buffer, bytes) {
+  return bytes.every((byte, index) => buffer[index] === byte)
+}
+
+// UTF-16 without a BOM (Excel's "Unicode text" export) shows up as ASCII with every other byte zero.
+function sniffUtf16 (buffer) {
+  const pairs = Math.floor(Math.min(buffer.length, SAMPLE_BYTES) / 2)
+  if (pairs < 2) return null
+  let evenZeros = 0
+  let oddZeros = 0
+  for (let index = 0; index < pairs * 2; index += 2) {
+    if (buffer[index] === 0) evenZeros += 1
+    if (buffer[index + 1] === 0) oddZeros += 1
+  }
+  if (oddZeros / pairs > 0.4 && evenZeros / pairs < 0.05) return 'utf-16le'
+  if (evenZeros / pairs > 0.4 && oddZeros / pairs < 0.05) return 'utf-16be'
+  return null
+}
+
+// `stream: true` leaves a character cut off at the end of the sample undecoded instead of failing.
+function decodesCleanly (buffer, encoding) {
+  try {
+    new TextDecoder(encoding, { fatal: true }).decode(buffer, { stream: true })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+function ratio (characters, pattern) {
+  return characters.length ? characters.filter(character => pattern.test(character)).length / characters.length : 0
+}
+
+function nonAsciiCharacters (buffer, encoding) {
+  const text = new TextDecoder(encoding).decode(buffer, { stream: true })
+  return Array.from(text).filter(character => character.codePointAt(0) > 0x7f)
+}
+
+// Share of non-ASCII characters that look like Western text when decoded as Windows-1252: accented
+// letters or typographic punctuation, on their own rather than in runs (mojibake comes in runs).
+function westernScore (sample) {
+  const runs = decodeWindows1252(sample).match(/[^\x20-\x7e\s]+/g) || []
+  const nonAscii = runs.reduce((sum, run) => sum + run.length, 0)
+  const plausible = runs
+    .filter(run => run.length <= 2)
+    .reduce((sum, run) => sum + Array.from(run).filter(character => WESTERN.test(character)).length, 0)
+  return nonAscii ? plausible / nonAscii : 1
+}
+
+function guessLegacyEncoding (sample) {
+  if (westernScore(sample) >= MIN_WESTERN_RATIO) {
+    return 'windows-1252'
+  }
+  for (const candidate of MULTIBYTE_CANDIDATES) {
+    if (!decodesCleanly(sample, candidate.encoding)) continue
+    const characters = nonAsciiCharacters(sample, candidate.encoding)
+    if (ratio(characters, candidate.script) < MIN_SCRIPT_RATIO) continue
+    if (candidate.marker && ratio(characters, candidate.marker) < MIN_MARKER_RATIO) continue
+    if (candidate.accepts && !candidate.accepts(sample, characters)) continue
+    return candidate.encoding
+  }
+  if (ratio(nonAsciiCharacters(sample, 'windows-1251'), CYRILLIC) >= MIN_SCRIPT_RATIO) {
+    return 'windows-1251'
+  }
+  return 'windows-1252'
+}
+
+/**
+ * Work out how a text file's bytes are encoded: a byte-order mark wins, then UTF-16 without one,
+ * then strict UTF-8, and finally a guess among common legacy encodings (Shift-JIS, GB18030,
+ * Windows-1251/1252, …). Returns `{ encoding, method, bomLength }`, or `{ binary: true }` when
+ * the bytes are not text at all.
+ */
+function detectEncoding (buffer) {
+  const bom = BOMS.find(candidate => startsWith(buffer, candidate.bytes))
+  if (bom) {
+    return { encoding: bom.encoding, method: 'bom', bomLength: bom.bytes.length }
+  }
+
+  const sample = buffer.subarray(0, SAMPLE_BYTES)
+  const utf16 = sniffUtf16(sample)
+  if (utf16) {
+    return { encoding: utf16, method: 'heuristic', bomLength: 0 }
+  }
+
+  if (sample.includes(0)) {
+    return { binary: true }
+  }
+  if (decodesCleanly(sample, 'utf-8')) {
+    return { encoding: 'utf-8', method: 'utf8', bomLength: 0 }
+  }
+
+  const controls = sample.filter(byte => byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0c && byte !== 0x0d && byte !== 0x1b).length
+  if (controls / sample.length >= 0.02) {
+    return { binary: true }
+  }
+  return { encoding: guessLegacyEncoding(sample), method: 'heuristic', bomLength: 0 }
+}
+
+// WHATWG TextDecoder has no UTF-32, which a few old Unicode exports still use.
+function decodeUtf32 (buffer, littleEndian) {
+  const characters = []
+  for (let offset = 0; offset + 4 <= buffer.length; offset += 4) {
+    const codePoint = littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset)
+    characters.push(codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '\ufffd')
+  }
+  return characters.join('')
+}
+
+// Node's TextDecoder decodes windows-1252 as ISO-8859-1, turning €, curly quotes and dashes into C1 controls.
+const WINDOWS_1252_HIGH = [
+  0x20ac, 0x81, 0x201a, 0x192, 0x201e, 0x2026, 0x2020, 0x2021, 0x2c6, 0x2030, 0x160, 0x2039, 0x152, 0x8d, 0x17d, 0x8f,
+  0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x2dc, 0x2122, 0x161, 0x203a, 0x153, 0x9d, 0x17e, 0x178
+]
+
+function decodeWindows1252 (buffer) {
+  let text = ''
+  for (const byte of buffer) {
+    text += String.fromCharCode(byte >= 0x80 && byte <= 0x9f ? WINDOWS_1252_HIGH[byte - 0x80] : byte)
+  }
+  return text
+}
+
+/**
+ * Decode bytes in a known encoding (any WHATWG label, plus UTF-32). A multi-byte character cut off
+ * at the end of the buffer is dropped.
+ */
+function decodeBytes (buffer, encoding) {
+  const label = encoding.toLowerCase()
+  if (label === 'utf-32le' || label === 'utf-32be') return decodeUtf32(buffer, label === 'utf-32le')
+  if (['windows-1252', 'cp1252', 'latin1', 'iso-8859-1', 'us-ascii', 'ascii'].includes(label)) return decodeWindows1252(buffer)
+  return new TextDecoder(label).decode(buffer, { stream: true })
+}
+
+/**
+ * Decode a buffer (typically the leading bytes of a file) to a string using `detectEncoding`.
+ * Returns `{ text, encoding, method }`, or `{ binary: true, text: '' }` for binary content.
+ */
+function decodeText (buffer) {
+  const detected = detectEncoding(buffer)
+  if (detected.binary) {
+    return { binary: true, text: '', encoding: null, method: null }
+  }
+  const text = decodeBytes(buffer.subarray(detected.bomLength), detected.encoding)
+  return { binary: false, text, encoding: detected.encoding, method: detected.method }
+}
+
+module.exports = {
+  detectEncoding,
+  decodeText,
+  decodeBytes
+}
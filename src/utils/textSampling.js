@@ -0,0 +1,279 @@
+const DEFAULT_TEXT_BUDGET = 12000
+const HEAD_SHARE = 0.4
+const HEADING_SHARE = 0.15
+const MAX_EXCERPTS = 5
+const MIN_EXCERPT_CHARS = 400
+const MAX_HEADINGS = 40
+const SAMPLE_ROWS_HEAD = 5
+const SAMPLE_ROWS_TAIL = 2
+const MAX_CELL_CHARS = 60
+const MAX_JSON_KEYS = 40
+const TYPE_SAMPLE_ROWS = 200
+const DELIMITERS = [',', ';', '\t', '|']
+
+function resolveBudget (budget) {
+  if (budget === 0) return Infinity
+  return Number.isFinite(budget) && budget > 0 ? Math.floor(budget) : DEFAULT_TEXT_BUDGET
+}
+
+// Cut `text` to the budget with a `[<label> text truncated]` note; used by the document extractors
+// that send their text as is rather than sampled.
+function applyBudget (text, budget, label) {
+  const limit = resolveBudget(budget)
+  if (text.length <= limit) {
+    return { text, truncated: false }
+  }
+  return { text: `${text.slice(0, limit)}\n[${label} text truncated]`, truncated: true }
+}
+
+// The longest prefix of `text` up to `limit` characters that ends on a line break (or the limit itself
+// when the first line is longer).
+function cutAtLine (text, limit) {
+  if (text.length <= limit) return text
+  const lastBreak = text.lastIndexOf('\n', limit)
+  return text.slice(0, lastBreak > limit / 2 ? lastBreak : limit)
+}
+
+function isHeading (line, nextLine) {
+  if (/^#{1,6}\s+\S/.test(line)) return true
+  if (line.trim() && /^(=+|-{3,})\s*$/.test(nextLine || '')) return true
+  // Short all-caps lines (SECTION 3, TERMS AND CONDITIONS) head most plain-text documents.
+  return /^[A-Z0-9][A-Z0-9 &:,'()./-]{3,60}$/.test(line.trim()) && (line.match(/[A-Z]/g) || []).length >= 3
+}
+
+function collectHeadings (text, from, budget) {
+  const lines = text.slice(from).split('\n')
+  const seen = new Set()
+  const headings = []
+  let used = 0
+  for (let index = 0; index < lines.length && headings.length < MAX_HEADINGS; index += 1) {
+    const heading = lines[index].trim()
+    if (!isHeading(lines[index], lines[index + 1]) || seen.has(heading)) continue
+    if (used + heading.length + 1 > budget) break
+    seen.add(heading)
+    headings.push(heading)
+    used += heading.length + 1
+  }
+  return headings
+}
+
+// A window of about `length` characters around `position`, widened to whole lines where possible.
+function excerptAt (text, position, length) {
+  let start = Math.max(0, Math.min(position - Math.floor(length / 2), text.length - length))
+  const lineStart = text.indexOf('\n', start)
+  if (lineStart !== -1 && lineStart - start < length / 4) start = lineStart + 1
+  return cutAtLine(text.slice(start, start + length), length).trim()
+}
+
+// Sections of an earlier sample: the opening, then one per label, ending with the footer.
+const SAMPLE_SECTION = /\n\n(?=\[(?:Headings later in the text\]|… |Sampled from \d+ characters\]$))/
+const SAMPLE_FOOTER = /\n\n\[Sampled from \d+ characters\]$/
+
+// Shrinking a sample shortens every section in proportion instead of sampling the sample, which
+// would label excerpts with positions in the sample rather than in the file.
+function shrinkSample (text, limit) {
+  const sections = text.split(SAMPLE_SECTION)
+  const footer = sections.pop()
+  const room = limit - footer.length - sections.length * 2 - 2
+  const scale = room / sections.reduce((sum, section) => sum + section.length, 0)
+  const shrunk = sections
+    .map((section, index) => {
+      const length = Math.floor(section.length * scale)
+      if (index > 0 && length < MIN_EXCERPT_CHARS / 4) return null
+      if (!section.startsWith('[… end of the text …]')) return cutAtLine(section, length)
+      const label = '[… end of the text …]\n'
+      return label + section.slice(label.length).slice(-(length - label.length)).replace(/^[^\n]*\n/, '')
+    })
+    .filter(Boolean)
+  return [...shrunk, footer].join('\n\n').slice(0, limit)
+}
+
+/**
+ * Fit a long text into `budget` characters without losing what the file is about: the opening
+ * (title, headers, first paragraphs), headings found further in, and evenly spread excerpts that
+ * end with the tail of the text. Short texts are returned unchanged, and a text that is already
+ * a sample is shortened section by section. Returns `{ text, sampled }`.
+ */
+function sampleText (text, budget) {
+  const limit = resolveBudget(budget)
+  if (text.length <= limit) {
+    return { text, sampled: false }
+  }
+  if (SAMPLE_FOOTER.test(text)) {
+    return { text: shrinkSample(text, limit), sampled: true }
+  }
+
+  const head = cutAtLine(text, Math.floor(limit * HEAD_SHARE))
+  const headings = collectHeadings(text, head.length, Math.floor(limit * HEADING_SHARE))
+  const parts = [head]
+  if (headings.length) {
+    parts.push(`[Headings later in the text]\n${headings.join('\n')}`)
+  }
+
+  const footer = `[Sampled from ${text.length} characters]`
+  const used = parts.join('\n\n').length + footer.length + 4
+  const remaining = limit - used
+  const count = Math.max(1, Math.min(MAX_EXCERPTS, Math.floor(remaining / MIN_EXCERPT_CHARS)))
+  const rest = text.length - head.length
+  const length = Math.floor(remaining / count) - 40
+  if (length > 0) {
+    for (let index = 1; index < count; index += 1) {
+      const center = head.length + Math.floor((rest * (index - 0.5)) / count)
+      parts.push(`[… excerpt from around ${Math.round((center / text.length) * 100)}% …]\n${excerptAt(text, center, length)}`)
+    }
+    parts.push(`[… end of the text …]\n${text.slice(-length).replace(/^[^\n]*\n/, '').trimEnd()}`)
+  }
+  parts.push(footer)
+
+  return { text: parts.join('\n\n').slice(0, limit), sampled: true }
+}
+
+function parseDelimited (text, delimiter) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  for (let index = 0; index < text.length; index += 1) {
+    const character = text[index]
+    if (quoted) {
+      if (character === '"' && text[index + 1] === '"') {
+        cell += '"'
+        index += 1
+      } else if (character === '"') {
+        quoted = false
+      } else {
+        cell += character
+      }
+    } else if (character === '"' && !cell) {
+      quoted = true
+    } else if (character === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && text[index + 1] === '\n') index += 1
+      row.push(cell)
+      if (row.some(value => value.trim())) rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += character
+    }
+  }
+  row.push(cell)
+  if (row.some(value => value.trim())) rows.push(row)
+  return rows
+}
+
+// The delimiter that splits the first lines into the same, largest number of columns.
+function detectDelimiter (text) {
+  const lines = text.split(/\r?\n/, 6).filter(Boolean)
+  let best = { delimiter: ',', columns: 1 }
+  for (const delimiter of DELIMITERS) {
+    const counts = lines.map(line => line.split(delimiter).length)
+    if (counts.length && counts.every(count => count === counts[0]) && counts[0] > best.columns) {
+      best = { delimiter, columns: counts[0] }
+    }
+  }
+  return best.delimiter
+}
+
+function columnType (values) {
+  const present = values.map(value => (value || '').trim()).filter(Boolean)
+  if (!present.length) return 'empty'
+  if (present.every(value => /^[-+]?[\d\s.,']*\d[%]?$/.test(value) || /^[-+]?[$€£¥]\s?[\d.,]+$/.test(value))) return 'number'
+  if (present.every(value => /^\d{4}-\d{2}-\d{2}|^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}/.test(value))) return 'date'
+  return 'text'
+}
+
+function formatRow (row) {
+  return row.map(cell => (cell.length > MAX_CELL_CHARS ? `${cell.slice(0, MAX_CELL_CHARS - 1)}…` : cell)).join(' | ')
+}
+
+/**
+ * Describe a CSV (or semicolon/tab/pipe-separated) file by its shape: delimiter, row and column
+ * counts, column names with a guessed type, and the first and last rows. `rowScale` extrapolates
+ * the row count when only part of the file was read.
+ */
+function summariseDelimited (text, budget, { rowScale = 1 } = {}) {
+  const delimiter = detectDelimiter(text)
+  const rows = parseDelimited(text, delimiter)
+  if (!rows.length) return null
+  const [header, ...records] = rows
+  const columns = header.map((name, index) => `${name.trim() || `column ${index + 1}`} (${columnType(records.slice(0, TYPE_SAMPLE_ROWS).map(record => record[index]))})`)
+  const delimiterName = delimiter === '\t' ? 'tab' : `'${delimiter}'`
+
+  const lines = [
+    `CSV summary: ${rowScale > 1 ? `about ${Math.round(records.length * rowScale)}` : records.length} data row(s) × ${header.length} column(s), delimiter ${delimiterName}`,
+    `Columns: ${columns.join(', ')}`
+  ]
+  if (records.length) {
+    lines.push('First rows:', ...records.slice(0, SAMPLE_ROWS_HEAD).map(formatRow))
+  }
+  if (records.length > SAMPLE_ROWS_HEAD + SAMPLE_ROWS_TAIL) {
+    lines.push('Last rows:', ...records.slice(-SAMPLE_ROWS_TAIL).map(formatRow))
+  } else if (records.length > SAMPLE_ROWS_HEAD) {
+    lines.push(...records.slice(SAMPLE_ROWS_HEAD).map(formatRow))
+  }
+  return cutAtLine(lines.join('\n'), resolveBudget(budget))
+}
+
+function describeValue (value) {
+  if (Array.isArray(value)) {
+    const kinds = [...new Set(value.slice(0, 50).map(item => (Array.isArray(item) ? 'array' : item === null ? 'null' : typeof item)))]
+    return `array of ${value.length}${kinds.length ? ` ${kinds.join('/')}` : ''}`
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+    return `object with ${keys.length} key(s)${keys.length ? `: ${keys.slice(0, 8).join(', ')}${keys.length > 8 ? ', …' : ''}` : ''}`
+  }
+  return value === null ? 'null' : typeof value
+}
+
+// A copy of `value` with long arrays, strings and deep nesting cut down, for a readable sample.
+function pruneValue (value, depth = 0) {
+  if (typeof value === 'string') return value.length > 200 ? `${value.slice(0, 199)}…` : value
+  if (!value || typeof value !== 'object') return value
+  if (depth >= 4) return Array.isArray(value) ? `[${value.length} item(s)]` : '{…}'
+  if (Array.isArray(value)) {
+    const items = value.slice(0, 3).map(item => pruneValue(item, depth + 1))
+    return value.length > 3 ? [...items, `… ${value.length - 3} more`] : items
+  }
+  return Object.fromEntries(Object.entries(value).slice(0, MAX_JSON_KEYS).map(([key, item]) => [key, pruneValue(item, depth + 1)]))
+}
+
+/**
+ * Describe a JSON document by its structure: top-level type and keys (with what each holds) or, for
+ * arrays, the length and the keys of its items, followed by a pruned sample. Returns null when the
+ * text is not valid JSON (for example a file cut short), so callers can fall back to sampling.
+ */
+function summariseJson (text, budget) {
+  let value
+  try {
+    value = JSON.parse(text)
+  } catch (error) {
+    return null
+  }
+
+  const lines = [`JSON summary: top-level ${describeValue(value)}`]
+  if (Array.isArray(value)) {
+    const itemKeys = [...new Set(value.slice(0, 100).filter(item => item && typeof item === 'object' && !Array.isArray(item)).flatMap(Object.keys))]
+    if (itemKeys.length) {
+      lines.push(`Item keys: ${itemKeys.slice(0, MAX_JSON_KEYS).join(', ')}${itemKeys.length > MAX_JSON_KEYS ? ', …' : ''}`)
+    }
+  } else if (value && typeof value === 'object') {
+    lines.push('Keys:', ...Object.entries(value).slice(0, MAX_JSON_KEYS).map(([key, item]) => `- ${key}: ${describeValue(item)}`))
+    if (Object.keys(value).length > MAX_JSON_KEYS) {
+      lines.push(`- … ${Object.keys(value).length - MAX_JSON_KEYS} more key(s)`)
+    }
+  }
+  lines.push('Sample:', JSON.stringify(pruneValue(value), null, 2))
+  return cutAtLine(lines.join('\n'), resolveBudget(budget))
+}
+
+module.exports = {
+  resolveTextBudget: resolveBudget,
+  applyTextBudget: applyBudget,
+  sampleText,
+  summariseDelimited,
+  summariseJson
+}
@@ -0,0 +1,89 @@
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  // HTML-only entities that show up in saved pages and EPUB chapters.
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  laquo: '«',
+  raquo: '»',
+  bull: '•',
+  middot: '·',
+  deg: '°',
+  euro: '€',
+  pound: '£',
+  yen: '¥',
+  cent: '¢',
+  sect: '§',
+  para: '¶',
+  times: '×',
+  shy: ''
+}
+
+function decodeXmlEntities (text) {
+  if (!text) return ''
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return Number.isFinite(codePoint) && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()]
+    return named !== undefined ? named : match
+  })
+}
+
+function escapeTagName (tagName) {
+  return tagName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Return the raw inner XML of every `<tagName>` element (namespace prefix included in the name,
+ * e.g. `w:p`). This is a regex scan, which is enough for the flat, machine-written XML found in
+ * office packages; it does not handle an element nested inside another element of the same name.
+ */
+function findElements (xml, tagName) {
+  if (!xml) return []
+  const name = escapeTagName(tagName)
+  const pattern = new RegExp(`<${name}(?:\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${name}>)`, 'g')
+  const results = []
+  let match
+  while ((match = pattern.exec(xml)) !== null) {
+    results.push({ raw: match[0], inner: match[1] || '' })
+  }
+  return results
+}
+
+function getElementText (xml, tagName) {
+  const [element] = findElements(xml, tagName)
+  return element ? decodeXmlEntities(stripTags(element.inner)).trim() : null
+}
+
+function getAttribute (elementXml, attributeName) {
+  const name = escapeTagName(attributeName)
+  const match = new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`).exec(elementXml)
+  if (!match) return null
+  return decodeXmlEntities(match[2] !== undefined ? match[2] : match[3])
+}
+
+function stripTags (xml) {
+  return (xml || '').replace(/<[^>]+>/g, '')
+}
+
+module.exports = {
+  decodeXmlEntities,
+  findElements,
+  getElementText,
+  getAttribute,
+  stripTags
+}
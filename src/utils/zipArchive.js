@@ -0,0 +1,191 @@
+const fs = require('fs/promises')
+const fssync = require('fs')
+const { Readable } = require('stream')
+const zlib = require('zlib')
+const { promisify } = require('util')
+
+const inflateRaw = promisify(zlib.inflateRaw)
+
+const EOCD_SIGNATURE = 0x06054b50
+const CENTRAL_SIGNATURE = 0x02014b50
+const LOCAL_SIGNATURE = 0x04034b50
+const EOCD_MIN_SIZE = 22
+const MAX_COMMENT_SIZE = 0xffff
+// Roughly 300k entries with typical name lengths; a larger claim is a corrupt or hostile archive.
+const MAX_CENTRAL_DIRECTORY_SIZE = 32 * 1024 * 1024
+
+function findEndOfCentralDirectory (buffer) {
+  for (let offset = buffer.length - EOCD_MIN_SIZE; offset >= 0; offset -= 1) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+      return offset
+    }
+  }
+  return -1
+}
+
+/**
+ * Minimal ZIP reader covering what OOXML/ODF/EPUB packages and everyday archives use: stored and
+ * deflated entries listed in the central directory. Entry data is read on demand so large archives
+ * are never loaded whole.
+ */
+async function openZipArchive (filePath) {
+  const handle = await fs.open(filePath, 'r')
+  try {
+    const { size } = await handle.stat()
+    const tailLength = Math.min(size, EOCD_MIN_SIZE + MAX_COMMENT_SIZE)
+    const tail = Buffer.alloc(tailLength)
+    await handle.read(tail, 0, tailLength, size - tailLength)
+
+    const eocdOffset = findEndOfCentralDirectory(tail)
+    if (eocdOffset === -1) {
+      throw new Error('Not a ZIP archive (end of central directory not found)')
+    }
+
+    const entryCount = tail.readUInt16LE(eocdOffset + 10)
+    const directorySize = tail.readUInt32LE(eocdOffset + 12)
+    const directoryOffset = tail.readUInt32LE(eocdOffset + 16)
+    if (directoryOffset === 0xffffffff || entryCount === 0xffff) {
+      throw new Error('ZIP64 archives are not supported')
+    }
+
+    if (directoryOffset + directorySize > size || directorySize > MAX_CENTRAL_DIRECTORY_SIZE) {
+      throw new Error('Corrupt or oversized ZIP central directory')
+    }
+
+    const directory = Buffer.alloc(directorySize)
+    await handle.read(directory, 0, directorySize, directoryOffset)
+
+    const entries = []
+    let cursor = 0
+    for (let index = 0; index < entryCount && cursor + 46 <= directory.length; index += 1) {
+      if (directory.readUInt32LE(cursor) !== CENTRAL_SIGNATURE) {
+        throw new Error('Corrupt ZIP central directory')
+      }
+      const flags = directory.readUInt16LE(cursor + 8)
+      const method = directory.readUInt16LE(cursor + 10)
+      const dosTime = directory.readUInt16LE(cursor + 12)
+      const dosDate = directory.readUInt16LE(cursor + 14)
+      const compressedSize = directory.readUInt32LE(cursor + 20)
+      const uncompressedSize = directory.readUInt32LE(cursor + 24)
+      const nameLength = directory.readUInt16LE(cursor + 28)
+      const extraLength = directory.readUInt16LE(cursor + 30)
+      const commentLength = directory.readUInt16LE(cursor + 32)
+      const localOffset = directory.readUInt32LE(cursor + 42)
+      // Bit 11 marks UTF-8 names; older tools write CP437, which is ASCII-compatible for common names.
+      const name = directory.toString(flags & 0x800 ? 'utf8' : 'latin1', cursor + 46, cursor + 46 + nameLength)
+
+      entries.push({
+        name,
+        method,
+        encrypted: Boolean(flags & 0x1),
+        directory: name.endsWith('/'),
+        compressedSize,
+        size: uncompressedSize,
+        modifiedAt: new Date(
+          ((dosDate >> 9) & 0x7f) + 1980,
+          ((dosDate >> 5) & 0x0f) - 1,
+          dosDate & 0x1f,
+          (dosTime >> 11) & 0x1f,
+          (dosTime >> 5) & 0x3f,
+          (dosTime & 0x1f) * 2
+        ),
+        localOffset
+      })
+      cursor += 46 + nameLength + extraLength + commentLength
+    }
+    const byName = new Map(entries.map(entry => [entry.name, entry]))
+
+    async function locateData (entry) {
+      const header = Buffer.alloc(30)
+      await handle.read(header, 0, 30, entry.localOffset)
+      if (header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+        throw new Error(`Corrupt ZIP entry header for ${entry.name}`)
+      }
+      return entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28)
+    }
+
+    // `prefixBytes` returns only the start of a large entry (e.g. a spreadsheet's header rows) without
+    // inflating the rest; `maxBytes` refuses entries that would be too large to hold in memory.
+    async function readEntry (entryOrName, { maxBytes = 0, prefixBytes = 0 } = {}) {
+      const entry = typeof entryOrName === 'string' ? byName.get(entryOrName) : entryOrName
+      if (!entry) {
+        return null
+      }
+      if (entry.encrypted) {
+        throw new Error(`${entry.name} is encrypted`)
+      }
+      const partial = prefixBytes > 0 && entry.size > prefixBytes
+      if (!partial && maxBytes && entry.size > maxBytes) {
+        throw new Error(`${entry.name} is larger than ${maxBytes} bytes`)
+      }
+
+      const dataOffset = await locateData(entry)
+      const readLength = partial ? Math.min(entry.compressedSize, prefixBytes) : entry.compressedSize
+      const data = Buffer.alloc(readLength)
+      await handle.read(data, 0, readLength, dataOffset)
+
+      if (entry.method === 0) {
+        return data
+      }
+      if (entry.method === 8) {
+        if (!partial) {
+          return inflateRaw(data)
+        }
+        // Deflate rarely inflates to less than its compressed size, so prefixBytes of input covers the requested prefix.
+        const inflated = await inflateRaw(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH })
+        return inflated.subarray(0, prefixBytes)
+      }
+      throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`)
+    }
+
+    // Streams an entry's bytes without buffering it, for unpacking members of any size.
+    async function openEntryStream (entryOrName) {
+      const entry = typeof entryOrName === 'string' ? byName.get(entryOrName) : entryOrName
+      if (!entry) {
+        throw new Error(`No such ZIP entry: ${entryOrName}`)
+      }
+      if (entry.encrypted) {
+        throw new Error(`${entry.name} is encrypted`)
+      }
+      if (entry.method !== 0 && entry.method !== 8) {
+        throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`)
+      }
+      const dataOffset = await locateData(entry)
+      const raw = fssync.createReadStream(filePath, {
+        start: dataOffset,
+        end: dataOffset + Math.max(entry.compressedSize, 1) - 1
+      })
+      if (entry.method === 0 && entry.compressedSize === 0) {
+        raw.destroy()
+        return Readable.from([])
+      }
+      if (entry.method === 0) {
+        return raw
+      }
+      const inflater = zlib.createInflateRaw()
+      raw.on('error', error => inflater.destroy(error))
+      return raw.pipe(inflater)
+    }
+
+    async function readText (entryOrName, options) {
+      const buffer = await readEntry(entryOrName, options)
+      return buffer ? buffer.toString('utf8') : null
+    }
+
+    return {
+      entries,
+      has: (name) => byName.has(name),
+      readEntry,
+      readText,
+      openEntryStream,
+      close: () => handle.close()
+    }
+  } catch (error) {
+    await handle.close()
+    throw error
+  }
+}
+
+module.exports = {
+  openZipArchive
+}